@@ -51,7 +51,24 @@
             touchTargets: {
                 minWidth: 44, // px
                 minHeight: 44 // px
-            }
+            },
+
+            // Длина строки по реальным строчным блокам (символов)
+            lineLength: {
+                min: 45,
+                max: 75,
+                ideal: 66,
+                minLines: 3 // блоки короче не ограничены шириной
+            },
+
+            // Проверять контраст текста псевдоэлементов (::before, ::after, ::marker, ::placeholder, ::first-line)
+            analyzePseudoElements: true,
+
+            // Начинать с быстрого сканирования по выборке вместо полного анализа
+            quickScan: false,
+
+            // Служебные элементы, которые не попадают в выборку быстрого сканирования
+            nonContentTags: ['HTML', 'HEAD', 'BODY', 'BASE', 'META', 'LINK', 'TITLE', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']
         },
 
         // Состояние анализатора
@@ -65,29 +82,72 @@
             fixableIssues: [],
             highlightedElements: new Set(),
             wcagLevel: 'AA', // Текущий уровень проверки
-            colorCache: new Map() // Кеш для цветовых вычислений
+            colorCache: new Map(), // Кеш для цветовых вычислений
+            backgroundCache: new Map(), // Эффективный фон по элементам на один проход
+            analysis: null, // AbortController текущего анализа (кнопка отмены в индикаторе прогресса)
+            issueElements: [], // Элементы проблем по типам - для оценки быстрого сканирования
+            scan: null, // Режим анализа { mode: 'full' | 'quick' | 'regions' }; выборка и регионы сохраняются между перезапусками
+            quickScan: null, // Оценка числа проблем по выборке последнего быстрого сканирования
+            pseudoTruncated: 0 // Элементы сверх лимита PSEUDO_TEXT: их псевдоэлементы не проверены
+        },
+
+        // Главный анализ доступности; onProgress(доля, этап), отмена - через signal.
+        // scan ограничивает анализ выборкой быстрого сканирования или регионами (null - весь документ)
+        async analyzeAccessibility({ scan = null, signal = null, onProgress = () => {} } = {}) {
+            console.log('🔍 Анализ доступности WCAG...');
+
+            // Выборка берется один раз: перезапуск с другим уровнем проверяет те же элементы
+            if (scan && scan.mode === 'quick' && !scan.sample) {
+                onProgress(0, '🎲 Выборка');
+                const elements = DEEP_DOM.querySelectorAll('*')
+                    .filter(element => !this.config.nonContentTags.includes(element.tagName));
+                scan.sample = await QUICK_SCAN.sample(elements, { signal });
+            }
+
+            DEEP_DOM.setScope(QUICK_SCAN.createScope(scan));
+            try {
+                await this.runChecks({ signal, onProgress });
+            } finally {
+                DEEP_DOM.setScope(null);
+            }
         },
 
-        // Главный анализ доступности
-        analyzeAccessibility() {
-            console.log('🔍 Анализ доступности WCAG...');
+        // Все проверки в текущей области обхода
+        async runChecks({ signal, onProgress }) {
+            // Контраст читает стиль и фон каждого элемента - основная часть времени
+            const contrastShare = 0.6;
+            await this.analyzeColorContrast({
+                signal,
+                onProgress: fraction => onProgress(fraction * contrastShare, '🎨 Контрастность')
+            });
 
-            this.analyzeColorContrast();
-            this.analyzeFocusability();
-            this.analyzeKeyboardNavigation();
-            this.analyzeAriaCompliance();
-            this.analyzeReadability();
-            this.analyzeTouchTargets();
-            this.analyzeScreenReaderCompatibility();
+            // Остальные проверки по одной: между ними браузер успевает отрисовать кадр
+            const checks = [
+                this.analyzeFocusability,
+                this.analyzeKeyboardNavigation,
+                this.analyzeAriaCompliance,
+                this.analyzeReadability,
+                this.analyzeTouchTargets,
+                this.analyzeScreenReaderCompatibility
+            ];
+            for (const [index, check] of checks.entries()) {
+                onProgress(contrastShare + (1 - contrastShare) * index / checks.length, '🔍 Проверки WCAG');
+                await TIME_SLICER.pause(signal);
+                await check.call(this, { signal });
+            }
+            onProgress(1, '🔍 Проверки WCAG');
         },
 
         // === АНАЛИЗ КОНТРАСТНОСТИ ЦВЕТОВ ===
-        analyzeColorContrast() {
+        // Элементы читаются порциями, чтобы страница на десятки тысяч узлов не зависала;
+        // контраст и исправления по снимку цветов считаются в воркере
+        async analyzeColorContrast({ signal = null, onProgress = () => {} } = {}) {
             console.log('🎨 Проверка контрастности...');
 
-            const textElements = document.querySelectorAll('*');
+            const textElements = DEEP_DOM.querySelectorAll('*');
+            const snapshot = { targets: [], samples: [] };
 
-            Array.from(textElements).forEach(element => {
+            await TIME_SLICER.forEach(textElements, element => {
                 // Пропускаем элементы без текстового контента
                 if (!element.textContent?.trim() || ['SCRIPT', 'STYLE', 'META', 'LINK', 'HEAD'].includes(element.tagName)) {
                     return;
@@ -96,71 +156,94 @@
                 // Пропускаем невидимые элементы
                 if (element.offsetParent === null && element.tagName !== 'HTML') return;
 
-                const computedStyle = getComputedStyle(element);
-
-                // Получаем цвета
-                const textColor = this.parseColor(computedStyle.color);
-                const backgroundColor = this.getEffectiveBackgroundColor(element);
+                const computedStyle = STYLE_CACHE.get(element);
+                this.takeContrastSample(snapshot, element, computedStyle, this.getEffectiveBackgroundColor(element));
+            }, { signal, onProgress: fraction => onProgress(fraction * 0.45) });
 
-                if (!textColor || !backgroundColor) return;
+            // Текст псевдоэлементов проверяется по тем же требованиям WCAG
+            if (this.config.analyzePseudoElements) {
+                const pseudoTexts = await PSEUDO_TEXT.collect(textElements, {
+                    signal,
+                    onProgress: fraction => onProgress(0.45 + fraction * 0.45)
+                });
+                pseudoTexts.forEach(({ target, style }) => {
+                    this.takeContrastSample(snapshot, target, style, this.getPseudoBackgroundColor(target, style));
+                });
+                this.state.pseudoTruncated = PSEUDO_TEXT.state.truncated;
+            }
+            onProgress(0.9);
 
-                // Вычисляем контраст
-                const contrastRatio = this.calculateContrastRatio(textColor, backgroundColor);
-                const fontSize = this.getFontSizeInPt(computedStyle);
-                const fontWeight = computedStyle.fontWeight;
+            const results = await WCAG_WORKER.run('contrast', { samples: snapshot.samples, wcag: this.config.wcag });
+            if (signal) signal.throwIfAborted();
+            results.forEach(result => this.addContrastIssue(snapshot.targets[result.index], result));
+            onProgress(1);
+        },
 
-                // Определяем требования для элемента
-                const requirements = this.getContrastRequirements(fontSize, fontWeight, element);
+        // Снимок цвета и размера текста элемента или псевдоэлемента: в воркер уходят только данные
+        takeContrastSample(snapshot, element, computedStyle, backgroundColor) {
+            const textColor = this.parseColor(computedStyle.color);
 
-                // Проверяем соответствие WCAG
-                const wcagResults = this.checkWCAGCompliance(contrastRatio, requirements);
+            if (!textColor || !backgroundColor) return;
 
-                if (!wcagResults.passAA || !wcagResults.passAAA) {
-                    this.addContrastIssue(element, {
-                        textColor,
-                        backgroundColor,
-                        contrastRatio,
-                        fontSize,
-                        fontWeight,
-                        requirements,
-                        wcagResults,
-                        computedStyle
-                    });
-                }
+            snapshot.samples.push({
+                index: snapshot.targets.length,
+                textColor,
+                backgroundColor,
+                fontSize: this.getFontSizeInPt(computedStyle),
+                fontWeight: computedStyle.fontWeight,
+                // Кнопки, иконки и вкладки проверяются по требованиям к не-текстовым элементам
+                isNonText: element.tagName === 'BUTTON' ||
+                    element.hasAttribute('role') && ['button', 'tab', 'menuitem'].includes(element.getAttribute('role'))
             });
+            snapshot.targets.push(element);
         },
 
-        // Получение эффективного фона элемента
-        getEffectiveBackgroundColor(element) {
-            let current = element;
 
-            while (current && current !== document.body) {
-                const style = getComputedStyle(current);
-                const bgColor = this.parseColor(style.backgroundColor);
+        // Предупреждение об элементах, псевдоэлементы которых не проверены из-за лимита
+        describePseudoTruncation() {
+            return `Псевдоэлементы: не проверено ${this.state.pseudoTruncated} элементов (лимит ${PSEUDO_TEXT.config.maxElements})`;
+        },
 
-                if (bgColor && bgColor.a > 0) {
-                    // Если фон непрозрачный, возвращаем его
-                    if (bgColor.a === 1) {
-                        return bgColor;
-                    }
+        // Фон псевдоэлемента: собственный (если задан) поверх фона хозяина
+        getPseudoBackgroundColor(target, style) {
+            const hostBackground = this.getEffectiveBackgroundColor(target.host);
+            const ownBackground = this.parseColor(style.backgroundColor);
 
-                    // Если полупрозрачный, смешиваем с родительским
-                    const parentBg = this.getEffectiveBackgroundColor(current.parentElement);
-                    if (parentBg) {
-                        return this.blendColors(bgColor, parentBg);
-                    }
-                }
+            if (!ownBackground || ownBackground.a === 0 || !hostBackground) return hostBackground;
+            return ownBackground.a === 1 ? ownBackground : this.blendColors(ownBackground, hostBackground);
+        },
 
-                current = current.parentElement;
+        // Получение эффективного фона элемента (кэшируется на проход: у соседних элементов общие предки)
+        getEffectiveBackgroundColor(element) {
+            // По умолчанию белый фон
+            if (!element || element === document.body) {
+                return {
+                    r: 255,
+                    g: 255,
+                    b: 255,
+                    a: 1
+                };
+            }
+            if (this.state.backgroundCache.has(element)) {
+                return this.state.backgroundCache.get(element);
             }
 
-            // По умолчанию белый фон
-            return {
-                r: 255,
-                g: 255,
-                b: 255,
-                a: 1
-            };
+            const style = STYLE_CACHE.get(element);
+            const bgColor = this.parseColor(style.backgroundColor);
+            let result;
+
+            // Если фон непрозрачный, возвращаем его
+            if (bgColor && bgColor.a === 1) {
+                result = bgColor;
+            } else {
+                // Фон shadow host и страницы под прозрачным iframe тоже учитываются
+                const parentBg = this.getEffectiveBackgroundColor(DEEP_DOM.getParent(element));
+                // Если полупрозрачный, смешиваем с родительским
+                result = bgColor && bgColor.a > 0 ? this.blendColors(bgColor, parentBg) : parentBg;
+            }
+
+            this.state.backgroundCache.set(element, result);
+            return result;
         },
 
         // Смешивание цветов для полупрозрачных элементов
@@ -208,29 +291,7 @@
             return result;
         },
 
-        // Вычисление коэффициента контрастности по WCAG
-        calculateContrastRatio(color1, color2) {
-            const l1 = this.getRelativeLuminance(color1);
-            const l2 = this.getRelativeLuminance(color2);
-
-            const lighter = Math.max(l1, l2);
-            const darker = Math.min(l1, l2);
-
-            return (lighter + 0.05) / (darker + 0.05);
-        },
-
-        // Получение относительной яркости
-        getRelativeLuminance(color) {
-            const rsRGB = color.r / 255;
-            const gsRGB = color.g / 255;
-            const bsRGB = color.b / 255;
-
-            const r = rsRGB <= 0.03928 ? rsRGB / 12.92 : Math.pow((rsRGB + 0.055) / 1.055, 2.4);
-            const g = gsRGB <= 0.03928 ? gsRGB / 12.92 : Math.pow((gsRGB + 0.055) / 1.055, 2.4);
-            const b = bsRGB <= 0.03928 ? bsRGB / 12.92 : Math.pow((bsRGB + 0.055) / 1.055, 2.4);
 
-            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-        },
 
         // Получение размера шрифта в пунктах
         getFontSizeInPt(computedStyle) {
@@ -239,59 +300,18 @@
             return fontSize * 0.75;
         },
 
-        // Определение требований контрастности для элемента
-        getContrastRequirements(fontSize, fontWeight, element) {
-            const isLargeText = fontSize >= this.config.wcag.textSizes.large ||
-                (fontSize >= this.config.wcag.textSizes.largeWeightBold &&
-                    (fontWeight === 'bold' || parseInt(fontWeight) >= 700));
-
-            // Проверяем, является ли элемент не-текстовым (кнопки, иконки и т.д.)
-            const isNonText = element.tagName === 'BUTTON' ||
-                element.hasAttribute('role') && ['button', 'tab', 'menuitem'].includes(element.getAttribute('role'));
-
-            if (isNonText) {
-                return {
-                    type: 'non-text',
-                    aa: this.config.wcag.contrastRatios.nonTextAA,
-                    aaa: this.config.wcag.contrastRatios.nonTextAAA
-                };
-            }
-
-            if (isLargeText) {
-                return {
-                    type: 'large-text',
-                    aa: this.config.wcag.contrastRatios.largeTextAA,
-                    aaa: this.config.wcag.contrastRatios.largeTextAAA
-                };
-            }
-
-            return {
-                type: 'normal-text',
-                aa: this.config.wcag.contrastRatios.normalTextAA,
-                aaa: this.config.wcag.contrastRatios.normalTextAAA
-            };
-        },
 
-        // Проверка соответствия WCAG
-        checkWCAGCompliance(contrastRatio, requirements) {
-            return {
-                ratio: contrastRatio,
-                passAA: contrastRatio >= requirements.aa,
-                passAAA: contrastRatio >= requirements.aaa,
-                requirements
-            };
-        },
 
         // === АНАЛИЗ ФОКУСИРУЕМОСТИ ===
         analyzeFocusability() {
             console.log('🎯 Проверка фокусируемости...');
 
-            const focusableElements = document.querySelectorAll(
+            const focusableElements = DEEP_DOM.querySelectorAll(
                 this.config.focusableElements.join(',')
             );
 
             Array.from(focusableElements).forEach(element => {
-                const computedStyle = getComputedStyle(element);
+                const computedStyle = STYLE_CACHE.get(element);
                 const tabindex = element.getAttribute('tabindex');
 
                 // Проверяем видимость outline при фокусе
@@ -317,7 +337,7 @@
 
         // Проверка видимости outline при фокусе
         checkFocusOutline(element) {
-            const style = getComputedStyle(element);
+            const style = STYLE_CACHE.get(element);
 
             // Проверяем outline
             const outlineWidth = style.outlineWidth;
@@ -387,7 +407,7 @@
             console.log('⌨️ Проверка навигации с клавиатуры...');
 
             // Проверяем последовательность tabindex
-            const tabbableElements = Array.from(document.querySelectorAll('[tabindex]'))
+            const tabbableElements = Array.from(DEEP_DOM.querySelectorAll('[tabindex]'))
                 .filter(el => el.getAttribute('tabindex') !== '-1')
                 .sort((a, b) => {
                     const tabA = parseInt(a.getAttribute('tabindex')) || 0;
@@ -428,10 +448,10 @@
 
         // Проверка ловушек фокуса
         checkFocusTraps() {
-            const modals = document.querySelectorAll('[role="dialog"], [role="alertdialog"], .modal');
+            const modals = DEEP_DOM.querySelectorAll('[role="dialog"], [role="alertdialog"], .modal');
 
             Array.from(modals).forEach(modal => {
-                const isVisible = getComputedStyle(modal).display !== 'none';
+                const isVisible = STYLE_CACHE.get(modal).display !== 'none';
                 if (!isVisible) return;
 
                 const focusableInModal = modal.querySelectorAll(
@@ -446,7 +466,7 @@
 
         // Проверка skip links
         checkSkipLinks() {
-            const skipLinks = document.querySelectorAll('a[href^="#"]:first-child, .skip-link, [class*="skip"]');
+            const skipLinks = DEEP_DOM.querySelectorAll('a[href^="#"]:first-child, .skip-link, [class*="skip"]');
 
             if (skipLinks.length === 0) {
                 this.addKeyboardIssue('skip-links', 'Отсутствуют skip links для навигации', []);
@@ -457,7 +477,7 @@
         analyzeAriaCompliance() {
             console.log('🏷️ Проверка ARIA соответствия...');
 
-            const allElements = document.querySelectorAll('*');
+            const allElements = DEEP_DOM.querySelectorAll('*');
 
             Array.from(allElements).forEach(element => {
                 this.checkAriaLabels(element);
@@ -712,101 +732,126 @@
         },
 
         // === АНАЛИЗ ЧИТАЕМОСТИ ===
-        analyzeReadability() {
+        // Строки и размеры измеряются здесь, индекс Флеша и проблемы считаются в воркере
+        async analyzeReadability({ signal = null } = {}) {
             console.log('📖 Анализ читаемости...');
 
-            const textElements = document.querySelectorAll('p, div, span, h1, h2, h3, h4, h5, h6, li, td, th');
+            const textElements = DEEP_DOM.querySelectorAll('p, div, span, h1, h2, h3, h4, h5, h6, li, td, th');
+            const snapshot = { targets: [], samples: [] };
 
-            Array.from(textElements).forEach(element => {
+            await TIME_SLICER.forEach(textElements, element => {
                 const text = element.textContent?.trim();
                 if (!text || text.length < 10) return;
 
-                const readabilityMetrics = this.calculateReadabilityMetrics(text, element);
+                snapshot.samples.push({ index: snapshot.targets.length, ...this.takeReadabilitySample(text, element) });
+                snapshot.targets.push(element);
+            }, { signal });
 
-                if (readabilityMetrics.hasIssues) {
-                    this.addReadabilityIssue(element, readabilityMetrics);
-                }
-            });
+            const results = await WCAG_WORKER.run('readability', { samples: snapshot.samples, lineLength: this.config.lineLength });
+            if (signal) signal.throwIfAborted();
+            results.forEach(result => this.addReadabilityIssue(snapshot.targets[result.index], result, snapshot.samples[result.index]));
         },
 
-        // Вычисление метрик читаемости
-        calculateReadabilityMetrics(text, element) {
-            const style = getComputedStyle(element);
+        // Снимок текста, шрифта и измеренных строк блока
+        takeReadabilitySample(text, element) {
+            const style = STYLE_CACHE.get(element);
             const fontSize = parseFloat(style.fontSize);
-            const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.2;
-            const letterSpacing = parseFloat(style.letterSpacing) || 0;
-
-            // Анализ текста
-            const words = text.split(/\s+/).filter(word => word.length > 0);
-            const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            const avgWordsPerSentence = sentences.length > 0 ? words.length / sentences.length : 0;
-            const avgCharsPerWord = words.reduce((sum, word) => sum + word.length, 0) / words.length;
+            const lineStats = this.measureLineLengths(element);
 
-            // Проверка длины строк
-            const lineLength = this.estimateLineLength(text, element);
-
-            // Флеш индекс читаемости (упрощенный)
-            const fleschScore = this.calculateFleschScore(words.length, sentences.length, text);
+            return {
+                text,
+                fontSize,
+                lineHeight: parseFloat(style.lineHeight) || fontSize * 1.2,
+                lineStats,
+                // Оценка - запасной вариант, если строчные блоки не измерены
+                estimatedLineLength: lineStats ? null : this.estimateLineLength(text, element)
+            };
+        },
 
-            const issues = [];
-            let hasIssues = false;
 
-            // Проверки читаемости
-            if (avgWordsPerSentence > 25) {
-                issues.push('Слишком длинные предложения (>25 слов)');
-                hasIssues = true;
+        // Количество символов в каждой отрисованной строке блока
+        measureLineLengths(element) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const range = document.createRange();
+            const lines = [];
+            let currentTop = null;
+            let currentChars = 0;
+
+            let node;
+            while ((node = walker.nextNode())) {
+                const wordPattern = /\S+/g;
+                let match;
+                while ((match = wordPattern.exec(node.nodeValue))) {
+                    range.setStart(node, match.index);
+                    range.setEnd(node, match.index + match[0].length);
+                    const rect = range.getClientRects()[0];
+                    if (!rect || rect.width === 0) continue;
+
+                    // Новый строчный блок - слово ниже текущей строки более чем на полстроки
+                    if (currentTop === null || rect.top - currentTop > rect.height / 2) {
+                        if (currentTop !== null) lines.push(currentChars);
+                        currentTop = rect.top;
+                        currentChars = match[0].length;
+                    } else {
+                        currentChars += 1 + match[0].length;
+                    }
+                }
             }
+            if (currentTop !== null) lines.push(currentChars);
 
-            if (avgCharsPerWord > 7) {
-                issues.push('Слишком сложные слова (средняя длина >7 символов)');
-                hasIssues = true;
-            }
+            return this.summarizeLineLengths(lines);
+        },
 
-            if (lineLength > 75) {
-                issues.push('Слишком длинные строки (>75 символов)');
-                hasIssues = true;
-            }
+        // Минимум, медиана и максимум длины строк (последняя строка абзаца не учитывается)
+        summarizeLineLengths(lines) {
+            if (lines.length === 0) return null;
+            const measured = (lines.length > 2 ? lines.slice(0, -1) : lines).slice().sort((a, b) => a - b);
+            const middle = Math.floor(measured.length / 2);
+            const median = measured.length % 2 ?
+                measured[middle] :
+                Math.round((measured[middle - 1] + measured[middle]) / 2);
 
-            if (fontSize < 12) {
-                issues.push('Слишком мелкий шрифт (<12px)');
-                hasIssues = true;
-            }
+            return {
+                lines: lines.length,
+                min: measured[0],
+                median,
+                max: measured[measured.length - 1]
+            };
+        },
 
-            const lineHeightRatio = lineHeight / fontSize;
-            if (lineHeightRatio < 1.2) {
-                issues.push('Недостаточный межстрочный интервал (<1.2)');
-                hasIssues = true;
+        // Ширина под длину строки считается только для отмеченных воркером блоков: замер ch - проба в DOM.
+        // Длинные строки ограничивает max-width, короткие - узкий контейнер, и max-width их не расширит
+        suggestLineWidth(element, lineStats, lineLengthIssue) {
+            if (lineLengthIssue === 'long') {
+                return { 'max-width': lineStats ? this.suggestWidthCh(element, lineStats) : '75ch' };
             }
+            return { 'min-width': this.suggestWidthCh(element, lineStats) };
+        },
 
-            if (fleschScore < 30) {
-                issues.push('Очень сложный для чтения текст (Flesch < 30)');
-                hasIssues = true;
-            } else if (fleschScore < 50) {
-                issues.push('Сложный для чтения текст (Flesch < 50)');
-                hasIssues = true;
-            }
+        // Ширина в ch для идеальной длины строки
+        suggestWidthCh(element, stats) {
+            const { min, max, ideal } = this.config.lineLength;
+            const style = STYLE_CACHE.get(element);
+            const contentWidth = element.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+            const avgCharWidth = contentWidth / Math.max(stats.max, 1);
+            const targetChars = Math.min(max, Math.max(min, ideal));
+            return `${Math.round(targetChars * avgCharWidth / this.getChWidth(element))}ch`;
+        },
 
-            return {
-                hasIssues,
-                issues,
-                metrics: {
-                    wordCount: words.length,
-                    sentenceCount: sentences.length,
-                    avgWordsPerSentence: Math.round(avgWordsPerSentence * 10) / 10,
-                    avgCharsPerWord: Math.round(avgCharsPerWord * 10) / 10,
-                    lineLength,
-                    fontSize,
-                    lineHeight,
-                    lineHeightRatio: Math.round(lineHeightRatio * 100) / 100,
-                    fleschScore: Math.round(fleschScore)
-                }
-            };
+        // Ширина единицы ch в шрифте элемента
+        getChWidth(element) {
+            const probe = document.createElement('span');
+            probe.style.cssText = 'position: absolute; visibility: hidden; width: 1ch; height: 0;';
+            element.appendChild(probe);
+            const width = probe.getBoundingClientRect().width;
+            probe.remove();
+            return width || parseFloat(STYLE_CACHE.get(element).fontSize) * 0.5;
         },
 
-        // Оценка длины строки
+        // Оценка длины строки (запасной вариант, если строчные блоки не измерены)
         estimateLineLength(text, element) {
             const rect = element.getBoundingClientRect();
-            const style = getComputedStyle(element);
+            const style = STYLE_CACHE.get(element);
             const fontSize = parseFloat(style.fontSize);
 
             // Примерная оценка: средняя ширина символа = fontSize * 0.6
@@ -816,36 +861,13 @@
             return Math.floor(availableWidth / avgCharWidth);
         },
 
-        // Упрощенный расчет индекса Флеша
-        calculateFleschScore(wordCount, sentenceCount, text) {
-            if (sentenceCount === 0 || wordCount === 0) return 100;
-
-            const avgSentenceLength = wordCount / sentenceCount;
-            const syllableCount = this.estimateSyllables(text);
-            const avgSyllablesPerWord = syllableCount / wordCount;
-
-            return 206.835 - (1.015 * avgSentenceLength) - (84.6 * avgSyllablesPerWord);
-        },
-
-        // Приблизительный подсчет слогов
-        estimateSyllables(text) {
-            const words = text.toLowerCase().match(/[а-яё]+/g) || [];
-            let syllables = 0;
-
-            words.forEach(word => {
-                // Упрощенный подсчет слогов для русского языка
-                const vowels = word.match(/[аеёиоуыэюя]/g) || [];
-                syllables += Math.max(1, vowels.length);
-            });
 
-            return syllables;
-        },
 
         // === АНАЛИЗ РАЗМЕРОВ КАСАНИЙ ===
         analyzeTouchTargets() {
             console.log('👆 Анализ размеров касаний...');
 
-            const interactiveElements = document.querySelectorAll(
+            const interactiveElements = DEEP_DOM.querySelectorAll(
                 'button, a, input, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]'
             );
 
@@ -877,7 +899,7 @@
 
         // Проверка структуры заголовков
         checkHeadingStructure() {
-            const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+            const headings = DEEP_DOM.querySelectorAll('h1, h2, h3, h4, h5, h6');
             const headingLevels = Array.from(headings).map(h => ({
                 level: parseInt(h.tagName.charAt(1)),
                 element: h,
@@ -918,7 +940,7 @@
 
         // Проверка структуры списков
         checkListStructure() {
-            const lists = document.querySelectorAll('ul, ol, dl');
+            const lists = DEEP_DOM.querySelectorAll('ul, ol, dl');
 
             Array.from(lists).forEach(list => {
                 const tagName = list.tagName.toLowerCase();
@@ -953,7 +975,7 @@
 
         // Проверка структуры таблиц
         checkTableStructure() {
-            const tables = document.querySelectorAll('table');
+            const tables = DEEP_DOM.querySelectorAll('table');
 
             Array.from(tables).forEach(table => {
                 // Проверка заголовков таблицы
@@ -986,7 +1008,7 @@
 
         // Проверка структуры форм
         checkFormStructure() {
-            const forms = document.querySelectorAll('form');
+            const forms = DEEP_DOM.querySelectorAll('form');
 
             Array.from(forms).forEach(form => {
                 const inputs = form.querySelectorAll('input, textarea, select');
@@ -1020,28 +1042,22 @@
         },
 
         // === МЕТОДЫ ДОБАВЛЕНИЯ ПРОБЛЕМ ===
-        addContrastIssue(element, data) {
-            const severity = !data.wcagResults.passAA ? 'critical' : 'warning';
-            const issueType = data.wcagResults.passAA ? 'contrast-aaa' : 'contrast-aa';
-
+        // Проблема контраста, рассчитанная WCAG_MATH.evaluateContrast
+        addContrastIssue(element, result) {
             this.state.contrastIssues.push({
                 element,
-                severity,
+                severity: result.severity,
                 type: 'contrast',
-                data
+                data: result.data
             });
 
             this.createFixableIssue(
-                issueType,
-                severity,
-                [element], {
-                    'current-ratio': data.contrastRatio.toFixed(2),
-                    'required-ratio': data.requirements.aa.toFixed(1),
-                    'text-color': this.colorToHex(data.textColor),
-                    'bg-color': this.colorToHex(data.backgroundColor)
-                },
-                this.suggestContrastFix(data),
-                `Недостаточный контраст ${data.contrastRatio.toFixed(2)}:1. ${data.requirements.type === 'normal-text' ? 'Обычный текст' : data.requirements.type === 'large-text' ? 'Крупный текст' : 'Не-текстовый элемент'} требует минимум ${data.requirements.aa}:1 для WCAG AA.`
+                result.issueType,
+                result.severity,
+                [element],
+                result.currentValues,
+                result.suggestedFix,
+                result.reasoning
             );
         },
 
@@ -1107,27 +1123,32 @@
             });
         },
 
-        addReadabilityIssue(element, metrics) {
+        // Проблема читаемости, рассчитанная WCAG_MATH.evaluateReadability
+        addReadabilityIssue(element, result, sample) {
+            const suggestedFix = result.lineLengthIssue ?
+                { ...result.suggestedFix, ...this.suggestLineWidth(element, sample.lineStats, result.lineLengthIssue) } :
+                result.suggestedFix;
+            const reasoning = result.lineLengthIssue === 'short' ?
+                `${result.reasoning} Строки укорачивает узкий контейнер: задайте блоку min-width или расширьте колонку (grid/flex) контейнера.` :
+                result.reasoning;
+
             this.state.readabilityIssues.push({
                 element,
                 severity: 'info',
                 type: 'readability',
-                metrics
+                metrics: {
+                    issues: result.issues,
+                    metrics: result.metrics
+                }
             });
 
             this.createFixableIssue(
                 'readability-issues',
                 'info',
-                [element], {
-                    'font-size': `${metrics.metrics.fontSize}px`,
-                    'line-height': metrics.metrics.lineHeight,
-                    'issues': metrics.issues.join('; ')
-                }, {
-                    'font-size': Math.max(14, metrics.metrics.fontSize) + 'px',
-                    'line-height': Math.max(1.4, metrics.metrics.lineHeightRatio).toFixed(1),
-                    'max-width': '75ch'
-                },
-                `Проблемы читаемости: ${metrics.issues.join(', ')}.`
+                [element],
+                result.currentValues,
+                suggestedFix,
+                reasoning
             );
         },
 
@@ -1160,25 +1181,6 @@
         },
 
         // === МЕТОДЫ ПРЕДЛОЖЕНИЯ ИСПРАВЛЕНИЙ ===
-        suggestContrastFix(data) {
-            const {
-                textColor,
-                backgroundColor,
-                requirements
-            } = data;
-            const requiredRatio = requirements.aa;
-
-            // Предлагаем изменение цвета текста или фона
-            const darkerText = this.adjustColorForContrast(textColor, backgroundColor, requiredRatio, 'darken');
-            const lighterBg = this.adjustColorForContrast(backgroundColor, textColor, requiredRatio, 'lighten');
-
-            return {
-                'color': this.colorToHex(darkerText),
-                'background-color': this.colorToHex(lighterBg),
-                'alternative-1': `color: ${this.colorToHex(darkerText)}`,
-                'alternative-2': `background-color: ${this.colorToHex(lighterBg)}`
-            };
-        },
 
         suggestAriaFix(element, type) {
             const tagName = element.tagName.toLowerCase();
@@ -1208,42 +1210,7 @@
         },
 
         // === ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ ===
-        adjustColorForContrast(color, bgColor, targetRatio, direction) {
-            let adjustedColor = {
-                ...color
-            };
-            let currentRatio = this.calculateContrastRatio(adjustedColor, bgColor);
-
-            const step = direction === 'darken' ? -10 : 10;
-            let iterations = 0;
-            const maxIterations = 25;
-
-            while (currentRatio < targetRatio && iterations < maxIterations) {
-                if (direction === 'darken') {
-                    adjustedColor.r = Math.max(0, adjustedColor.r + step);
-                    adjustedColor.g = Math.max(0, adjustedColor.g + step);
-                    adjustedColor.b = Math.max(0, adjustedColor.b + step);
-                } else {
-                    adjustedColor.r = Math.min(255, adjustedColor.r + step);
-                    adjustedColor.g = Math.min(255, adjustedColor.g + step);
-                    adjustedColor.b = Math.min(255, adjustedColor.b + step);
-                }
-
-                currentRatio = this.calculateContrastRatio(adjustedColor, bgColor);
-                iterations++;
-            }
-
-            return adjustedColor;
-        },
-
-        colorToHex(color) {
-            const toHex = (n) => {
-                const hex = Math.round(Math.max(0, Math.min(255, n))).toString(16);
-                return hex.length === 1 ? '0' + hex : hex;
-            };
 
-            return `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`;
-        },
 
         createFixableIssue(type, severity, elements, currentValues, suggestedFix, reasoning) {
             const fixes = elements.map(element => ({
@@ -1259,6 +1226,7 @@
                 impact: this.getAccessibilityImpact(type)
             }));
 
+            this.state.issueElements.push({ type, elements });
             this.state.fixableIssues.push({
                 issueType: type,
                 severity: severity,
@@ -1331,7 +1299,17 @@
             return automatable.includes(type);
         },
 
+        // Селектор через границы shadow root и iframe
         generateSelector(element) {
+            return DEEP_DOM.buildSelector(element, current => this.generateLocalSelector(current));
+        },
+
+        // Селектор внутри собственной области элемента (документ или shadow root)
+        generateLocalSelector(element) {
+            if (element.pseudo) {
+                return this.generateLocalSelector(element.host) + element.pseudo;
+            }
+
             if (element.id) {
                 return `#${element.id}`;
             }
@@ -1346,7 +1324,7 @@
             }
 
             // Добавляем nth-child если селектор не уникален
-            const similarElements = document.querySelectorAll(selector);
+            const similarElements = element.getRootNode().querySelectorAll(selector);
             if (similarElements.length > 1) {
                 const parent = element.parentElement;
                 if (parent) {
@@ -1364,33 +1342,52 @@
         },
 
         getElementPath(element) {
-            const path = [];
+            if (element.pseudo) {
+                return this.getElementPath(element.host) + element.pseudo;
+            }
+
+            const scopes = [];
+            let path = [];
             let current = element;
 
-            while (current && current !== document.body && current !== document.documentElement) {
+            while (current) {
+                // body и html завершают путь в своем документе, дальше - iframe (если есть)
+                if (current === current.ownerDocument.body || current === current.ownerDocument.documentElement) {
+                    current = DEEP_DOM.getBoundary(current);
+                    scopes.unshift(path.join(' > '));
+                    path = [];
+                    continue;
+                }
+
                 let selector = current.tagName.toLowerCase();
                 if (current.id) {
                     selector += `#${current.id}`;
-                    path.unshift(selector);
-                    break;
-                }
-                if (current.className && typeof current.className === 'string') {
+                } else if (current.className && typeof current.className === 'string') {
                     const classes = current.className.trim().split(/\s+/);
                     if (classes.length > 0 && classes[0] !== '') {
                         selector += '.' + classes[0];
                     }
                 }
                 path.unshift(selector);
-                current = current.parentElement;
+
+                // ID уникален в своей области - поднимаемся сразу к shadow host / iframe
+                const parent = current.id ? null : current.parentElement;
+                if (parent) {
+                    current = parent;
+                    continue;
+                }
+                current = DEEP_DOM.getBoundary(current);
+                scopes.unshift(path.join(' > '));
+                path = [];
             }
 
-            return path.join(' > ');
+            if (path.length > 0) scopes.unshift(path.join(' > '));
+            return scopes.filter(Boolean).join(DEEP_DOM.separator);
         },
 
         // === СОЗДАНИЕ ИНТЕРФЕЙСА ===
         createAccessibilityInterface() {
             const container = document.createElement('div');
-            container.id = 'accessibility-analyzer-results';
             container.style.cssText = `
         position: fixed;
         top: 10px;
@@ -1436,7 +1433,8 @@
             this.setupEventListeners(container);
             this.renderIssues(issuesContainer, 'all');
 
-            document.body.appendChild(container);
+            // Панель живет в закрытом shadow root, стили страницы ее не задевают
+            SHADOW_PANEL.mount(container, 'accessibility-analyzer-results');
             console.log('Accessibility interface added to DOM');
         },
 
@@ -1451,7 +1449,7 @@
         border-radius: 14px 14px 0 0;
       `;
 
-            header.innerHTML = `
+            SHADOW_PANEL.html(header, `
         <div>
           <div style="font-weight: bold; font-size: 16px;">♿ Accessibility Analyzer</div>
           <div style="font-size: 11px; opacity: 0.9; margin-top: 2px;">WCAG 2.1 Compliance Check</div>
@@ -1463,7 +1461,7 @@
           </select>
           <button id="close-a11y-analyzer" style="background:none;border:none;color:#fff;font-size:18px;cursor:pointer;opacity:0.8;">✕</button>
         </div>
-      `;
+      `);
 
             return header;
         },
@@ -1479,7 +1477,7 @@
 
             const categoryStats = this.getAccessibilityCategoryStats();
 
-            stats.innerHTML = `
+            SHADOW_PANEL.html(stats, `
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 12px; margin-bottom: 12px;">
           <div style="text-align: center; padding: 8px; background: rgba(255,75,87,0.1); border-radius: 6px; border: 1px solid rgba(255,75,87,0.2);">
 <div style="font-size: 20px; font-weight: bold; color: #ff4757;">${criticalCount}</div>
@@ -1506,7 +1504,7 @@
           <div>🤲 Моторика: ${categoryStats.motor || 0}</div>
           <div>🧠 Когнитивные: ${categoryStats.cognitive || 0}</div>
         </div>
-      `;
+      `);
 
             return stats;
         },
@@ -1606,10 +1604,10 @@
       min-width: 80px;
     `;
 
-                tab.innerHTML = `
+                SHADOW_PANEL.html(tab, `
       <div>${filter.icon}</div>
       <div style="margin-top: 2px;">${filter.label}</div>
-    `;
+    `);
                 tab.dataset.filter = filter.name;
                 tab.dataset.color = filter.color;
 
@@ -1639,15 +1637,17 @@
         // Новый метод для отображения вкладки экспорта
         showExportTab() {
             console.log('showExportTab called');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            if (!panel) return;
             
             // Обновляем активную вкладку
-            document.querySelectorAll('[data-filter]').forEach(tab => {
+            panel.querySelectorAll('[data-filter]').forEach(tab => {
                 tab.style.color = '#ccc';
                 tab.style.borderBottomColor = 'transparent';
                 tab.style.background = 'transparent';
             });
 
-            const exportTab = document.querySelector('[data-filter="export"]');
+            const exportTab = panel.querySelector('[data-filter="export"]');
             console.log('Export tab found:', exportTab);
             
             if (exportTab) {
@@ -1658,7 +1658,7 @@
             }
 
             // Отображаем панель экспорта
-            const container = document.getElementById('a11y-issues-container');
+            const container = panel.getElementById('a11y-issues-container');
             console.log('Container found:', container);
             
             if (container) {
@@ -1668,7 +1668,7 @@
                 container.style.minHeight = '600px';
                 
                 // Также увеличиваем высоту основного контейнера
-                const mainContainer = document.getElementById('accessibility-analyzer-results');
+                const mainContainer = panel.firstElementChild;
                 if (mainContainer) {
                     mainContainer.style.maxHeight = '95vh';
                     mainContainer.style.minHeight = '700px';
@@ -1678,8 +1678,8 @@
             } else {
                 console.error('Container a11y-issues-container not found');
                 // Попробуем найти контейнер по другому селектору
-                const altContainer = document.querySelector('#accessibility-analyzer-results .a11y-issues-container') || 
-                                   document.querySelector('#accessibility-analyzer-results > div:nth-child(4)');
+                const altContainer = panel.querySelector('.a11y-issues-container') || 
+                                   panel.firstElementChild.children[3];
                 console.log('Alternative container found:', altContainer);
                 if (altContainer) {
                     altContainer.style.maxHeight = '80vh';
@@ -1704,7 +1704,7 @@
 
             const stats = this.getExportStats();
 
-            exportPanel.innerHTML = `
+            SHADOW_PANEL.html(exportPanel, `
     <div style="text-align: center; margin-bottom: 24px;">
       <h3 style="color: #764ba2; margin: 0 0 8px 0; font-size: 18px;">📤 Экспорт и копирование</h3>
       <p style="color: #ccc; margin: 0; font-size: 12px;">
@@ -1793,7 +1793,7 @@
         </div>
       </div>
     </div>
-  `;
+  `);
 
             // Добавляем обработчики событий
             this.setupExportEventListeners(exportPanel);
@@ -1946,7 +1946,8 @@
 
         // Скрыть подсказку экспорта
         hideExportTooltip() {
-            const tooltip = document.getElementById('export-tooltip');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            const tooltip = panel && panel.getElementById('export-tooltip');
             if (tooltip) {
                 tooltip.style.opacity = '0';
                 setTimeout(() => {
@@ -2134,7 +2135,7 @@
 
             const automationStats = this.getAutomationStats();
 
-            controls.innerHTML = `
+            SHADOW_PANEL.html(controls, `
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 8px; margin-bottom: 12px;">
           <button id="clear-a11y-highlights" style="background:#555;border:none;color:#fff;padding:8px 12px;border-radius:6px;cursor:pointer;font-size:11px;">
             🧹 Очистить подсветку
@@ -2148,8 +2149,11 @@
           <button id="simulate-screen-reader" style="background:#10ac84;border:none;color:#fff;padding:8px 12px;border-radius:6px;cursor:pointer;font-size:11px;">
             🔊 Симуляция скрин-ридера
           </button>
+          <button id="toggle-quick-scan" style="background:#557700;border:none;color:#fff;padding:8px 12px;border-radius:6px;cursor:pointer;font-size:11px;">
+            ${this.state.scan.mode === 'full' ? '🎲 Быстрое сканирование' : '📄 Полный анализ'}
+          </button>
         </div>
-        
+        ${this.createQuickScanBlock()}
         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 8px; margin-bottom: 8px;">
           <button id="copy-all-a11y-fixes" style="background:#00cc66;border:none;color:#fff;padding:8px 12px;border-radius:6px;cursor:pointer;font-size:10px;">
             📋 Все исправления (${this.state.fixableIssues.length})
@@ -2168,7 +2172,7 @@
         <div style="font-size: 10px; color: #888; text-align: center;">
           💡 Кликните на проблему для подсветки • Hover для деталей WCAG
         </div>
-      `;
+      `);
 
             return controls;
         },
@@ -2225,13 +2229,13 @@
                     'wcag-aaa': '🥇'
                 };
 
-                emptyState.innerHTML = `
+                SHADOW_PANEL.html(emptyState, `
           <div style="font-size: 64px; margin-bottom: 16px;">${icons[filterType] || '🎉'}</div>
           <div style="font-weight: bold; margin-bottom: 8px;">Отличная работа!</div>
           <div style="font-size: 12px;">
             Проблем категории "${filterType}" не обнаружено
           </div>
-        `;
+        `);
                 container.appendChild(emptyState);
                 return;
             }
@@ -2271,7 +2275,7 @@
             const categoryBadge = this.createCategoryBadge(issue);
             const severityBadge = this.createSeverityBadge(issue);
 
-            row.innerHTML = `
+            SHADOW_PANEL.html(row, `
         <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
           <div style="flex: 1;">
             <div style="font-weight: bold; font-size: 13px; margin-bottom: 4px;">
@@ -2304,12 +2308,13 @@
             ${issue.impact}
           </div>
         </div>
-      `;
+      `);
 
             // Enhanced interactions with accessibility info
             row.addEventListener('click', () => {
                 const elements = issue.fixes.map(fix => {
-                    const element = document.querySelector(fix.selector);
+                    // Псевдоэлемент подсвечивается через элемент-хозяин
+                    const element = DEEP_DOM.querySelector(fix.selector.replace(/::[\w-]+$/, ''));
                     return element;
                 }).filter(Boolean);
 
@@ -2455,14 +2460,14 @@
         line-height: 1.4;
       `;
 
-            tooltip.innerHTML = `
+            SHADOW_PANEL.html(tooltip, `
         <div style="font-weight: bold; margin-bottom: 6px;">${issue.wcagCriteria}</div>
         <div style="margin-bottom: 4px;">${issue.impact}</div>
         <div style="color: #ccc; font-size: 10px;">
           Затронуто элементов: ${issue.affectedElements} • 
           ${issue.automationPossible ? 'Автоматизируемо' : 'Ручная проверка'}
         </div>
-      `;
+      `);
 
             element.appendChild(tooltip);
 
@@ -2472,7 +2477,8 @@
         },
 
         hideWCAGTooltip() {
-            const tooltip = document.getElementById('wcag-tooltip');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            const tooltip = panel && panel.getElementById('wcag-tooltip');
             if (tooltip) {
                 tooltip.style.opacity = '0';
                 setTimeout(() => {
@@ -2511,7 +2517,7 @@
           box-shadow: 0 0 20px ${color}40;
         `;
 
-                const rect = element.getBoundingClientRect();
+                const rect = DEEP_DOM.getViewportRect(element);
                 overlay.style.top = (rect.top + window.scrollY - 4) + 'px';
                 overlay.style.left = (rect.left + window.scrollX - 4) + 'px';
                 overlay.style.width = (rect.width + 8) + 'px';
@@ -2539,10 +2545,10 @@
 
                 const tagName = element.tagName.toLowerCase();
                 const issueTypeShort = issue.issueType.split('-')[0];
-                label.innerHTML = `
+                SHADOW_PANEL.html(label, `
           <div>${index + 1}. ${tagName} - ${issueTypeShort}</div>
           <div style="font-size: 9px; opacity: 0.9; margin-top: 2px;">WCAG ${issue.wcagLevel} • ${issue.category}</div>
-        `;
+        `);
                 overlay.appendChild(label);
 
                 // Add detailed info panel
@@ -2585,7 +2591,7 @@
                     infoContent = `<div>${issue.description}</div>`;
                 }
 
-                infoPanel.innerHTML = infoContent;
+                SHADOW_PANEL.html(infoPanel, infoContent);
                 overlay.appendChild(infoPanel);
 
                 // Show info panel on hover
@@ -2597,7 +2603,7 @@
                     infoPanel.style.opacity = '0';
                 });
 
-                document.body.appendChild(overlay);
+                document.body.appendChild(DEEP_DOM.markOwned(overlay));
                 this.state.highlightedElements.add(overlay);
 
                 // Staggered animation
@@ -2609,19 +2615,13 @@
                 }, index * 150);
             });
 
-            // Add pulse animation styles if not present
-            if (!document.getElementById('a11y-pulse-styles')) {
-                const style = document.createElement('style');
-                style.id = 'a11y-pulse-styles';
-                style.textContent = `
-          @keyframes a11yPulse {
-            0% { box-shadow: 0 0 20px ${this.getSeverityColor(issue.severity)}40; }
-            50% { box-shadow: 0 0 30px ${this.getSeverityColor(issue.severity)}60; }
-            100% { box-shadow: 0 0 20px ${this.getSeverityColor(issue.severity)}40; }
-          }
-        `;
-                document.head.appendChild(style);
-            }
+            // Pulse animation in the color of the issue severity
+            const pulseColor = this.getSeverityColor(issue.severity);
+            SHADOW_PANEL.setKeyframes('a11yPulse', `
+            0% { box-shadow: 0 0 20px ${pulseColor}40; }
+            50% { box-shadow: 0 0 30px ${pulseColor}60; }
+            100% { box-shadow: 0 0 20px ${pulseColor}40; }
+        `);
 
             // Scroll to first element
             if (elements.length > 0 && elements[0]) {
@@ -2670,6 +2670,16 @@
                 this.simulateScreenReader();
             });
 
+            // Quick scan and escalation to a full scan of affected regions
+            container.querySelector('#toggle-quick-scan').addEventListener('click', () => {
+                this.toggleQuickScan();
+            });
+
+            const escalateButton = container.querySelector('#escalate-quick-scan');
+            if (escalateButton) {
+                escalateButton.addEventListener('click', () => this.escalateQuickScan());
+            }
+
             // Copy buttons
             container.querySelector('#copy-all-a11y-fixes').addEventListener('click', () => {
                 this.copyAccessibilityFixes('all');
@@ -2689,8 +2699,10 @@
         },
 
         filterAccessibilityIssues(filterType, activeTab) {
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+
             // Update active tab
-            document.querySelectorAll('[data-filter]').forEach(tab => {
+            panel.querySelectorAll('[data-filter]').forEach(tab => {
                 tab.style.color = '#ccc';
                 tab.style.borderBottomColor = 'transparent';
                 tab.style.background = 'transparent';
@@ -2702,7 +2714,7 @@
             activeTab.style.background = `linear-gradient(180deg, transparent 0%, ${color}15 100%)`;
 
             // Re-render issues
-            const container = document.getElementById('a11y-issues-container');
+            const container = panel.getElementById('a11y-issues-container');
             
             // Восстанавливаем стандартную высоту контейнера для обычных вкладок
             if (filterType !== 'export') {
@@ -3204,21 +3216,45 @@
         },
 
         // === ADVANCED TESTING FEATURES ===
-        rerunContrastCheck() {
+        async rerunContrastCheck() {
             this.showAccessibilityNotification('🔄 Перепроверяю контрастность...', 'info');
+            this.cancelAnalysis();
+            const controller = new AbortController();
+            this.state.analysis = controller;
 
             // Clear previous contrast issues
             this.state.contrastIssues = [];
             this.state.fixableIssues = this.state.fixableIssues.filter(
                 issue => !issue.issueType.includes('contrast')
             );
+            this.state.issueElements = this.state.issueElements.filter(({ type }) => !type.includes('contrast'));
+            STYLE_CACHE.reset();
+            this.state.backgroundCache.clear();
 
-            // Re-run contrast analysis
-            this.analyzeColorContrast();
+            // Re-run contrast analysis in the same sample or regions
+            DEEP_DOM.setScope(QUICK_SCAN.createScope(this.state.scan));
+            try {
+                await this.analyzeColorContrast({
+                    signal: controller.signal,
+                    onProgress: fraction => this.showAnalysisProgress(fraction, '🎨 Контрастность')
+                });
+            } catch (error) {
+                if (error.name !== 'AbortError') throw error;
+                return;
+            } finally {
+                DEEP_DOM.setScope(null);
+                if (this.state.analysis === controller) {
+                    this.state.analysis = null;
+                    this.hideAnalysisProgress();
+                }
+            }
+            this.updateQuickScanEstimate();
 
             // Update interface
-            const container = document.getElementById('a11y-issues-container');
-            this.renderIssues(container, 'visual');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            if (panel) {
+                this.renderIssues(panel.getElementById('a11y-issues-container'), 'visual');
+            }
 
             this.showAccessibilityNotification('✅ Контрастность перепроверена', 'success');
         },
@@ -3226,13 +3262,13 @@
         simulateScreenReader() {
             this.showAccessibilityNotification('🔊 Запуск симуляции скрин-ридера...', 'info');
 
-            const focusableElements = document.querySelectorAll(
+            const focusableElements = DEEP_DOM.querySelectorAll(
                 this.config.focusableElements.join(',')
             );
 
             const readingOrder = [];
-            const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-            const landmarks = document.querySelectorAll('header, nav, main, section, article, aside, footer');
+            const headings = DEEP_DOM.querySelectorAll('h1, h2, h3, h4, h5, h6');
+            const landmarks = DEEP_DOM.querySelectorAll('header, nav, main, section, article, aside, footer');
 
             // Create screen reader simulation
             console.group('🔊 Screen Reader Simulation');
@@ -3274,18 +3310,21 @@
             this.state.wcagLevel = level;
 
             // Re-filter issues based on level
-            const container = document.getElementById('a11y-issues-container');
-            this.renderIssues(container, 'all');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            if (panel) {
+                this.renderIssues(panel.getElementById('a11y-issues-container'), 'all');
+            }
 
             // Update stats
             this.updateStatsDashboard();
         },
 
         updateStatsDashboard() {
-            const stats = document.querySelector('#accessibility-analyzer-results > div:nth-child(2)');
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            const stats = panel && panel.firstElementChild.children[1];
             if (stats) {
                 const newStats = this.createStatsDashboard();
-                stats.innerHTML = newStats.innerHTML;
+                stats.replaceChildren(...newStats.childNodes);
             }
         },
 
@@ -3302,11 +3341,8 @@
             });
             this.state.highlightedElements.clear();
 
-            // Remove pulse styles
-            const pulseStyles = document.getElementById('a11y-pulse-styles');
-            if (pulseStyles) {
-                pulseStyles.remove();
-            }
+            // Remove pulse animation
+            SHADOW_PANEL.removeKeyframes('a11yPulse');
         },
 
         getSeverityColor(severity) {
@@ -3351,7 +3387,7 @@
       `;
 
             notification.textContent = message;
-            document.body.appendChild(notification);
+            const host = SHADOW_PANEL.mount(notification);
 
             // Animate in
             requestAnimationFrame(() => {
@@ -3364,9 +3400,7 @@
                 notification.style.opacity = '0';
                 notification.style.transform = 'translateX(-50%) translateY(-30px)';
                 setTimeout(() => {
-                    if (notification.parentNode) {
-                        notification.parentNode.removeChild(notification);
-                    }
+                    host.remove();
                 }, 400);
             }, 4000);
         },
@@ -3401,6 +3435,20 @@
                 }
             });
 
+            // Quick scan estimates for the whole page
+            if (this.state.quickScan) {
+                console.log(`\n🎲 Quick Scan (${this.state.quickScan.sampleSize}/${this.state.quickScan.population} elements, 95% CI):`);
+                console.table(QUICK_SCAN.getTable(this.state.quickScan));
+                const reliability = QUICK_SCAN.describeReliability(this.state.quickScan);
+                if (reliability) {
+                    console.warn(`⚠️ ${reliability}`);
+                }
+            }
+
+            if (this.state.pseudoTruncated > 0) {
+                console.warn(`⚠️ ${this.describePseudoTruncation()}`);
+            }
+
             // Testing recommendations
             console.log('\n🧪 Testing Recommendations:');
             console.log('1. Run axe-core DevTools extension');
@@ -3450,16 +3498,19 @@
         },
 
         generateCodeExample(fix, issueType) {
+            // Для shadow root / iframe правило пишется в стили этой области
+            const { scope, local: selector } = DEEP_DOM.splitSelector(fix.selector);
+            const scopeComment = scope ? `/* внутри ${scope} */\n` : '';
             const examples = {
-                'contrast-aa': `/* Улучшение контраста */\n${fix.selector} {\n  color: ${fix.suggestedFix.color || '#000'};\n  background-color: ${fix.suggestedFix['background-color'] || '#fff'};\n}`,
+                'contrast-aa': `/* Улучшение контраста */\n${selector} {\n  color: ${fix.suggestedFix.color || '#000'};\n  background-color: ${fix.suggestedFix['background-color'] || '#fff'};\n}`,
                 'missing-accessible-name': `<!-- Добавление доступного имени -->\n<${fix.tagName} aria-label="${fix.suggestedFix['aria-label'] || 'Описание элемента'}">`,
-                'focus-accessibility': `/* Улучшение фокуса */\n${fix.selector}:focus {\n  outline: 2px solid #005fcc;\n  outline-offset: 2px;\n}`,
-                'touch-target-size': `/* Увеличение области касания */\n${fix.selector} {\n  min-width: 44px;\n  min-height: 44px;\n  padding: 8px;\n}`,
+                'focus-accessibility': `/* Улучшение фокуса */\n${selector}:focus {\n  outline: 2px solid #005fcc;\n  outline-offset: 2px;\n}`,
+                'touch-target-size': `/* Увеличение области касания */\n${selector} {\n  min-width: 44px;\n  min-height: 44px;\n  padding: 8px;\n}`,
                 'missing-required-state': `<!-- Добавление состояния -->\n<${fix.tagName} aria-expanded="false" aria-checked="false">`,
-                'readability-issues': `/* Улучшение читаемости */\n${fix.selector} {\n  font-size: ${fix.suggestedFix['font-size'] || '16px'};\n  line-height: ${fix.suggestedFix['line-height'] || '1.5'};\n  max-width: 75ch;\n}`
+                'readability-issues': `/* Улучшение читаемости */\n${selector} {\n  font-size: ${fix.suggestedFix['font-size'] || '16px'};\n  line-height: ${fix.suggestedFix['line-height'] || '1.5'};${fix.suggestedFix['max-width'] ? `\n  max-width: ${fix.suggestedFix['max-width']};` : ''}${fix.suggestedFix['min-width'] ? `\n  min-width: ${fix.suggestedFix['min-width']}; /* или шире колонка контейнера */` : ''}\n}`
             };
 
-            return examples[issueType] || `/* Исправление для ${issueType} */\n${fix.selector} {\n  /* Добавить соответствующие CSS правила */\n}`;
+            return scopeComment + (examples[issueType] || `/* Исправление для ${issueType} */\n${selector} {\n  /* Добавить соответствующие CSS правила */\n}`);
         },
 
         generateTestingInstructions(issueType) {
@@ -3477,30 +3528,79 @@
         cleanup() {
             this.clearHighlights();
 
-            const container = document.getElementById('accessibility-analyzer-results');
-            if (container) {
+            const panel = SHADOW_PANEL.getRoot('accessibility-analyzer-results');
+            if (panel) {
+                const container = panel.firstElementChild;
                 container.style.opacity = '0';
                 container.style.transform = 'translateY(-20px) scale(0.95)';
-                setTimeout(() => {
-                    if (container.parentNode) {
-                        container.parentNode.removeChild(container);
-                    }
-                }, 300);
+                SHADOW_PANEL.unmount('accessibility-analyzer-results', 300);
             }
 
             // Clean up color cache
             this.state.colorCache.clear();
+            WCAG_WORKER.terminate();
+        },
+
+        // Отмена текущего анализа
+        cancelAnalysis() {
+            if (!this.state.analysis) return;
+            this.state.analysis.abort();
+            this.state.analysis = null;
+        },
 
-            // Remove any remaining styles
-            const pulseStyles = document.getElementById('a11y-pulse-styles');
-            if (pulseStyles) {
-                pulseStyles.remove();
+        // Индикатор прогресса анализа с кнопкой отмены
+        showAnalysisProgress(fraction, label) {
+            const percent = Math.round(fraction * 100);
+            const root = SHADOW_PANEL.getRoot('accessibility-analyzer-progress');
+            if (root) {
+                root.getElementById('a11y-progress-bar').style.width = `${percent}%`;
+                root.getElementById('a11y-progress-label').textContent = `${label} - ${percent}%`;
+                return;
             }
+
+            const container = document.createElement('div');
+            container.style.cssText = `
+        position: fixed;
+        top: 10px;
+        right: 10px;
+        width: 360px;
+        padding: 14px 18px;
+        background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+        border: 2px solid #0f3460;
+        border-radius: 16px;
+        color: #fff;
+        font-family: 'SF Mono', Consolas, 'Liberation Mono', monospace;
+        font-size: 12px;
+        z-index: 10000;
+        box-shadow: 0 16px 48px rgba(0,0,0,0.5);
+      `;
+            SHADOW_PANEL.html(container, `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 10px;">
+          <span id="a11y-progress-label"></span>
+          <button id="a11y-progress-cancel" style="background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 11px; font-family: inherit;">⏹️ Отмена</button>
+        </div>
+        <div style="height: 6px; background: rgba(255,255,255,0.1); border-radius: 3px; overflow: hidden;">
+          <div id="a11y-progress-bar" style="height: 100%; width: 0; background: linear-gradient(90deg, #667eea 0%, #764ba2 100%); transition: width 0.2s ease;"></div>
+        </div>
+      `);
+            container.querySelector('#a11y-progress-cancel').addEventListener('click', () => {
+                this.cancelAnalysis();
+                this.hideAnalysisProgress();
+                this.showAccessibilityNotification('⏹️ Анализ отменен', 'info');
+            });
+
+            SHADOW_PANEL.mount(container, 'accessibility-analyzer-progress');
+            this.showAnalysisProgress(fraction, label);
+        },
+
+        hideAnalysisProgress() {
+            SHADOW_PANEL.unmount('accessibility-analyzer-progress');
         },
 
         // === MAIN EXECUTION METHOD ===
-        run() {
+        async run() {
             console.log('🚀 Starting Comprehensive Accessibility Analysis...');
+            this.cancelAnalysis();
 
             // Show loading notification
             this.showAccessibilityNotification('🔍 Выполняю глубокий анализ доступности WCAG 2.1...', 'info');
@@ -3516,17 +3616,31 @@
                 fixableIssues: [],
                 highlightedElements: new Set(),
                 wcagLevel: 'AA',
-                colorCache: new Map()
+                colorCache: new Map(),
+                backgroundCache: new Map(),
+                analysis: new AbortController(),
+                issueElements: [],
+                scan: this.state.scan || { mode: this.config.quickScan ? 'quick' : 'full' },
+                quickScan: null,
+                pseudoTruncated: 0
             };
+            const controller = this.state.analysis;
 
+            DEEP_DOM.reset();
+            STYLE_CACHE.reset();
             this.cleanup();
 
             try {
                 // Run comprehensive analysis
-                this.analyzeAccessibility();
+                await this.analyzeAccessibility({
+                    scan: this.state.scan,
+                    signal: controller.signal,
+                    onProgress: (fraction, label) => this.showAnalysisProgress(fraction, label)
+                });
 
                 // Consolidate all issues into fixableIssues for interface
                 this.consolidateIssues();
+                this.updateQuickScanEstimate();
 
                 setTimeout(() => {
                     const wcagScore = this.calculateWCAGScore();
@@ -3562,9 +3676,69 @@
                 }, 1000);
 
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    console.log('⏹️ Accessibility Analysis cancelled');
+                    return;
+                }
                 console.error('Accessibility Analysis Error:', error);
                 this.showAccessibilityNotification('❌ Ошибка при анализе доступности. Проверьте консоль.', 'error');
+            } finally {
+                // Новый запуск уже заменил индикатор своим
+                if (this.state.analysis === controller) {
+                    this.state.analysis = null;
+                    this.hideAnalysisProgress();
+                }
+            }
+        },
+
+        // Оценка по выборке пересчитывается после всех проблем, включая добавленные при консолидации
+        updateQuickScanEstimate() {
+            const { scan } = this.state;
+            this.state.quickScan = scan && scan.mode === 'quick' ?
+                QUICK_SCAN.estimate(scan.sample, this.state.issueElements) :
+                null;
+        },
+
+        // Переключение между быстрым сканированием по новой выборке и полным анализом страницы
+        toggleQuickScan() {
+            this.state.scan = { mode: this.state.scan && this.state.scan.mode === 'full' ? 'quick' : 'full' };
+            this.run();
+        },
+
+        // Полный анализ регионов, в которых выборка нашла проблемы
+        escalateQuickScan() {
+            const { regions } = this.state.quickScan;
+            this.state.scan = { mode: 'regions', regions: new Set(regions) };
+            this.run();
+        },
+
+        // Блок панели с оценкой быстрого сканирования или областью полного анализа
+        createQuickScanBlock() {
+            const { scan, quickScan } = this.state;
+            if (scan.mode === 'regions') {
+                return `
+        <div style="font-size: 11px; color: #aaa; margin-bottom: 12px;">
+          🔎 Полный анализ регионов с проблемами: ${scan.regions.size}
+        </div>`;
             }
+            if (!quickScan) return '';
+            const reliability = QUICK_SCAN.describeReliability(quickScan);
+
+            return `
+        <div style="background: rgba(255,255,255,0.05); padding: 10px 12px; border-radius: 8px; margin-bottom: 12px;">
+          <div style="font-size: 11px; margin-bottom: 6px;">🎲 Выборка: ${quickScan.sampleSize} из ${quickScan.population} элементов (${quickScan.strata} слоев: тег × регион × видимость)</div>
+          ${quickScan.rows.map(row => `
+          <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 10px;">
+            <span style="color: #ccc;">${row.type}</span>
+            <span style="color: #aaa; white-space: nowrap;">${row.found} в выборке → ${QUICK_SCAN.formatEstimate(row)}</span>
+          </div>`).join('')}
+          <div style="font-size: 10px; color: #888; margin: 6px 0;">Оценка числа элементов на всей странице, 95% интервал</div>
+          ${reliability ? `<div style="font-size: 10px; color: #ffaa00; margin-bottom: 6px;">⚠️ ${reliability}</div>` : ''}
+          ${quickScan.regions.length > 0 ? `
+          <button id="escalate-quick-scan" style="background:#0066cc;border:none;color:#fff;padding:6px 12px;border-radius:6px;cursor:pointer;font-size:10px;">
+            🔎 Полный анализ регионов с проблемами (${quickScan.regions.length})
+          </button>` : ''}
+        </div>`;
         },
 
         // Consolidate all issue types into fixableIssues array
@@ -3629,7 +3803,6 @@
             const isLowScore = wcagScore < 50;
             
             const container = document.createElement('div');
-            container.id = 'accessibility-success-results';
             container.style.cssText = `
         position: fixed;
         top: 10px;
@@ -3669,7 +3842,7 @@
                 
                 // Show special message for 0% score
                 if (wcagScore === 0) {
-                    issuesContainer.innerHTML = `
+                    SHADOW_PANEL.html(issuesContainer, `
                         <div style="padding: 40px 20px; text-align: center; color: #ff4757;">
                             <div style="font-size: 64px; margin-bottom: 20px;">⚠️</div>
                             <div style="font-size: 20px; font-weight: bold; margin-bottom: 10px;">WCAG Compliance: 0%</div>
@@ -3682,13 +3855,13 @@
                                 📊 Используйте вкладку "Экспорт" для получения детального отчета
                             </div>
                         </div>
-                    `;
+                    `);
                 } else {
                     this.renderIssues(issuesContainer, 'all');
                 }
             } else {
                 // Show simple success message for high scores
-                container.innerHTML = `
+                SHADOW_PANEL.html(container, `
         <div style="padding: 40px 30px;">
           <div style="font-size: 80px; margin-bottom: 20px;">🏆</div>
           <div style="font-size: 24px; font-weight: bold; margin-bottom: 10px;">Отличная доступность!</div>
@@ -3702,23 +3875,25 @@
             ✅ Семантическая структура<br>
             ✅ Размеры касания
           </div>
+          ${this.state.pseudoTruncated > 0 ? `
+          <div style="font-size: 12px; opacity: 0.9; margin-bottom: 20px;">
+            ⚠️ ${this.describePseudoTruncation()}
+          </div>` : ''}
+          ${this.state.quickScan ? `
+          <div style="font-size: 12px; opacity: 0.9; margin-bottom: 20px;">
+            🎲 Проверена выборка: ${this.state.quickScan.sampleSize} из ${this.state.quickScan.population} элементов<br>
+            ${QUICK_SCAN.describeReliability(this.state.quickScan) ? `⚠️ ${QUICK_SCAN.describeReliability(this.state.quickScan)}<br>` : ''}
+            <button id="success-full-scan" style="background: rgba(255,255,255,0.2); border: none; color: white; padding: 6px 14px; border-radius: 25px; cursor: pointer; font-family: inherit; margin-top: 10px;">
+              📄 Полный анализ
+            </button>
+          </div>` : ''}
           <button id="close-success" style="background: rgba(255,255,255,0.2); border: none; color: white; padding: 10px 20px; border-radius: 25px; cursor: pointer; font-family: inherit;">
             Закрыть
           </button>
         </div>
-      `;
+      `);
             }
 
-            // Add success animation styles
-            const style = document.createElement('style');
-            style.textContent = `
-        @keyframes successPulse {
-          0% { box-shadow: 0 20px 60px rgba(0,0,0,0.3), 0 0 0 0 rgba(58,123,213,0.4); }
-          100% { box-shadow: 0 25px 80px rgba(0,0,0,0.4), 0 0 0 20px rgba(58,123,213,0); }
-        }
-      `;
-            document.head.appendChild(style);
-
             // Add event listener for close button
             const closeButton = container.querySelector('#close-success') || container.querySelector('#close-a11y-analyzer');
             if (closeButton) {
@@ -3728,22 +3903,1087 @@
                     } else {
                         container.style.opacity = '0';
                         container.style.transform = 'translate(-50%, -50%) scale(0.8)';
-                        setTimeout(() => {
-                            if (container.parentNode) {
-                                container.parentNode.removeChild(container);
-                            }
-                            if (style && style.parentNode) {
-                                style.parentNode.removeChild(style);
-                            }
-                        }, 300);
+                        SHADOW_PANEL.unmount('accessibility-analyzer-results', 300);
+                    }
+                });
+            }
+
+            const fullScanButton = container.querySelector('#success-full-scan');
+            if (fullScanButton) {
+                fullScanButton.addEventListener('click', () => this.toggleQuickScan());
+            }
+
+            // Анимация successPulse - в таблице SHADOW_PANEL
+            SHADOW_PANEL.mount(container, 'accessibility-analyzer-results');
+        }
+    };
+
+    // Обход DOM с заходом в открытые shadow root и документы iframe того же origin
+    const DEEP_DOM = {
+        separator: ' >>> ', // граница shadow root / iframe в селекторах и путях
+        ownedAttribute: 'data-analyzer-owned', // метка интерфейса анализаторов: панели, подсветка, уведомления
+
+        state: {
+            roots: null,
+            scope: null // предикат элементов, которыми ограничен обход (выборка, регионы); null - весь документ
+        },
+
+        // Сброс найденных корней перед новым анализом
+        reset() {
+            this.state.roots = null;
+        },
+
+        // Корни обхода: документ, открытые shadow root и документы same-origin iframe
+        getRoots() {
+            if (this.state.roots) return this.state.roots;
+
+            const roots = [document];
+            for (let i = 0; i < roots.length; i++) {
+                roots[i].querySelectorAll('*').forEach(element => {
+                    // Хосты панелей и служебные iframe помечены сами, вложенных корней у подсветки нет
+                    if (element.hasAttribute(this.ownedAttribute)) return;
+                    if (element.shadowRoot) {
+                        roots.push(element.shadowRoot);
+                    }
+                    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+                        const frameDocument = this.getFrameDocument(element);
+                        if (frameDocument && frameDocument.documentElement) roots.push(frameDocument);
                     }
                 });
             }
 
-            document.body.appendChild(container);
+            this.state.roots = roots;
+            return roots;
+        },
+
+        // Документ iframe, если он доступен (тот же origin)
+        getFrameDocument(frame) {
+            try {
+                return frame.contentDocument;
+            } catch (error) {
+                // Кросс-доменный iframe недоступен
+                return null;
+            }
+        },
+
+        // querySelectorAll по всем корням без интерфейса анализаторов и элементов вне области
+        querySelectorAll(selector) {
+            return this.getRoots().flatMap(root => Array.from(root.querySelectorAll(selector))
+                .filter(element => !this.isOwned(element) && this.inScope(element)));
+        },
+
+        // Ограничение обхода: querySelectorAll видит только элементы, принятые предикатом
+        setScope(scope) {
+            this.state.scope = scope;
+        },
+
+        inScope(element) {
+            return !this.state.scope || this.state.scope(element);
+        },
+
+        // Пометка узла, созданного анализатором: обход страницы его не видит
+        markOwned(element) {
+            element.setAttribute(this.ownedAttribute, '');
+            return element;
+        },
+
+        // Узел (элемент или текст) внутри интерфейса анализатора
+        isOwned(node) {
+            const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            return Boolean(element && element.closest(`[${this.ownedAttribute}]`));
+        },
+
+        // Поиск элемента по глубокому селектору: сегменты ищутся в shadow root / документе iframe предыдущего
+        querySelector(selector) {
+            let root = document;
+            let element = null;
+
+            for (const segment of selector.split(this.separator)) {
+                if (!root) return null;
+                try {
+                    element = root.querySelector(segment);
+                } catch (error) {
+                    return null;
+                }
+                if (!element) return null;
+                root = element.shadowRoot || this.getFrameDocument(element);
+            }
+
+            return element;
+        },
+
+        // Узел, с которого начинается обход текста в корне
+        getTextRoot(root) {
+            return root.nodeType === Node.DOCUMENT_NODE ? (root.body || root.documentElement) : root;
+        },
+
+        // Элемент-граница области: shadow host или iframe
+        getBoundary(element) {
+            const root = element.getRootNode();
+            if (root.host) return root.host;
+            const view = root.defaultView;
+            return view && view !== window && view.frameElement ? view.frameElement : null;
+        },
+
+        // Родитель с переходом через shadow host и iframe
+        getParent(element) {
+            if (element.parentElement) return element.parentElement;
+            return this.getBoundary(element);
+        },
+
+        // Прямоугольник элемента в координатах окна анализатора
+        getViewportRect(element) {
+            const rect = element.getBoundingClientRect();
+            let top = rect.top;
+            let left = rect.left;
+            let view = element.ownerDocument.defaultView;
+
+            // Смещение на позицию каждого iframe вверх по цепочке (с рамкой и padding)
+            while (view && view !== window && view.frameElement) {
+                const frame = view.frameElement;
+                const frameRect = frame.getBoundingClientRect();
+                const frameStyle = getComputedStyle(frame);
+                top += frameRect.top + frame.clientTop + parseFloat(frameStyle.paddingTop);
+                left += frameRect.left + frame.clientLeft + parseFloat(frameStyle.paddingLeft);
+                view = frame.ownerDocument.defaultView;
+            }
+
+            return { top, left, width: rect.width, height: rect.height, right: left + rect.width, bottom: top + rect.height };
+        },
+
+        // Селектор через границы: цепочка селекторов host/iframe, соединенных >>>
+        buildSelector(element, localSelector) {
+            const segments = [localSelector(element)];
+            let boundary = this.getBoundary(element);
+            while (boundary) {
+                segments.unshift(localSelector(boundary));
+                boundary = this.getBoundary(boundary);
+            }
+            return segments.join(this.separator);
+        },
+
+        // Последний сегмент глубокого селектора - валидный CSS внутри своей области
+        splitSelector(selector) {
+            const segments = selector.split(this.separator);
+            return { scope: segments.slice(0, -1).join(this.separator), local: segments[segments.length - 1] };
         }
     };
 
+    // Текст, который рисуют псевдоэлементы: ::before, ::after, ::marker, ::placeholder, ::first-line
+    const PSEUDO_TEXT = {
+        config: {
+            pseudos: ['::before', '::after', '::marker', '::placeholder', '::first-line'],
+            // Свойства, по которым ::first-line отличается от самого блока
+            firstLineProperties: ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'textTransform', 'color'],
+            firstLineDisplays: ['block', 'list-item', 'flow-root', 'table-cell', 'inline-block'],
+            bulletStyles: ['disc', 'circle', 'square', 'disclosure-open', 'disclosure-closed'],
+            maxElements: 5000
+        },
+
+        state: {
+            truncated: 0 // элементов последнего сбора сверх maxElements: их псевдоэлементы не проверены
+        },
+
+        // Псевдоэлемент как цель проверки: ведет себя как элемент-хозяин, но несет свой текст
+        createTarget(host, pseudo, text) {
+            return {
+                host,
+                pseudo,
+                tagName: host.tagName,
+                className: host.className,
+                id: host.id,
+                textContent: text,
+                ownerDocument: host.ownerDocument,
+                parentElement: host, // псевдоэлемент наследует стили хозяина
+                getRootNode: () => host.getRootNode(),
+                getBoundingClientRect: () => host.getBoundingClientRect(),
+                getClientRects: () => host.getClientRects(),
+                scrollIntoView: options => host.scrollIntoView(options),
+                hasAttribute: name => host.hasAttribute(name),
+                getAttribute: name => host.getAttribute(name)
+            };
+        },
+
+        // Текст из свойства content: строки, attr() и счетчики
+        getContentText(host, style) {
+            const content = style.content;
+            if (!content || content === 'none' || content === 'normal') return '';
+
+            const parts = [];
+            content.replace(/"((?:[^"\\]|\\.)*)"|attr\(\s*([\w-]+)\s*\)|counters?\([^)]*\)/g, (match, string, attribute) => {
+                if (string !== undefined) {
+                    parts.push(string.replace(/\\(.)/g, '$1'));
+                } else if (attribute) {
+                    parts.push(host.getAttribute(attribute) || '');
+                } else {
+                    parts.push('1');
+                }
+                return match;
+            });
+
+            // Символы Private Use Area - иконки из шрифтов, а не текст
+            return parts.join('').replace(/[\uE000-\uF8FF]/g, '').trim();
+        },
+
+        // Текст маркера списка
+        getMarkerText(host, style, hostStyle) {
+            if (hostStyle.display !== 'list-item') return '';
+            const contentText = this.getContentText(host, style);
+            if (contentText) return contentText;
+            if (hostStyle.listStyleType === 'none' || hostStyle.listStyleImage !== 'none') return '';
+            if (this.config.bulletStyles.includes(hostStyle.listStyleType)) return '•';
+            const index = Array.from(host.parentElement ? host.parentElement.children : [host]).indexOf(host) + 1;
+            return `${index}.`;
+        },
+
+        // ::first-line учитывается, только если его стиль отличается от блока
+        getFirstLineText(host, style, hostStyle) {
+            if (!this.config.firstLineDisplays.includes(hostStyle.display)) return '';
+            const differs = this.config.firstLineProperties.some(property => style[property] !== hostStyle[property]);
+            if (!differs) return '';
+            const hasOwnText = Array.from(host.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+            return hasOwnText ? host.textContent.replace(/\s+/g, ' ').trim().substring(0, 80) : '';
+        },
+
+        // Видимый текст псевдоэлемента
+        getText(host, pseudo, style, hostStyle) {
+            switch (pseudo) {
+                case '::before':
+                case '::after':
+                    return style.display === 'none' ? '' : this.getContentText(host, style);
+                case '::marker':
+                    return this.getMarkerText(host, style, hostStyle);
+                case '::placeholder':
+                    return (host.tagName === 'INPUT' || host.tagName === 'TEXTAREA') && !host.value
+                        ? (host.getAttribute('placeholder') || '').trim()
+                        : '';
+                case '::first-line':
+                    return this.getFirstLineText(host, style, hostStyle);
+                default:
+                    return '';
+            }
+        },
+
+        // Сбор псевдоэлементов с текстом порциями: [{ target, style, hostStyle }]
+        async collect(elements, { signal = null, onProgress = null } = {}) {
+            const results = [];
+            const hosts = Array.from(elements);
+            this.state.truncated = Math.max(0, hosts.length - this.config.maxElements);
+
+            await TIME_SLICER.forEach(hosts.slice(0, this.config.maxElements), host => {
+                if (host.getClientRects().length === 0) return;
+                const hostStyle = STYLE_CACHE.get(host);
+                if (hostStyle.visibility === 'hidden' || hostStyle.display === 'none') return;
+
+                this.config.pseudos.forEach(pseudo => {
+                    if (pseudo === '::placeholder' && !host.hasAttribute('placeholder')) return;
+                    const style = STYLE_CACHE.get(host, pseudo);
+                    const text = this.getText(host, pseudo, style, hostStyle);
+                    if (!text) return;
+                    results.push({ target: this.createTarget(host, pseudo, text), style, hostStyle });
+                });
+            }, { signal, onProgress });
+
+            return results;
+        }
+    };
+
+    // Панели в закрытом shadow root: стили страницы не проникают внутрь, а оформление
+    // идет через конструируемую таблицу стилей, которую не блокирует строгий CSP
+    const SHADOW_PANEL = {
+        config: {
+            attribute: 'data-a11y-style', // заменяет атрибут style="" в разметке панелей
+            // Сброс наследования от страницы и пульсация окна успешной проверки
+            baseCSS: `
+                :host { all: initial; }
+                @keyframes successPulse {
+                    0% { box-shadow: 0 20px 60px rgba(0,0,0,0.3), 0 0 0 0 rgba(58,123,213,0.4); }
+                    100% { box-shadow: 0 25px 80px rgba(0,0,0,0.4), 0 0 0 20px rgba(58,123,213,0); }
+                }
+            `
+        },
+
+        state: {
+            sheet: null,
+            styleIds: new Map(), // текст style="" -> номер правила
+            roots: new Map() // id панели -> закрытый shadow root
+        },
+
+        // Общая конструируемая таблица: ее используют все панели и служебные элементы на странице
+        getSheet() {
+            if (!this.state.sheet) {
+                this.state.sheet = new CSSStyleSheet();
+                this.state.sheet.replaceSync(this.config.baseCSS);
+                document.adoptedStyleSheets = [...document.adoptedStyleSheets, this.state.sheet];
+            }
+            return this.state.sheet;
+        },
+
+        // Разметка без атрибутов style: CSP без 'unsafe-inline' их блокирует, поэтому они становятся правилами таблицы
+        html(element, markup) {
+            const { attribute } = this.config;
+            element.innerHTML = markup.replace(/\sstyle="([^"]*)"/g, (match, styles) => ` ${attribute}="${this.getStyleId(styles)}"`);
+        },
+
+        // Номер правила для набора объявлений (одинаковые наборы делят правило)
+        getStyleId(styles) {
+            const declarations = styles.replace(/\s+/g, ' ').trim();
+            if (!this.state.styleIds.has(declarations)) {
+                const id = this.state.styleIds.size + 1;
+                const sheet = this.getSheet();
+                sheet.insertRule(`[${this.config.attribute}="${id}"] { ${declarations} }`, sheet.cssRules.length);
+                this.state.styleIds.set(declarations, id);
+            }
+            return this.state.styleIds.get(declarations);
+        },
+
+        // Элемент в закрытом shadow root собственного хоста; панель с id заменяет предыдущую
+        mount(element, id = null) {
+            if (id) this.unmount(id);
+
+            const host = DEEP_DOM.markOwned(document.createElement('div'));
+            if (id) host.id = id;
+            const root = host.attachShadow({ mode: 'closed' });
+            root.adoptedStyleSheets = [this.getSheet()];
+            root.appendChild(element);
+            document.body.appendChild(host);
+
+            if (id) this.state.roots.set(id, root);
+            return host;
+        },
+
+        // Анимация с переменными цветами: правило с тем же именем заменяется
+        setKeyframes(name, frames) {
+            this.removeKeyframes(name);
+            const sheet = this.getSheet();
+            sheet.insertRule(`@keyframes ${name} { ${frames} }`, sheet.cssRules.length);
+        },
+
+        removeKeyframes(name) {
+            const sheet = this.getSheet();
+            for (let index = sheet.cssRules.length - 1; index >= 0; index--) {
+                if (sheet.cssRules[index].type === CSSRule.KEYFRAMES_RULE && sheet.cssRules[index].name === name) {
+                    sheet.deleteRule(index);
+                }
+            }
+        },
+
+        // Shadow root панели: у закрытого root host.shadowRoot равен null
+        getRoot(id) {
+            return this.state.roots.get(id) || null;
+        },
+
+        // Удаление панели вместе с хостом (с задержкой - после анимации скрытия)
+        unmount(id, delay = 0) {
+            const root = this.state.roots.get(id);
+            if (!root) return;
+            this.state.roots.delete(id);
+            if (delay) {
+                setTimeout(() => root.host.remove(), delay);
+            } else {
+                root.host.remove();
+            }
+        }
+    };
+
+    // Длинные проходы порциями в свободное время браузера: вкладка не зависает на больших страницах
+    const TIME_SLICER = {
+        config: {
+            enabled: true,
+            sliceBudget: 12, // мс работы подряд, дальше управление отдается браузеру
+            idleTimeout: 100 // мс, после которых порция запускается даже без простоя
+        },
+
+        state: {
+            sliceStart: 0
+        },
+
+        // Порция исчерпала бюджет времени
+        isSliceOver() {
+            return performance.now() - this.state.sliceStart >= this.config.sliceBudget;
+        },
+
+        // Ожидание простоя: requestIdleCallback, а где его нет (Safari) - следующая задача
+        waitForIdle() {
+            return new Promise(resolve => {
+                if (typeof requestIdleCallback === 'function') {
+                    requestIdleCallback(() => resolve(), { timeout: this.config.idleTimeout });
+                } else {
+                    setTimeout(resolve, 0);
+                }
+            });
+        },
+
+        // Отдать управление браузеру, если порция закончилась; отмена через signal прерывает анализ AbortError
+        async pause(signal = null) {
+            if (signal) signal.throwIfAborted();
+            if (!this.config.enabled || !this.isSliceOver()) return;
+
+            await this.waitForIdle();
+            if (signal) signal.throwIfAborted();
+            this.state.sliceStart = performance.now();
+        },
+
+        // forEach порциями; onProgress получает долю обработанных элементов
+        async forEach(items, callback, { signal = null, onProgress = null } = {}) {
+            const list = Array.from(items);
+
+            for (let index = 0; index < list.length; index++) {
+                callback(list[index], index);
+                if (this.isSliceOver()) {
+                    if (onProgress) onProgress((index + 1) / list.length);
+                    await this.pause(signal);
+                }
+            }
+            if (signal) signal.throwIfAborted();
+        }
+    };
+
+    // getComputedStyle на один проход анализа: проверки берут стиль элемента из общего кэша
+    const STYLE_CACHE = {
+        state: {
+            styles: new Map() // элемент -> Map(псевдоэлемент -> CSSStyleDeclaration)
+        },
+
+        // Сброс перед новым анализом: элементы и стили страницы могли измениться
+        reset() {
+            this.state.styles = new Map();
+        },
+
+        // Вычисленный стиль элемента или его псевдоэлемента
+        get(element, pseudo = null) {
+            if (!this.state.styles.has(element)) {
+                this.state.styles.set(element, new Map());
+            }
+            const styles = this.state.styles.get(element);
+            const key = pseudo || '';
+            if (!styles.has(key)) {
+                styles.set(key, getComputedStyle(element, pseudo));
+            }
+            return styles.get(key);
+        }
+    };
+
+    // Чистые вычисления WCAG: контраст, подбор цвета и читаемость. Без DOM - исполняются в Web Worker
+    const WCAG_MATH = {
+        // Задача по имени: снимки из основного потока -> готовые проблемы
+        handle(task, payload) {
+            switch (task) {
+                case 'contrast':
+                    return payload.samples.map(sample => this.evaluateContrast(sample, payload.wcag)).filter(Boolean);
+                case 'readability':
+                    return payload.samples.map(sample => this.evaluateReadability(sample, payload.lineLength)).filter(Boolean);
+                default:
+                    throw new Error(`Неизвестная задача WCAG: ${task}`);
+            }
+        },
+
+        // Проверка контраста снимка { index, textColor, backgroundColor, fontSize, fontWeight, isNonText }
+        evaluateContrast(sample, wcag) {
+            const { textColor, backgroundColor, fontSize, fontWeight } = sample;
+            const contrastRatio = this.calculateContrastRatio(textColor, backgroundColor);
+            const requirements = this.getContrastRequirements(sample, wcag);
+            const wcagResults = this.checkWCAGCompliance(contrastRatio, requirements);
+
+            if (wcagResults.passAA && wcagResults.passAAA) return null;
+
+            const data = {
+                textColor,
+                backgroundColor,
+                contrastRatio,
+                fontSize,
+                fontWeight,
+                requirements,
+                wcagResults
+            };
+            const typeLabel = requirements.type === 'normal-text' ? 'Обычный текст' : requirements.type === 'large-text' ? 'Крупный текст' : 'Не-текстовый элемент';
+
+            return {
+                index: sample.index,
+                data,
+                severity: wcagResults.passAA ? 'warning' : 'critical',
+                issueType: wcagResults.passAA ? 'contrast-aaa' : 'contrast-aa',
+                currentValues: {
+                    'current-ratio': contrastRatio.toFixed(2),
+                    'required-ratio': requirements.aa.toFixed(1),
+                    'text-color': this.colorToHex(textColor),
+                    'bg-color': this.colorToHex(backgroundColor)
+                },
+                suggestedFix: this.suggestContrastFix(data),
+                reasoning: `Недостаточный контраст ${contrastRatio.toFixed(2)}:1. ${typeLabel} требует минимум ${requirements.aa}:1 для WCAG AA.`
+            };
+        },
+
+        // Вычисление коэффициента контрастности по WCAG
+        calculateContrastRatio(color1, color2) {
+            const l1 = this.getRelativeLuminance(color1);
+            const l2 = this.getRelativeLuminance(color2);
+
+            const lighter = Math.max(l1, l2);
+            const darker = Math.min(l1, l2);
+
+            return (lighter + 0.05) / (darker + 0.05);
+        },
+
+        // Получение относительной яркости
+        getRelativeLuminance(color) {
+            const rsRGB = color.r / 255;
+            const gsRGB = color.g / 255;
+            const bsRGB = color.b / 255;
+
+            const r = rsRGB <= 0.03928 ? rsRGB / 12.92 : Math.pow((rsRGB + 0.055) / 1.055, 2.4);
+            const g = gsRGB <= 0.03928 ? gsRGB / 12.92 : Math.pow((gsRGB + 0.055) / 1.055, 2.4);
+            const b = bsRGB <= 0.03928 ? bsRGB / 12.92 : Math.pow((bsRGB + 0.055) / 1.055, 2.4);
+
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        },
+
+        // Определение требований контрастности (размер в pt)
+        getContrastRequirements({ fontSize, fontWeight, isNonText }, wcag) {
+            const isLargeText = fontSize >= wcag.textSizes.large ||
+                (fontSize >= wcag.textSizes.largeWeightBold &&
+                    (fontWeight === 'bold' || parseInt(fontWeight) >= 700));
+
+            if (isNonText) {
+                return {
+                    type: 'non-text',
+                    aa: wcag.contrastRatios.nonTextAA,
+                    aaa: wcag.contrastRatios.nonTextAAA
+                };
+            }
+
+            if (isLargeText) {
+                return {
+                    type: 'large-text',
+                    aa: wcag.contrastRatios.largeTextAA,
+                    aaa: wcag.contrastRatios.largeTextAAA
+                };
+            }
+
+            return {
+                type: 'normal-text',
+                aa: wcag.contrastRatios.normalTextAA,
+                aaa: wcag.contrastRatios.normalTextAAA
+            };
+        },
+
+        // Проверка соответствия WCAG
+        checkWCAGCompliance(contrastRatio, requirements) {
+            return {
+                ratio: contrastRatio,
+                passAA: contrastRatio >= requirements.aa,
+                passAAA: contrastRatio >= requirements.aaa,
+                requirements
+            };
+        },
+
+        // Изменение цвета текста или фона до требуемого контраста
+        suggestContrastFix(data) {
+            const {
+                textColor,
+                backgroundColor,
+                requirements
+            } = data;
+            const requiredRatio = requirements.aa;
+
+            // Предлагаем изменение цвета текста или фона
+            const darkerText = this.adjustColorForContrast(textColor, backgroundColor, requiredRatio, 'darken');
+            const lighterBg = this.adjustColorForContrast(backgroundColor, textColor, requiredRatio, 'lighten');
+
+            return {
+                'color': this.colorToHex(darkerText),
+                'background-color': this.colorToHex(lighterBg),
+                'alternative-1': `color: ${this.colorToHex(darkerText)}`,
+                'alternative-2': `background-color: ${this.colorToHex(lighterBg)}`
+            };
+        },
+
+        adjustColorForContrast(color, bgColor, targetRatio, direction) {
+            let adjustedColor = {
+                ...color
+            };
+            let currentRatio = this.calculateContrastRatio(adjustedColor, bgColor);
+
+            const step = direction === 'darken' ? -10 : 10;
+            let iterations = 0;
+            const maxIterations = 25;
+
+            while (currentRatio < targetRatio && iterations < maxIterations) {
+                if (direction === 'darken') {
+                    adjustedColor.r = Math.max(0, adjustedColor.r + step);
+                    adjustedColor.g = Math.max(0, adjustedColor.g + step);
+                    adjustedColor.b = Math.max(0, adjustedColor.b + step);
+                } else {
+                    adjustedColor.r = Math.min(255, adjustedColor.r + step);
+                    adjustedColor.g = Math.min(255, adjustedColor.g + step);
+                    adjustedColor.b = Math.min(255, adjustedColor.b + step);
+                }
+
+                currentRatio = this.calculateContrastRatio(adjustedColor, bgColor);
+                iterations++;
+            }
+
+            return adjustedColor;
+        },
+
+        colorToHex(color) {
+            const toHex = (n) => {
+                const hex = Math.round(Math.max(0, Math.min(255, n))).toString(16);
+                return hex.length === 1 ? '0' + hex : hex;
+            };
+
+            return `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`;
+        },
+
+        // Метрики читаемости снимка { index, text, fontSize, lineHeight, lineStats, estimatedLineLength }
+        evaluateReadability(sample, lineLengthConfig) {
+            const { text, fontSize, lineHeight, lineStats } = sample;
+
+            // Анализ текста
+            const words = text.split(/\s+/).filter(word => word.length > 0);
+            const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+            const avgWordsPerSentence = sentences.length > 0 ? words.length / sentences.length : 0;
+            const avgCharsPerWord = words.reduce((sum, word) => sum + word.length, 0) / words.length;
+
+            // Длина строк измерена в основном потоке по реальным строчным блокам
+            const lineLength = lineStats ? lineStats.median : sample.estimatedLineLength;
+            const { min: minLineLength, max: maxLineLength, minLines } = lineLengthConfig;
+
+            // Флеш индекс читаемости (упрощенный)
+            const fleschScore = this.calculateFleschScore(words.length, sentences.length, text);
+
+            const issues = [];
+
+            // Проверки читаемости
+            if (avgWordsPerSentence > 25) {
+                issues.push('Слишком длинные предложения (>25 слов)');
+            }
+
+            if (avgCharsPerWord > 7) {
+                issues.push('Слишком сложные слова (средняя длина >7 символов)');
+            }
+
+            // Ширину под длину строки основной поток считает только для отмеченных блоков
+            let lineLengthIssue = null;
+            if (lineLength > maxLineLength) {
+                lineLengthIssue = 'long';
+                issues.push(`Слишком длинные строки (медиана ${lineLength} > ${maxLineLength} символов)`);
+            } else if (lineStats && lineStats.lines >= minLines && lineLength < minLineLength) {
+                lineLengthIssue = 'short';
+                issues.push(`Слишком короткие строки (медиана ${lineLength} < ${minLineLength} символов)`);
+            }
+
+            if (fontSize < 12) {
+                issues.push('Слишком мелкий шрифт (<12px)');
+            }
+
+            const lineHeightRatio = lineHeight / fontSize;
+            if (lineHeightRatio < 1.2) {
+                issues.push('Недостаточный межстрочный интервал (<1.2)');
+            }
+
+            if (fleschScore < 30) {
+                issues.push('Очень сложный для чтения текст (Flesch < 30)');
+            } else if (fleschScore < 50) {
+                issues.push('Сложный для чтения текст (Flesch < 50)');
+            }
+
+            if (issues.length === 0) return null;
+
+            const metrics = {
+                wordCount: words.length,
+                sentenceCount: sentences.length,
+                avgWordsPerSentence: Math.round(avgWordsPerSentence * 10) / 10,
+                avgCharsPerWord: Math.round(avgCharsPerWord * 10) / 10,
+                lineLength,
+                lineLengthMin: lineStats ? lineStats.min : lineLength,
+                lineLengthMax: lineStats ? lineStats.max : lineLength,
+                lineCount: lineStats ? lineStats.lines : null,
+                fontSize,
+                lineHeight,
+                lineHeightRatio: Math.round(lineHeightRatio * 100) / 100,
+                fleschScore: Math.round(fleschScore)
+            };
+
+            return {
+                index: sample.index,
+                issues,
+                lineLengthIssue,
+                metrics,
+                currentValues: {
+                    'font-size': `${fontSize}px`,
+                    'line-height': lineHeight,
+                    'chars-per-line': `${metrics.lineLengthMin}–${metrics.lineLengthMax} (медиана ${lineLength})`,
+                    'issues': issues.join('; ')
+                },
+                suggestedFix: {
+                    'font-size': Math.max(14, fontSize) + 'px',
+                    'line-height': Math.max(1.4, metrics.lineHeightRatio).toFixed(1)
+                },
+                reasoning: `Проблемы читаемости: ${issues.join(', ')}.`
+            };
+        },
+
+        // Упрощенный расчет индекса Флеша
+        calculateFleschScore(wordCount, sentenceCount, text) {
+            if (sentenceCount === 0 || wordCount === 0) return 100;
+
+            const avgSentenceLength = wordCount / sentenceCount;
+            const syllableCount = this.estimateSyllables(text);
+            const avgSyllablesPerWord = syllableCount / wordCount;
+
+            return 206.835 - (1.015 * avgSentenceLength) - (84.6 * avgSyllablesPerWord);
+        },
+
+        // Приблизительный подсчет слогов
+        estimateSyllables(text) {
+            const words = text.toLowerCase().match(/[а-яё]+/g) || [];
+            let syllables = 0;
+
+            words.forEach(word => {
+                // Упрощенный подсчет слогов для русского языка
+                const vowels = word.match(/[аеёиоуыэюя]/g) || [];
+                syllables += Math.max(1, vowels.length);
+            });
+
+            return syllables;
+        }
+    };
+
+    // Web Worker из Blob URL с методами WCAG_MATH; если CSP запрещает blob:-воркеры - те же расчеты в основном потоке
+    const WCAG_WORKER = {
+        state: {
+            worker: null,
+            url: null,
+            unavailable: false,
+            nextId: 1,
+            pending: new Map() // id задачи -> { task, payload, resolve, reject }
+        },
+
+        // Исходный код воркера: методы WCAG_MATH и обработчик сообщений
+        getSource() {
+            const methods = Object.values(WCAG_MATH).map(method => method.toString()).join(',\n');
+            return `'use strict';
+const WCAG_MATH = {
+${methods}
+};
+self.onmessage = event => {
+    const { id, task, payload } = event.data;
+    try {
+        self.postMessage({ id, result: WCAG_MATH.handle(task, payload) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};`;
+        },
+
+        // Воркер создается при первой задаче и переиспользуется до cleanup()
+        getWorker() {
+            if (this.state.worker || this.state.unavailable) return this.state.worker;
+
+            try {
+                this.state.url = URL.createObjectURL(new Blob([this.getSource()], { type: 'text/javascript' }));
+                this.state.worker = new Worker(this.state.url);
+            } catch (error) {
+                console.warn('Web Worker недоступен, расчеты WCAG выполняются в основном потоке:', error);
+                this.disable();
+                return null;
+            }
+
+            this.state.worker.addEventListener('message', event => {
+                const { id, result, error } = event.data;
+                const request = this.state.pending.get(id);
+                if (!request) return;
+
+                this.state.pending.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(result);
+                }
+            });
+
+            // worker-src в CSP блокирует воркер асинхронно: ожидающие задачи досчитываются здесь
+            this.state.worker.addEventListener('error', event => {
+                event.preventDefault();
+                console.warn('Web Worker недоступен, расчеты WCAG выполняются в основном потоке:', event.message);
+                const pending = Array.from(this.state.pending.values());
+                this.state.pending.clear();
+                this.disable();
+                pending.forEach(request => this.runLocally(request));
+            });
+
+            return this.state.worker;
+        },
+
+        // Задача для WCAG_MATH: в воркере, а без него - в основном потоке
+        run(task, payload) {
+            return new Promise((resolve, reject) => {
+                const request = { task, payload, resolve, reject };
+                const worker = this.getWorker();
+                if (!worker) {
+                    this.runLocally(request);
+                    return;
+                }
+
+                const id = this.state.nextId++;
+                this.state.pending.set(id, request);
+                worker.postMessage({ id, task, payload });
+            });
+        },
+
+        runLocally({ task, payload, resolve, reject }) {
+            try {
+                resolve(WCAG_MATH.handle(task, payload));
+            } catch (error) {
+                reject(error);
+            }
+        },
+
+        // Остановка воркера: незавершенные задачи отменяются
+        terminate() {
+            this.state.pending.forEach(request => request.reject(new DOMException('Анализ остановлен', 'AbortError')));
+            this.state.pending.clear();
+            if (this.state.worker) this.state.worker.terminate();
+            if (this.state.url) URL.revokeObjectURL(this.state.url);
+            this.state.worker = null;
+            this.state.url = null;
+        },
+
+        // Воркер больше не создается (запрещен CSP или не поддерживается)
+        disable() {
+            this.terminate();
+            this.state.unavailable = true;
+        }
+    };
+
+    // Быстрое сканирование: стратифицированная выборка элементов и оценка числа проблем на всей странице
+    const QUICK_SCAN = {
+        config: {
+            sampleSize: 300, // элементов в выборке - верхняя граница, даже если слоев больше
+            z: 1.96, // 95% доверительный интервал
+            minStratumSize: 5, // слой с меньшей выборкой (и не взятый целиком) дает ненадежную оценку
+            // Ориентиры страницы - регионы для слоев выборки и полного анализа найденного
+            regionSelector: 'header, nav, main, aside, footer, form, dialog, [role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"], [role="search"], [role="form"], [role="dialog"], [role="region"]'
+        },
+
+        // Регион элемента: ближайший ориентир, а без него - блок верхнего уровня под body
+        getRegion(element) {
+            let topLevel = null;
+            for (let node = element; node; node = DEEP_DOM.getParent(node)) {
+                if (node.matches(this.config.regionSelector)) return node;
+                if (node.parentElement && node.parentElement === node.ownerDocument.body) topLevel = node;
+            }
+            return topLevel || element;
+        },
+
+        // Вид региона в ключе слоя: роль или тег ориентира, для блоков без ориентира - 'page'
+        getRegionKind(region) {
+            if (!region.matches(this.config.regionSelector)) return 'page';
+            return region.getAttribute('role') || region.tagName.toLowerCase();
+        },
+
+        // Видимость элемента: в первом экране, за его пределами или скрыт
+        getVisibility(element) {
+            if (element.getClientRects().length === 0) return 'hidden';
+            if (STYLE_CACHE.get(element).visibility !== 'visible') return 'hidden';
+
+            const rect = DEEP_DOM.getViewportRect(element);
+            const inViewport = rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+            return inViewport ? 'viewport' : 'offscreen';
+        },
+
+        // Единица выборки, к которой относится элемент: ближайший блок по unitSelector или сам элемент
+        getUnit(sample, element) {
+            const target = element.pseudo ? element.host : element;
+            return sample.unitSelector ? target.closest(sample.unitSelector) || target : target;
+        },
+
+        // Выборка по слоям тег × регион × видимость: каждый слой представлен хотя бы одним элементом,
+        // остаток делится пропорционально размеру слоев, внутри слоя элементы выбираются случайно.
+        // unitSelector - единицы выборки - блоки: проверки видят блок вместе с вложенным текстом
+        async sample(elements, { size = this.config.sampleSize, unitSelector = null, signal = null } = {}) {
+            const strata = new Map();
+
+            await TIME_SLICER.forEach(elements, element => {
+                const region = this.getRegion(element);
+                const key = `${element.tagName.toLowerCase()}|${this.getRegionKind(region)}|${this.getVisibility(element)}`;
+                if (!strata.has(key)) {
+                    strata.set(key, []);
+                }
+                strata.get(key).push({ element, region });
+            }, { signal });
+
+            const sample = {
+                population: elements.length,
+                unitSelector,
+                elements: new Map(), // единица -> { stratum, region }
+                strata: new Map() // ключ слоя -> { population, size }
+            };
+
+            this.allocate(strata, Math.min(size, elements.length)).forEach(({ key, members, count }) => {
+                // Частичное перемешивание Фишера-Йетса: первые count элементов - выборка без повторов
+                for (let i = 0; i < count; i++) {
+                    const j = i + Math.floor(Math.random() * (members.length - i));
+                    [members[i], members[j]] = [members[j], members[i]];
+                    sample.elements.set(members[i].element, { stratum: key, region: members[i].region });
+                }
+                sample.strata.set(key, { population: members.length, size: count });
+            });
+
+            return sample;
+        },
+
+        // Размеры выборки по слоям, в сумме не больше total: по элементу крупнейшим слоям,
+        // остаток - пропорционально размеру слоя методом наибольших остатков
+        allocate(strata, total) {
+            const ordered = Array.from(strata, ([key, members]) => ({ key, members, count: 0 }))
+                .sort((a, b) => b.members.length - a.members.length);
+            const population = ordered.reduce((sum, stratum) => sum + stratum.members.length, 0);
+
+            // Если слоев больше, чем total, мелкие остаются без выборки и учитываются в верхней границе оценки
+            ordered.slice(0, total).forEach(stratum => {
+                stratum.count = 1;
+            });
+
+            const rest = total - Math.min(total, ordered.length);
+            if (rest === 0) return ordered;
+
+            const remainders = ordered.map(stratum => {
+                const quota = rest * stratum.members.length / population;
+                stratum.count += Math.min(Math.floor(quota), stratum.members.length - stratum.count);
+                return { stratum, remainder: quota - Math.floor(quota) };
+            });
+            let left = total - ordered.reduce((sum, stratum) => sum + stratum.count, 0);
+            remainders
+                .sort((a, b) => b.remainder - a.remainder)
+                .forEach(({ stratum }) => {
+                    if (left > 0 && stratum.count < stratum.members.length) {
+                        stratum.count++;
+                        left--;
+                    }
+                });
+
+            return ordered;
+        },
+
+        // Предикат области анализа для DEEP_DOM.setScope: выборка, регионы или весь документ (null)
+        createScope(scan) {
+            if (!scan || scan.mode === 'full') return null;
+            if (scan.mode === 'quick') return element => scan.sample.elements.has(this.getUnit(scan.sample, element));
+
+            // Принадлежность региону запоминается: проверки обходят одни и те же элементы много раз
+            const known = new WeakMap();
+            const inRegion = node => {
+                if (!node) return false;
+                if (scan.regions.has(node)) return true;
+                if (!known.has(node)) {
+                    known.set(node, inRegion(DEEP_DOM.getParent(node)));
+                }
+                return known.get(node);
+            };
+            return inRegion;
+        },
+
+        // Оценка числа затронутых единиц по типам проблем: стратифицированная доля с интервалом
+        // Агрести-Коула по слоям; issues - [{ type, elements }]
+        estimate(sample, issues) {
+            const found = new Map(); // тип -> Set единиц выборки
+            const regions = new Set();
+            const z2 = this.config.z * this.config.z;
+            let unsampled = 0;
+            let thinStrata = 0;
+            sample.strata.forEach(({ population, size }) => {
+                if (size === 0) unsampled += population;
+                else if (size < this.config.minStratumSize && size < population) thinStrata++;
+            });
+
+            issues.forEach(({ type, elements }) => {
+                if (!found.has(type)) {
+                    found.set(type, new Set());
+                }
+                elements.forEach(element => {
+                    // Псевдоэлемент и вложенный текст относятся к единице выборки, в которой находятся
+                    const target = this.getUnit(sample, element);
+                    const member = sample.elements.get(target);
+                    if (!member) return;
+                    found.get(type).add(target);
+                    regions.add(member.region);
+                });
+            });
+
+            const rows = Array.from(found, ([type, targets]) => {
+                // Проблема уровня страницы (шрифты, структура заголовков) не привязана к элементам выборки
+                if (targets.size === 0) {
+                    return { type, found: 0, estimate: null, low: null, high: null };
+                }
+
+                const hits = new Map();
+                targets.forEach(target => {
+                    const { stratum } = sample.elements.get(target);
+                    hits.set(stratum, (hits.get(stratum) || 0) + 1);
+                });
+
+                let estimate = 0;
+                let variance = 0;
+                sample.strata.forEach(({ population, size }, stratum) => {
+                    if (size === 0) return;
+                    const count = hits.get(stratum) || 0;
+                    estimate += population * count / size;
+                    // Скорректированная доля не дает тонкому слою с 0 или 100% попаданий нулевой неопределенности;
+                    // поправка на конечную совокупность убирает ее только у слоя, взятого целиком
+                    const adjusted = (count + z2 / 2) / (size + z2);
+                    variance += population * population * (1 - size / population) * adjusted * (1 - adjusted) / (size + z2);
+                });
+
+                const margin = this.config.z * Math.sqrt(variance);
+                return {
+                    type,
+                    found: targets.size,
+                    estimate: Math.round(estimate),
+                    low: Math.max(targets.size, Math.floor(estimate - margin)),
+                    // Слои без выборки могут быть поражены целиком
+                    high: Math.min(sample.population, Math.ceil(estimate + margin) + unsampled)
+                };
+            });
+
+            return {
+                population: sample.population,
+                sampleSize: sample.elements.size,
+                strata: sample.strata.size,
+                thinStrata,
+                unsampled,
+                regions: Array.from(regions),
+                // Проблемы уровня страницы - в конце списка
+                rows: rows.sort((a, b) => (b.estimate === null ? -1 : b.estimate) - (a.estimate === null ? -1 : a.estimate))
+            };
+        },
+
+        // Оценка для панели и отчетов: "~120 (95-150)"
+        formatEstimate({ estimate, low, high }) {
+            if (estimate === null) return 'на уровне страницы';
+            return low === high ? `${estimate}` : `~${estimate} (${low}–${high})`;
+        },
+
+        // Предупреждение о слоях, по которым оценка ненадежна
+        describeReliability({ thinStrata, unsampled }) {
+            const notes = [];
+            if (thinStrata > 0) notes.push(`${thinStrata} слоев с выборкой меньше ${this.config.minStratumSize} элементов - оценка по ним ненадежна`);
+            if (unsampled > 0) notes.push(`${unsampled} элементов в слоях без выборки учтены только в верхней границе`);
+            return notes.join('; ');
+        },
+
+        // Таблица оценок для консоли
+        getTable(result) {
+            return result.rows.map(row => ({
+                Issue: row.type,
+                'In Sample': row.found,
+                Estimated: this.formatEstimate(row)
+            }));
+        }
+    };
+
+
     // Launch the comprehensive accessibility analyzer
     ACCESSIBILITY_ANALYZER.run();
 })();
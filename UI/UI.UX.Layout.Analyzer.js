@@ -36,7 +36,7 @@
 
     // Сбор данных о структуре и лейауте
     collectLayoutData() {
-      const allElements = document.querySelectorAll('*:not(script):not(style):not(meta):not(link)');
+      const allElements = DEEP_DOM.querySelectorAll('*:not(script):not(style):not(meta):not(link)');
       
       allElements.forEach(element => {
         // Пропускаем невидимые элементы
@@ -161,10 +161,10 @@
     // Получение уровня вложенности
     getNestingLevel(element) {
       let level = 0;
-      let current = element.parentElement;
+      let current = DEEP_DOM.getParent(element);
       while (current && current !== document.body) {
         level++;
-        current = current.parentElement;
+        current = DEEP_DOM.getParent(current);
       }
       return level;
     },
@@ -180,6 +180,7 @@
       this.analyzeSemanticIssues();
       this.analyzeFlexboxIssues();
       this.analyzeLayoutIssues();
+      this.analyzeClippedText();
       this.analyzeAccessibilityIssues();
       this.analyzeHeadingHierarchy();
     },
@@ -221,7 +222,7 @@
       }
 
       // Анализ неправильного использования div вместо семантических элементов
-      const suspiciousDivs = document.querySelectorAll('div[class*="header"], div[class*="nav"], div[class*="footer"], div[class*="main"], div[class*="sidebar"], div[id*="header"], div[id*="nav"], div[id*="footer"], div[id*="main"]');
+      const suspiciousDivs = DEEP_DOM.querySelectorAll('div[class*="header"], div[class*="nav"], div[class*="footer"], div[class*="main"], div[class*="sidebar"], div[id*="header"], div[id*="nav"], div[id*="footer"], div[id*="main"]');
       
       if (suspiciousDivs.length > 0) {
         const elements = Array.from(suspiciousDivs);
@@ -362,7 +363,7 @@
       });
 
       // Анализ position: fixed без z-index
-      const fixedElements = document.querySelectorAll('*');
+      const fixedElements = DEEP_DOM.querySelectorAll('*');
       Array.from(fixedElements).forEach(element => {
         const style = getComputedStyle(element);
         if (style.position === 'fixed' && style.zIndex === 'auto') {
@@ -378,7 +379,7 @@
       });
 
       // Анализ overflow: hidden на важных контейнерах
-      const hiddenOverflow = document.querySelectorAll('main, section, article');
+      const hiddenOverflow = DEEP_DOM.querySelectorAll('main, section, article');
       Array.from(hiddenOverflow).forEach(element => {
         const style = getComputedStyle(element);
         if (style.overflow === 'hidden' && !element.classList.contains('carousel') && !element.classList.contains('slider')) {
@@ -394,10 +395,34 @@
       });
     },
 
+    // Анализ обрезанного текста без title или другого способа прочитать его целиком
+    analyzeClippedText() {
+      const clipped = CLIPPED_TEXT.detect(DEEP_DOM.querySelectorAll('*'));
+      if (CLIPPED_TEXT.state.truncated > 0) {
+        this.addIssue('info', '✂️ Обрезанный текст проверен не полностью',
+          `Найдено ${CLIPPED_TEXT.config.maxElements} обрезающих контейнеров - лимит; ${CLIPPED_TEXT.state.truncated} элементов не проверено`,
+          []);
+      }
+      clipped
+        .filter(entry => !entry.fullTextSource)
+        .forEach(entry => {
+          const severity = entry.critical ? 'critical' : 'warning';
+          
+          this.addIssue(severity, entry.critical ? '✂️ Обрезанная метка' : '✂️ Обрезанный текст', 
+            `${CLIPPED_TEXT.describe(entry)}; полный текст недоступен`, 
+            [entry.element], { hiddenChars: entry.hiddenChars, hiddenPercent: entry.hiddenPercent });
+            
+          this.createFixableIssue('clipped-text', severity, [entry.element],
+            CLIPPED_TEXT.getCurrentValues(entry),
+            CLIPPED_TEXT.suggestFix(entry),
+            CLIPPED_TEXT.explain(entry.kind));
+        });
+    },
+
     // Анализ доступности
     analyzeAccessibilityIssues() {
       // Изображения без alt
-      const imagesWithoutAlt = document.querySelectorAll('img:not([alt])');
+      const imagesWithoutAlt = DEEP_DOM.querySelectorAll('img:not([alt])');
       if (imagesWithoutAlt.length > 0) {
         const elements = Array.from(imagesWithoutAlt);
         this.addIssue('critical', '🖼️ Изображения без alt', 
@@ -413,7 +438,7 @@
       }
 
       // Кнопки без текста или aria-label
-      const buttonsWithoutText = document.querySelectorAll('button');
+      const buttonsWithoutText = DEEP_DOM.querySelectorAll('button');
       Array.from(buttonsWithoutText).forEach(button => {
         const hasText = button.textContent?.trim();
         const hasAriaLabel = button.getAttribute('aria-label');
@@ -432,7 +457,7 @@
       });
 
       // Ссылки без текста
-      const linksWithoutText = document.querySelectorAll('a');
+      const linksWithoutText = DEEP_DOM.querySelectorAll('a');
       Array.from(linksWithoutText).forEach(link => {
         const hasText = link.textContent?.trim();
         const hasAriaLabel = link.getAttribute('aria-label');
@@ -450,7 +475,7 @@
       });
 
       // Проверка контрастности для элементов с фоном
-      const elementsWithBackground = document.querySelectorAll('[style*="background"], [class*="bg-"]');
+      const elementsWithBackground = DEEP_DOM.querySelectorAll('[style*="background"], [class*="bg-"]');
       if (elementsWithBackground.length > 0) {
         this.addIssue('info', '🎨 Проверить контраст', 
           `Найдено ${elementsWithBackground.length} элементов с фоном`, 
@@ -548,6 +573,7 @@
         'deep-nesting': 'structure',
         'fixed-without-z-index': 'layout',
         'semantic-overflow-hidden': 'layout',
+        'clipped-text': 'layout',
         'missing-alt-text': 'accessibility',
         'button-without-label': 'accessibility',
         'link-without-text': 'accessibility',
@@ -557,8 +583,13 @@
       return categories[type] || 'other';
     },
 
-    // Генерация селектора для элемента
+    // Генерация селектора для элемента (через границы shadow root и iframe)
     generateSelector(element) {
+      return DEEP_DOM.buildSelector(element, current => this.generateLocalSelector(current));
+    },
+
+    // Селектор внутри собственной области элемента (документ или shadow root)
+    generateLocalSelector(element) {
       let selector = element.tagName.toLowerCase();
       
       if (element.id) {
@@ -572,7 +603,7 @@
         }
       }
       
-      const similarElements = document.querySelectorAll(selector);
+      const similarElements = element.getRootNode().querySelectorAll(selector);
       if (similarElements.length > 1) {
         const parent = element.parentElement;
         if (parent) {
@@ -592,27 +623,43 @@
 
     // Получение пути до элемента
     getElementPath(element) {
-      const path = [];
+      const scopes = [];
+      let path = [];
       let current = element;
       
-      while (current && current !== document.body) {
+      while (current) {
+        // body завершает путь в своем документе, дальше - iframe (если есть)
+        if (current === current.ownerDocument.body) {
+          current = DEEP_DOM.getBoundary(current);
+          scopes.unshift(path.join(' > '));
+          path = [];
+          continue;
+        }
+        
         let selector = current.tagName.toLowerCase();
         if (current.id) {
           selector += `#${current.id}`;
-          path.unshift(selector);
-          break;
-        }
-        if (current.className && typeof current.className === 'string') {
+        } else if (current.className && typeof current.className === 'string') {
           const classes = current.className.trim().split(/\s+/);
           if (classes.length > 0 && classes[0] !== '') {
             selector += '.' + classes[0];
           }
         }
         path.unshift(selector);
-        current = current.parentElement;
+        
+        // ID уникален в своей области - поднимаемся сразу к shadow host / iframe
+        const parent = current.id ? null : current.parentElement;
+        if (parent) {
+          current = parent;
+          continue;
+        }
+        current = DEEP_DOM.getBoundary(current);
+        scopes.unshift(path.join(' > '));
+        path = [];
       }
       
-      return path.join(' > ');
+      if (path.length > 0) scopes.unshift(path.join(' > '));
+      return scopes.filter(Boolean).join(DEEP_DOM.separator);
     },
 
     // Добавление проблемы
@@ -630,7 +677,6 @@
     // Создание интерактивной таблицы
     createInteractiveTable() {
       const container = document.createElement('div');
-      container.id = 'ui-ux-analyzer-results';
       container.style.cssText = `
         position: fixed;
         top: 20px;
@@ -661,10 +707,10 @@ font-family: 'SF Mono', Consolas, monospace;
         align-items: center;
         border-radius: 10px 10px 0 0;
       `;
-      header.innerHTML = `
+      SHADOW_PANEL.html(header, `
         <span>🎨 UI/UX Layout Analyzer</span>
         <button id="close-ui-analyzer" style="background:none;border:none;color:#fff;font-size:16px;cursor:pointer;opacity:0.8;">✕</button>
-      `;
+      `);
 
       // Stats with categories
       const stats = document.createElement('div');
@@ -676,7 +722,7 @@ font-family: 'SF Mono', Consolas, monospace;
       const warningIssues = this.state.issues.filter(i => i.severity === 'warning').length;
       const infoIssues = this.state.issues.filter(i => i.severity === 'info').length;
       
-      stats.innerHTML = `
+      SHADOW_PANEL.html(stats, `
         <div style="margin-bottom: 8px;">
           📊 Всего проблем: ${totalIssues} | 
           🚨 Критических: ${criticalIssues} |
@@ -694,7 +740,7 @@ font-family: 'SF Mono', Consolas, monospace;
           📝 Заголовки: ${this.state.pageStructure.headingHierarchy.length} |
           🏠 Структура: ${this.state.pageStructure.hasHeader ? '✓' : '✗'}Header ${this.state.pageStructure.hasMain ? '✓' : '✗'}Main ${this.state.pageStructure.hasFooter ? '✓' : '✗'}Footer
         </div>
-      `;
+      `);
 
       // Filter tabs
       const filterTabs = document.createElement('div');
@@ -727,7 +773,7 @@ font-family: 'SF Mono', Consolas, monospace;
           transition: all 0.2s ease;
           white-space: nowrap;
         `;
-        tab.innerHTML = `${filter.icon} ${filter.label}`;
+        SHADOW_PANEL.html(tab, `${filter.icon} ${filter.label}`);
         tab.dataset.filter = filter.name;
         
         if (filter.name === 'all') {
@@ -752,7 +798,7 @@ font-family: 'SF Mono', Consolas, monospace;
       
       const fixableStats = this.getFixableStats();
       
-      controls.innerHTML = `
+      SHADOW_PANEL.html(controls, `
         <div style="margin-bottom: 12px; display: flex; gap: 8px; flex-wrap: wrap;">
           <button id="clear-ui-highlights" style="background:#444;border:none;color:#fff;padding:8px 12px;border-radius:6px;cursor:pointer;font-size:11px;">
             🧹 Очистить
@@ -783,7 +829,7 @@ font-family: 'SF Mono', Consolas, monospace;
         <div style="font-size: 10px; color: #888; text-align: center;">
           💡 Кликните на проблему для подсветки элементов
         </div>
-      `;
+      `);
 
       // Assembly
       container.appendChild(header);
@@ -795,7 +841,8 @@ font-family: 'SF Mono', Consolas, monospace;
       // Event listeners
       this.setupEventListeners(container);
 
-      document.body.appendChild(container);
+      // Панель живет в закрытом shadow root, стили страницы ее не задевают
+      SHADOW_PANEL.mount(container, 'ui-ux-analyzer-results');
     },
 
     // Получение статистики по категориям
@@ -862,13 +909,13 @@ font-family: 'SF Mono', Consolas, monospace;
           color: #666;
           font-size: 14px;
         `;
-        emptyState.innerHTML = `
+        SHADOW_PANEL.html(emptyState, `
           <div style="font-size: 48px; margin-bottom: 16px;">🎉</div>
           <div>Отличная работа!</div>
           <div style="font-size: 12px; margin-top: 8px;">
             Проблем типа "${filterType}" не обнаружено
           </div>
-        `;
+        `);
         container.appendChild(emptyState);
         return;
       }
@@ -889,7 +936,7 @@ font-family: 'SF Mono', Consolas, monospace;
         // Priority badge
         const priorityBadge = this.getPriorityBadge(issue.severity);
         
-        row.innerHTML = `
+        SHADOW_PANEL.html(row, `
           <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px;">
             <div style="font-weight: bold; font-size: 13px;">
               ${issue.type}
@@ -909,7 +956,7 @@ font-family: 'SF Mono', Consolas, monospace;
           <div style="color: #888; font-size: 10px; margin-top: 8px; font-style: italic;">
             💡 Клик для подсветки • Hover для предпросмотра
           </div>
-        `;
+        `);
 
         // Enhanced interactions
         row.addEventListener('click', () => this.highlightElements(issue.elements, index));
@@ -970,8 +1017,10 @@ font-family: 'SF Mono', Consolas, monospace;
 
     // Фильтрация проблем
     filterIssues(filterType, activeTab) {
+      const panel = SHADOW_PANEL.getRoot('ui-ux-analyzer-results');
+      
       // Update active tab
-      document.querySelectorAll('[data-filter]').forEach(tab => {
+      panel.querySelectorAll('[data-filter]').forEach(tab => {
         tab.style.color = '#ccc';
         tab.style.borderBottomColor = 'transparent';
       });
@@ -980,7 +1029,7 @@ font-family: 'SF Mono', Consolas, monospace;
       activeTab.style.borderBottomColor = '#667eea';
       
       // Re-render issues
-      const container = document.getElementById('issues-container');
+      const container = panel.getElementById('issues-container');
       this.renderIssues(container, filterType);
     },
 
@@ -1197,6 +1246,7 @@ font-family: 'SF Mono', Consolas, monospace;
         'missing-flex-gap': '2-3 мин',
         'high-flex-shrink': '1-2 мин',
         'extreme-flex-grow': '1-2 мин',
+        'clipped-text': '5-10 мин',
         'first-heading-not-h1': '2-5 мин',
         'heading-hierarchy-skip': '5-10 мин'
       };
@@ -1235,7 +1285,9 @@ font-family: 'SF Mono', Consolas, monospace;
         const rules = Object.entries(fix.suggestedFix)
           .map(([prop, value]) => `  ${prop}: ${value};`)
           .join('\n');
-        return `${fix.selector} {\n${rules}\n}`;
+        // Правило для shadow root / iframe пишется в стили этой области
+        const { scope, local } = DEEP_DOM.splitSelector(fix.selector);
+        return `${scope ? `/* внутри ${scope} */\n` : ''}${local} {\n${rules}\n}`;
       }
       return `/* CSS правила для ${fix.selector} */`;
     },
@@ -1316,7 +1368,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
       console.group('⚡ Performance Analysis');
       
       // Анализ DOM
-      const allElements = document.querySelectorAll('*').length;
+      const allElements = DEEP_DOM.querySelectorAll('*').length;
       const depthAnalysis = this.analyzeDepth();
       const flexboxCount = this.state.flexboxElements.size;
       
@@ -1370,7 +1422,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
       let maxDepth = 0;
       let deepElements = 0;
       
-      document.querySelectorAll('*').forEach(element => {
+      DEEP_DOM.querySelectorAll('*').forEach(element => {
         const depth = this.getNestingLevel(element);
         if (depth > maxDepth) maxDepth = depth;
         if (depth > 10) deepElements++;
@@ -1384,14 +1436,14 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
       const expensive = [];
       
       // Проверяем инлайн стили
-      document.querySelectorAll('[style]').forEach(element => {
+      DEEP_DOM.querySelectorAll('[style]').forEach(element => {
         if (element.style.cssText.length > 200) {
           expensive.push(`Длинный inline стиль: ${element.tagName.toLowerCase()}`);
         }
       });
       
       // Проверяем классы с множественными селекторами
-      document.querySelectorAll('[class]').forEach(element => {
+      DEEP_DOM.querySelectorAll('[class]').forEach(element => {
         const classes = element.className.split(' ');
         if (classes.length > 10) {
           expensive.push(`Много классов: ${element.tagName.toLowerCase()} (${classes.length})`);
@@ -1424,7 +1476,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
           animation: pulse 2s infinite;
         `;
         
-        const rect = element.getBoundingClientRect();
+        const rect = DEEP_DOM.getViewportRect(element);
         overlay.style.top = (rect.top + window.scrollY) + 'px';
         overlay.style.left = (rect.left + window.scrollX) + 'px';
         overlay.style.width = rect.width + 'px';
@@ -1472,11 +1524,11 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
         `;
         
         const textPreview = element.textContent?.trim().substring(0, 30) || '';
-        tooltip.innerHTML = `
+        SHADOW_PANEL.html(tooltip, `
           <div><strong>${tagName.toUpperCase()}</strong></div>
           <div>Класс: ${element.className || 'нет'}</div>
           <div>Текст: ${textPreview || 'пусто'}</div>
-        `;
+        `);
         
         overlay.appendChild(tooltip);
         
@@ -1489,7 +1541,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
           tooltip.style.opacity = '0';
         });
         
-        document.body.appendChild(overlay);
+        document.body.appendChild(DEEP_DOM.markOwned(overlay));
         this.state.highlightedElements.add(overlay);
         
         // Staggered animation
@@ -1501,19 +1553,8 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
         }, index * 100);
       });
       
-      // Add pulse animation styles
-      if (!document.getElementById('ui-ux-pulse-styles')) {
-        const style = document.createElement('style');
-        style.id = 'ui-ux-pulse-styles';
-        style.textContent = `
-          @keyframes pulse {
-            0% { box-shadow: 0 0 0 0 rgba(102, 126, 234, 0.4); }
-            70% { box-shadow: 0 0 0 10px rgba(102, 126, 234, 0); }
-            100% { box-shadow: 0 0 0 0 rgba(102, 126, 234, 0); }
-          }
-        `;
-        document.head.appendChild(style);
-      }
+      // Анимация pulse - в таблице SHADOW_PANEL, которая подключена и к документу
+      SHADOW_PANEL.getSheet();
       
       // Scroll to first element with smooth animation
       if (elements.length > 0) {
@@ -1630,7 +1671,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
         'Info': this.state.issues.filter(i => i.severity === 'info').length,
         'Flexbox Containers': this.state.flexboxElements.size,
         'Semantic Elements': this.state.semanticStructure.length,
-        'Total DOM Elements': document.querySelectorAll('*').length
+        'Total DOM Elements': DEEP_DOM.querySelectorAll('*').length
       });
 
       console.groupEnd();
@@ -1669,7 +1710,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
       `;
       
       notification.textContent = message;
-      document.body.appendChild(notification);
+      const host = SHADOW_PANEL.mount(notification);
       
       // Animate in
       requestAnimationFrame(() => {
@@ -1682,9 +1723,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
         notification.style.opacity = '0';
         notification.style.transform = 'translateX(-50%) translateY(-20px)';
         setTimeout(() => {
-          if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-          }
+          host.remove();
         }, 400);
       }, 3500);
     },
@@ -1693,21 +1732,12 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
     cleanup() {
       this.clearHighlights();
       
-      const container = document.getElementById('ui-ux-analyzer-results');
-      if (container) {
+      const panel = SHADOW_PANEL.getRoot('ui-ux-analyzer-results');
+      if (panel) {
+        const container = panel.firstElementChild;
         container.style.opacity = '0';
         container.style.transform = 'translateY(-20px)';
-        setTimeout(() => {
-          if (container.parentNode) {
-            container.parentNode.removeChild(container);
-          }
-        }, 300);
-      }
-      
-      // Remove pulse styles
-      const pulseStyles = document.getElementById('ui-ux-pulse-styles');
-      if (pulseStyles) {
-        pulseStyles.remove();
+        SHADOW_PANEL.unmount('ui-ux-analyzer-results', 300);
       }
     },
 
@@ -1731,6 +1761,7 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
         hasFooter: false,
         headingHierarchy: []
       };
+      DEEP_DOM.reset();
       this.cleanup();
       
       // Run analysis
@@ -1764,6 +1795,418 @@ if (fix.currentValues && fix.currentValues.alt === 'missing') {
     }
   };
 
+  // Обход DOM с заходом в открытые shadow root и документы iframe того же origin
+  const DEEP_DOM = {
+    separator: ' >>> ', // граница shadow root / iframe в селекторах и путях
+    ownedAttribute: 'data-analyzer-owned', // метка интерфейса анализаторов: панели, подсветка, уведомления
+
+    state: {
+      roots: null
+    },
+
+    // Сброс найденных корней перед новым анализом
+    reset() {
+      this.state.roots = null;
+    },
+
+    // Корни обхода: документ, открытые shadow root и документы same-origin iframe
+    getRoots() {
+      if (this.state.roots) return this.state.roots;
+
+      const roots = [document];
+      for (let i = 0; i < roots.length; i++) {
+        roots[i].querySelectorAll('*').forEach(element => {
+          // Хосты панелей и служебные iframe помечены сами, вложенных корней у подсветки нет
+          if (element.hasAttribute(this.ownedAttribute)) return;
+          if (element.shadowRoot) {
+            roots.push(element.shadowRoot);
+          }
+          if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            const frameDocument = this.getFrameDocument(element);
+            if (frameDocument && frameDocument.documentElement) roots.push(frameDocument);
+          }
+        });
+      }
+
+      this.state.roots = roots;
+      return roots;
+    },
+
+    // Документ iframe, если он доступен (тот же origin)
+    getFrameDocument(frame) {
+      try {
+        return frame.contentDocument;
+      } catch (error) {
+        // Кросс-доменный iframe недоступен
+        return null;
+      }
+    },
+
+    // querySelectorAll по всем корням без интерфейса анализаторов
+    querySelectorAll(selector) {
+      return this.getRoots().flatMap(root => Array.from(root.querySelectorAll(selector))
+        .filter(element => !this.isOwned(element)));
+    },
+
+    // Пометка узла, созданного анализатором: обход страницы его не видит
+    markOwned(element) {
+      element.setAttribute(this.ownedAttribute, '');
+      return element;
+    },
+
+    // Узел (элемент или текст) внутри интерфейса анализатора
+    isOwned(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return Boolean(element && element.closest(`[${this.ownedAttribute}]`));
+    },
+
+    // Поиск элемента по глубокому селектору: сегменты ищутся в shadow root / документе iframe предыдущего
+    querySelector(selector) {
+      let root = document;
+      let element = null;
+
+      for (const segment of selector.split(this.separator)) {
+        if (!root) return null;
+        try {
+          element = root.querySelector(segment);
+        } catch (error) {
+          return null;
+        }
+        if (!element) return null;
+        root = element.shadowRoot || this.getFrameDocument(element);
+      }
+
+      return element;
+    },
+
+    // Узел, с которого начинается обход текста в корне
+    getTextRoot(root) {
+      return root.nodeType === Node.DOCUMENT_NODE ? (root.body || root.documentElement) : root;
+    },
+
+    // Элемент-граница области: shadow host или iframe
+    getBoundary(element) {
+      const root = element.getRootNode();
+      if (root.host) return root.host;
+      const view = root.defaultView;
+      return view && view !== window && view.frameElement ? view.frameElement : null;
+    },
+
+    // Родитель с переходом через shadow host и iframe
+    getParent(element) {
+      if (element.parentElement) return element.parentElement;
+      return this.getBoundary(element);
+    },
+
+    // Прямоугольник элемента в координатах окна анализатора
+    getViewportRect(element) {
+      const rect = element.getBoundingClientRect();
+      let top = rect.top;
+      let left = rect.left;
+      let view = element.ownerDocument.defaultView;
+
+      // Смещение на позицию каждого iframe вверх по цепочке (с рамкой и padding)
+      while (view && view !== window && view.frameElement) {
+        const frame = view.frameElement;
+        const frameRect = frame.getBoundingClientRect();
+        const frameStyle = getComputedStyle(frame);
+        top += frameRect.top + frame.clientTop + parseFloat(frameStyle.paddingTop);
+        left += frameRect.left + frame.clientLeft + parseFloat(frameStyle.paddingLeft);
+        view = frame.ownerDocument.defaultView;
+      }
+
+      return { top, left, width: rect.width, height: rect.height, right: left + rect.width, bottom: top + rect.height };
+    },
+
+    // Селектор через границы: цепочка селекторов host/iframe, соединенных >>>
+    buildSelector(element, localSelector) {
+      const segments = [localSelector(element)];
+      let boundary = this.getBoundary(element);
+      while (boundary) {
+        segments.unshift(localSelector(boundary));
+        boundary = this.getBoundary(boundary);
+      }
+      return segments.join(this.separator);
+    },
+
+    // Последний сегмент глубокого селектора - валидный CSS внутри своей области
+    splitSelector(selector) {
+      const segments = selector.split(this.separator);
+      return { scope: segments.slice(0, -1).join(this.separator), local: segments[segments.length - 1] };
+    }
+  };
+
+  // Обрезанный текст: overflow: hidden, text-overflow: ellipsis и -webkit-line-clamp
+  const CLIPPED_TEXT = {
+    config: {
+      tolerance: 1, // px, субпиксельное переполнение не считается обрезкой
+      minHiddenChars: 1,
+      clippingOverflow: ['hidden', 'clip'],
+      // Метки, которые пользователь должен прочитать целиком
+      criticalSelector: 'a, button, label, legend, summary, th, h1, h2, h3, h4, h5, h6, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="option"]',
+      // Способы прочитать полный текст: атрибуты самого обрезанного элемента, содержащие этот текст...
+      fullTextSources: {
+        title: ['title'],
+        label: ['aria-label'],
+        tooltip: ['data-tooltip', 'data-tippy-content', 'data-bs-title']
+      },
+      // ...или раскрытие самого элемента
+      disclosureSelector: '[aria-expanded]',
+      maxElements: 3000, // обрезающих контейнеров на измерение
+      maxTextNodes: 200 // текстовых узлов в одном контейнере
+    },
+
+    state: {
+      truncated: 0 // элементов последнего поиска, не проверенных после maxElements найденных контейнеров
+    },
+
+    // Контейнеры с обрезанным текстом и объем скрытого; getStyle - источник вычисленных стилей анализатора
+    detect(elements, getStyle = element => getComputedStyle(element)) {
+      const candidates = [];
+      let checked = 0;
+      for (const element of elements) {
+        if (candidates.length >= this.config.maxElements) break;
+        checked++;
+        if (!element.textContent.trim()) continue;
+        const clipping = this.getClipping(element, getStyle(element));
+        if (clipping) candidates.push({ element, clipping });
+      }
+      this.state.truncated = elements.length - checked;
+
+      return candidates
+        .map(({ element, clipping }) => ({
+          element,
+          ...clipping,
+          ...this.measureHiddenText(element),
+          critical: Boolean(element.closest(this.config.criticalSelector)),
+          fullTextSource: this.getFullTextSource(element)
+        }))
+        .filter(entry => entry.hiddenChars >= this.config.minHiddenChars);
+    },
+
+    // Вид обрезки по вычисленным стилям и размерам прокрутки
+    getClipping(element, style) {
+      const { tolerance, clippingOverflow } = this.config;
+      // Визуально скрытый текст для скринридеров (.sr-only) обрезан намеренно
+      if (element.clientWidth <= 1 || element.clientHeight <= 1) return null;
+
+      const hiddenX = clippingOverflow.includes(style.overflowX) ? element.scrollWidth - element.clientWidth : 0;
+      const hiddenY = clippingOverflow.includes(style.overflowY) ? element.scrollHeight - element.clientHeight : 0;
+      const clipsX = hiddenX > tolerance;
+      const clipsY = hiddenY > tolerance;
+      if (!clipsX && !clipsY) return null;
+
+      const lineClamp = style.webkitLineClamp || style.getPropertyValue('-webkit-line-clamp') || 'none';
+      let kind = 'overflow';
+      if (clipsY && lineClamp !== 'none') {
+        kind = 'line-clamp';
+      } else if (clipsX && style.textOverflow === 'ellipsis') {
+        kind = 'ellipsis';
+      }
+
+      return {
+        kind,
+        axis: clipsX && clipsY ? 'both' : clipsX ? 'x' : 'y',
+        hiddenPx: { x: clipsX ? hiddenX : 0, y: clipsY ? hiddenY : 0 },
+        styles: {
+          overflow: `${style.overflowX} ${style.overflowY}`,
+          'text-overflow': style.textOverflow,
+          'white-space': style.whiteSpace,
+          '-webkit-line-clamp': lineClamp,
+          height: style.height,
+          'max-height': style.maxHeight
+        }
+      };
+    },
+
+    // Доля символов, чьи строчные боксы выходят за видимую область контейнера
+    measureHiddenText(element) {
+      const box = this.getClientBox(element);
+      const overlap = rect =>
+        Math.max(0, Math.min(rect.right, box.right) - Math.max(rect.left, box.left)) *
+        Math.max(0, Math.min(rect.bottom, box.bottom) - Math.max(rect.top, box.top));
+
+      const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      const range = element.ownerDocument.createRange();
+      let totalChars = 0;
+      let hiddenChars = 0;
+      let textNodes = 0;
+
+      let node;
+      while ((node = walker.nextNode()) && textNodes < this.config.maxTextNodes) {
+        const chars = node.nodeValue.replace(/\s+/g, '').length;
+        if (chars === 0) continue;
+        textNodes++;
+
+        range.selectNodeContents(node);
+        const rects = Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+        const area = rects.reduce((sum, rect) => sum + rect.width * rect.height, 0);
+        // Неотрисованный текст (display: none внутри) не считается
+        if (area === 0) continue;
+
+        const visible = rects.reduce((sum, rect) => sum + overlap(rect), 0);
+        totalChars += chars;
+        hiddenChars += chars * Math.max(0, 1 - visible / area);
+      }
+
+      return {
+        totalChars,
+        hiddenChars: Math.round(hiddenChars),
+        hiddenPercent: totalChars ? Math.round(hiddenChars / totalChars * 100) : 0
+      };
+    },
+
+    // Внутренняя (padding) область контейнера в координатах его документа
+    getClientBox(element) {
+      const rect = element.getBoundingClientRect();
+      const left = rect.left + element.clientLeft;
+      const top = rect.top + element.clientTop;
+      return { left, top, right: left + element.clientWidth, bottom: top + element.clientHeight };
+    },
+
+    // Title, подпись, подсказка или раскрытие, через которые можно прочитать полный текст.
+    // Предки и потомки не в счет: aria-describedby формы или <details> вокруг не покажут обрезанное
+    getFullTextSource(element) {
+      const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+      const text = normalize(element.textContent);
+      const match = Object.entries(this.config.fullTextSources)
+        .find(([, attributes]) => attributes.some(attribute => normalize(element.getAttribute(attribute) || '').includes(text)));
+      if (match) return match[0];
+      return element.matches(this.config.disclosureSelector) ? 'disclosure' : null;
+    },
+
+    // Исправление, показывающее текст целиком
+    suggestFix({ kind, axis, styles }) {
+      if (kind === 'line-clamp') {
+        return { '-webkit-line-clamp': 'unset' };
+      }
+
+      const fix = {};
+      if (axis !== 'y') {
+        fix['white-space'] = 'normal';
+        fix['overflow-wrap'] = 'anywhere';
+      }
+      if (axis !== 'x') {
+        if (styles['max-height'] !== 'none') {
+          fix['max-height'] = 'none';
+        } else {
+          fix.height = 'auto';
+        }
+      }
+      return fix;
+    },
+
+    // Значения, относящиеся к виду обрезки
+    getCurrentValues({ kind, axis, styles }) {
+      const properties = ['overflow'];
+      if (kind === 'ellipsis') properties.push('text-overflow');
+      if (kind === 'line-clamp') properties.push('-webkit-line-clamp');
+      if (axis !== 'y') properties.push('white-space');
+      if (axis !== 'x' && kind !== 'line-clamp') properties.push(styles['max-height'] !== 'none' ? 'max-height' : 'height');
+      return Object.fromEntries(properties.map(property => [property, styles[property]]));
+    },
+
+    // Пояснение к исправлению по виду обрезки
+    explain(kind) {
+      const reasons = {
+        ellipsis: 'Многоточие скрывает часть текста, а полной версии в title нет. Разрешите перенос строк или добавьте title с полным текстом.',
+        'line-clamp': 'line-clamp обрезает текст без возможности его раскрыть. Снимите ограничение, добавьте title или кнопку «Показать полностью».',
+        overflow: 'overflow: hidden обрезает текст, который не помещается в контейнер. Дайте контейнеру подстроиться под текст или добавьте title.'
+      };
+      return reasons[kind];
+    },
+
+    // Короткое описание объема скрытого текста
+    describe({ kind, hiddenChars, totalChars, hiddenPercent, hiddenPx }) {
+      const labels = { ellipsis: 'многоточие', 'line-clamp': 'line-clamp', overflow: 'overflow' };
+      const px = [hiddenPx.x && `${hiddenPx.x}px по ширине`, hiddenPx.y && `${hiddenPx.y}px по высоте`].filter(Boolean).join(', ');
+      return `${labels[kind]}: скрыто ~${hiddenChars} из ${totalChars} симв. (${hiddenPercent}%, ${px})`;
+    }
+  };
+
+  // Панели в закрытом shadow root: стили страницы не проникают внутрь, а оформление
+  // идет через конструируемую таблицу стилей, которую не блокирует строгий CSP
+  const SHADOW_PANEL = {
+    config: {
+      attribute: 'data-ui-ux-style', // заменяет атрибут style="" в разметке панелей
+      // Сброс наследования от страницы и пульсация подсветки
+      baseCSS: `
+        :host { all: initial; }
+        @keyframes pulse {
+          0% { box-shadow: 0 0 0 0 rgba(102, 126, 234, 0.4); }
+          70% { box-shadow: 0 0 0 10px rgba(102, 126, 234, 0); }
+          100% { box-shadow: 0 0 0 0 rgba(102, 126, 234, 0); }
+        }
+      `
+    },
+
+    state: {
+      sheet: null,
+      styleIds: new Map(), // текст style="" -> номер правила
+      roots: new Map() // id панели -> закрытый shadow root
+    },
+
+    // Общая конструируемая таблица: ее используют все панели и служебные элементы на странице
+    getSheet() {
+      if (!this.state.sheet) {
+        this.state.sheet = new CSSStyleSheet();
+        this.state.sheet.replaceSync(this.config.baseCSS);
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, this.state.sheet];
+      }
+      return this.state.sheet;
+    },
+
+    // Разметка без атрибутов style: CSP без 'unsafe-inline' их блокирует, поэтому они становятся правилами таблицы
+    html(element, markup) {
+      const { attribute } = this.config;
+      element.innerHTML = markup.replace(/\sstyle="([^"]*)"/g, (match, styles) => ` ${attribute}="${this.getStyleId(styles)}"`);
+    },
+
+    // Номер правила для набора объявлений (одинаковые наборы делят правило)
+    getStyleId(styles) {
+      const declarations = styles.replace(/\s+/g, ' ').trim();
+      if (!this.state.styleIds.has(declarations)) {
+        const id = this.state.styleIds.size + 1;
+        const sheet = this.getSheet();
+        sheet.insertRule(`[${this.config.attribute}="${id}"] { ${declarations} }`, sheet.cssRules.length);
+        this.state.styleIds.set(declarations, id);
+      }
+      return this.state.styleIds.get(declarations);
+    },
+
+    // Элемент в закрытом shadow root собственного хоста; панель с id заменяет предыдущую
+    mount(element, id = null) {
+      if (id) this.unmount(id);
+
+      const host = DEEP_DOM.markOwned(document.createElement('div'));
+      if (id) host.id = id;
+      const root = host.attachShadow({ mode: 'closed' });
+      root.adoptedStyleSheets = [this.getSheet()];
+      root.appendChild(element);
+      document.body.appendChild(host);
+
+      if (id) this.state.roots.set(id, root);
+      return host;
+    },
+
+    // Shadow root панели: у закрытого root host.shadowRoot равен null
+    getRoot(id) {
+      return this.state.roots.get(id) || null;
+    },
+
+    // Удаление панели вместе с хостом (с задержкой - после анимации скрытия)
+    unmount(id, delay = 0) {
+      const root = this.state.roots.get(id);
+      if (!root) return;
+      this.state.roots.delete(id);
+      if (delay) {
+        setTimeout(() => root.host.remove(), delay);
+      } else {
+        root.host.remove();
+      }
+    }
+  };
+
   // Launch the analyzer
   UI_UX_ANALYZER.run();
 })();
@@ -8,7 +8,8 @@
       maxLineHeightRatio: 1.8,
       suspiciousWeights: ['100', '200', '800', '900'],
       commonFontSizes: ['12px', '14px', '16px', '18px', '20px', '24px', '32px'],
-      redundancyThreshold: 1 // элементы с уникальными стилями
+      redundancyThreshold: 1, // элементы с уникальными стилями
+      ignoredTextParents: ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'OPTION'] // текст, который не рендерится как прогон
     },
 
     // Состояние анализатора
@@ -16,18 +17,56 @@
       fontMap: new Map(),
       issues: [],
       highlightedElements: new Set(),
-      fixableIssues: [] // Новый массив для готовых к исправлению проблем
+      fixableIssues: [], // Новый массив для готовых к исправлению проблем
+      textCharCounts: new Map() // Количество символов прямого текста по элементам
+    },
+
+    // Сбор текстовых прогонов: текстовый узел -> элемент, чей стиль его рендерит
+    collectTextRuns() {
+      const runs = new Map();
+      
+      // Документ, открытые shadow root и same-origin iframe обходятся отдельно
+      DEEP_DOM.getRoots().forEach(root => {
+        const walker = DEEP_DOM.createTextWalker(DEEP_DOM.getTextRoot(root));
+        
+        let node;
+        while ((node = walker.nextNode())) {
+          const element = node.parentElement;
+          if (!element || this.config.ignoredTextParents.includes(element.tagName)) continue;
+          
+          const chars = node.nodeValue.replace(/\s+/g, ' ').trim().length;
+          if (chars === 0) continue;
+          
+          if (!runs.has(element)) {
+            runs.set(element, { charCount: 0, text: '' });
+          }
+          const run = runs.get(element);
+          run.charCount += chars;
+          if (run.text.length < 50) {
+            run.text = (run.text + ' ' + node.nodeValue.replace(/\s+/g, ' ').trim()).trim();
+          }
+        }
+      });
+      
+      return runs;
+    },
+
+    // Проверка, что текст элемента действительно отрисован
+    isTextRendered(element, computedStyle) {
+      if (element.getClientRects().length === 0) return false;
+      return computedStyle.visibility !== 'hidden' && computedStyle.visibility !== 'collapse';
     },
 
     // Сбор данных о типографике
     collectTypographyData() {
-      const allElements = document.querySelectorAll('*:not(script):not(style):not(meta):not(link)');
+      const textRuns = this.collectTextRuns();
       
-      allElements.forEach(element => {
-        // Пропускаем невидимые элементы
-        if (element.offsetParent === null && element.tagName !== 'HTML') return;
-        
+      textRuns.forEach(({ charCount, text }, element) => {
         const computedStyle = getComputedStyle(element);
+        
+        // Пропускаем невидимый текст
+        if (!this.isTextRendered(element, computedStyle)) return;
+        
         const fontMetrics = {
           fontFamily: computedStyle.fontFamily,
           fontSize: computedStyle.fontSize,
@@ -38,7 +77,7 @@
           element: element,
           tagName: element.tagName.toLowerCase(),
           className: element.className,
-          textContent: element.textContent?.trim().substring(0, 50) || ''
+          textContent: text.substring(0, 50)
         };
 
         const key = `${fontMetrics.fontFamily}|${fontMetrics.fontSize}|${fontMetrics.fontWeight}|${fontMetrics.lineHeight}`;
@@ -47,18 +86,31 @@
           this.state.fontMap.set(key, {
             metrics: fontMetrics,
             elements: [],
-            count: 0
+            count: 0,
+            charCount: 0
           });
         }
         
         const entry = this.state.fontMap.get(key);
         entry.elements.push(element);
         entry.count++;
+        entry.charCount += charCount;
+        this.state.textCharCounts.set(element, charCount);
       });
     },
 
-    // Генерация селектора для элемента
+    // Объем текста, затронутого набором элементов
+    getAffectedChars(elements) {
+      return elements.reduce((sum, element) => sum + (this.state.textCharCounts.get(element) || 0), 0);
+    },
+
+    // Генерация селектора для элемента (через границы shadow root и iframe)
     generateSelector(element) {
+      return DEEP_DOM.buildSelector(element, current => this.generateLocalSelector(current));
+    },
+
+    // Селектор внутри собственной области элемента (документ или shadow root)
+    generateLocalSelector(element) {
       let selector = element.tagName.toLowerCase();
       
       // Добавляем ID если есть
@@ -75,7 +127,7 @@
       }
       
       // Если селектор слишком общий, добавляем nth-child
-      const similarElements = document.querySelectorAll(selector);
+      const similarElements = element.getRootNode().querySelectorAll(selector);
       if (similarElements.length > 1) {
         const parent = element.parentElement;
         if (parent) {
@@ -110,33 +162,50 @@
         severity: severity,
         description: reasoning,
         affectedElements: fixes.length,
+        affectedChars: this.getAffectedChars(elements),
         fixes: fixes
       });
     },
 
     // Получение пути до элемента
     getElementPath(element) {
-      const path = [];
+      const scopes = [];
+      let path = [];
       let current = element;
       
-      while (current && current !== document.body) {
+      while (current) {
+        // body завершает путь в своем документе, дальше - iframe (если есть)
+        if (current === current.ownerDocument.body) {
+          current = DEEP_DOM.getBoundary(current);
+          scopes.unshift(path.join(' > '));
+          path = [];
+          continue;
+        }
+        
         let selector = current.tagName.toLowerCase();
         if (current.id) {
           selector += `#${current.id}`;
-          path.unshift(selector);
-          break;
-        }
-        if (current.className && typeof current.className === 'string') {
+        } else if (current.className && typeof current.className === 'string') {
           const classes = current.className.trim().split(/\s+/);
           if (classes.length > 0 && classes[0] !== '') {
             selector += '.' + classes[0];
           }
         }
         path.unshift(selector);
-        current = current.parentElement;
+        
+        // ID уникален в своей области - поднимаемся сразу к shadow host / iframe
+        const parent = current.id ? null : current.parentElement;
+        if (parent) {
+          current = parent;
+          continue;
+        }
+        current = DEEP_DOM.getBoundary(current);
+        scopes.unshift(path.join(' > '));
+        path = [];
       }
       
-      return path.join(' > ');
+      if (path.length > 0) scopes.unshift(path.join(' > '));
+      return scopes.filter(Boolean).join(DEEP_DOM.separator);
     },
 
     // Анализ проблем
@@ -268,10 +337,20 @@
         description,
         elements: [...elements],
         details,
-        count: elements.length
+        count: elements.length,
+        charCount: this.getAffectedChars(elements)
       });
     },
 
+    // Сортировка: сначала по важности, затем по объему затронутого текста
+    sortIssuesByWeight(issues, charsKey = 'charCount') {
+      const priorities = { critical: 1, warning: 2, info: 3 };
+      return issues.sort((a, b) =>
+        (priorities[a.severity] || 4) - (priorities[b.severity] || 4) ||
+        (b[charsKey] || 0) - (a[charsKey] || 0)
+      );
+    },
+
     // Создание интерактивной таблицы
     createInteractiveTable() {
       // Создаем контейнер
@@ -325,7 +404,7 @@
       const table = document.createElement('div');
       table.style.cssText = 'padding: 8px;';
       
-      this.state.issues.forEach((issue, index) => {
+      this.sortIssuesByWeight(this.state.issues).forEach((issue, index) => {
         const row = document.createElement('div');
         row.style.cssText = `
           padding: 8px 12px;
@@ -339,7 +418,7 @@
         
         row.innerHTML = `
           <div style="font-weight: bold; margin-bottom: 4px;">
-            ${issue.type} <span style="color: #666;">(${issue.count} элементов)</span>
+            ${issue.type} <span style="color: #666;">(${issue.charCount} симв. в ${issue.count} элементах)</span>
           </div>
           <div style="color: #ccc; font-size: 11px;">
             ${issue.description}
@@ -394,7 +473,7 @@
         this.copyFixesToClipboard();
       });
 
-      document.body.appendChild(container);
+      document.body.appendChild(DEEP_DOM.markOwned(container));
     },
 
     // Копирование исправлений в буфер обмена
@@ -406,13 +485,15 @@
           totalIssues: this.state.fixableIssues.length,
           critical: this.state.fixableIssues.filter(i => i.severity === 'critical').length,
           warning: this.state.fixableIssues.filter(i => i.severity === 'warning').length,
-          info: this.state.fixableIssues.filter(i => i.severity === 'info').length
+          info: this.state.fixableIssues.filter(i => i.severity === 'info').length,
+          affectedChars: this.state.fixableIssues.reduce((sum, issue) => sum + (issue.affectedChars || 0), 0)
         },
-        fixes: this.state.fixableIssues.map(issue => ({
+        fixes: this.sortIssuesByWeight([...this.state.fixableIssues], 'affectedChars').map(issue => ({
           type: issue.issueType,
           severity: issue.severity,
           description: issue.description,
           elementsCount: issue.affectedElements,
+          charsCount: issue.affectedChars,
           fixes: issue.fixes.map(fix => ({
             selector: fix.selector,
             element: `${fix.tagName}${fix.className ? '.' + fix.className.split(' ').join('.') : ''}`,
@@ -474,7 +555,7 @@
       `;
       
       notification.textContent = message;
-      document.body.appendChild(notification);
+      document.body.appendChild(DEEP_DOM.markOwned(notification));
       
       // Добавляем CSS анимацию
       const style = document.createElement('style');
@@ -484,7 +565,7 @@
           to { opacity: 1; transform: translateX(-50%) translateY(0); }
         }
       `;
-      document.head.appendChild(style);
+      document.head.appendChild(DEEP_DOM.markOwned(style));
       
       // Убираем через 3 секунды
       setTimeout(() => {
@@ -514,7 +595,7 @@
           transition: all 0.3s ease;
         `;
         
-        const rect = element.getBoundingClientRect();
+        const rect = DEEP_DOM.getViewportRect(element);
         overlay.style.top = (rect.top + window.scrollY) + 'px';
         overlay.style.left = (rect.left + window.scrollX) + 'px';
         overlay.style.width = rect.width + 'px';
@@ -536,7 +617,7 @@
         label.textContent = `${index + 1}`;
         overlay.appendChild(label);
         
-        document.body.appendChild(overlay);
+        document.body.appendChild(DEEP_DOM.markOwned(overlay));
         this.state.highlightedElements.add(overlay);
         
         // Плавное появление
@@ -585,6 +666,7 @@
               Tag: el.tagName.toLowerCase(),
               Classes: el.className || '(none)',
               Text: el.textContent?.trim().substring(0, 30) || '(empty)',
+              Chars: this.state.textCharCounts.get(el) || 0,
               Details: JSON.stringify(issue.details)
             })));
           });
@@ -597,6 +679,7 @@
       console.log('\n📊 Statistics:');
       console.table({
         'Total Font Combinations': this.state.fontMap.size,
+        'Text Characters': Array.from(this.state.textCharCounts.values()).reduce((sum, chars) => sum + chars, 0),
         'Critical Issues': this.state.issues.filter(i => i.severity === 'critical').length,
         'Warnings': this.state.issues.filter(i => i.severity === 'warning').length,
         'Info': this.state.issues.filter(i => i.severity === 'info').length
@@ -620,9 +703,11 @@
       
       // Очищаем предыдущие результаты
       this.state.fontMap.clear();
+      this.state.textCharCounts.clear();
       this.state.issues = [];
       this.state.fixableIssues = [];
       this.cleanup();
+      DEEP_DOM.reset();
       
       // Запускаем анализ
       this.collectTypographyData();
@@ -639,6 +724,158 @@
     }
   };
 
+  // Обход DOM с заходом в открытые shadow root и документы iframe того же origin
+  const DEEP_DOM = {
+    separator: ' >>> ', // граница shadow root / iframe в селекторах и путях
+    ownedAttribute: 'data-analyzer-owned', // метка интерфейса анализаторов: панели, подсветка, уведомления
+
+    state: {
+      roots: null
+    },
+
+    // Сброс найденных корней перед новым анализом
+    reset() {
+      this.state.roots = null;
+    },
+
+    // Корни обхода: документ, открытые shadow root и документы same-origin iframe
+    getRoots() {
+      if (this.state.roots) return this.state.roots;
+
+      const roots = [document];
+      for (let i = 0; i < roots.length; i++) {
+        roots[i].querySelectorAll('*').forEach(element => {
+          // Хосты панелей и служебные iframe помечены сами, вложенных корней у подсветки нет
+          if (element.hasAttribute(this.ownedAttribute)) return;
+          if (element.shadowRoot) {
+            roots.push(element.shadowRoot);
+          }
+          if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            const frameDocument = this.getFrameDocument(element);
+            if (frameDocument && frameDocument.documentElement) roots.push(frameDocument);
+          }
+        });
+      }
+
+      this.state.roots = roots;
+      return roots;
+    },
+
+    // Документ iframe, если он доступен (тот же origin)
+    getFrameDocument(frame) {
+      try {
+        return frame.contentDocument;
+      } catch (error) {
+        // Кросс-доменный iframe недоступен
+        return null;
+      }
+    },
+
+    // querySelectorAll по всем корням без интерфейса анализаторов
+    querySelectorAll(selector) {
+      return this.getRoots().flatMap(root => Array.from(root.querySelectorAll(selector))
+        .filter(element => !this.isOwned(element)));
+    },
+
+    // Пометка узла, созданного анализатором: обход страницы его не видит
+    markOwned(element) {
+      element.setAttribute(this.ownedAttribute, '');
+      return element;
+    },
+
+    // Узел (элемент или текст) внутри интерфейса анализатора
+    isOwned(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return Boolean(element && element.closest(`[${this.ownedAttribute}]`));
+    },
+
+    // Обход текстовых узлов без захода в поддеревья анализатора
+    createTextWalker(root) {
+      const attribute = this.ownedAttribute;
+      return (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: node => {
+          if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+          return node.hasAttribute(attribute) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+      });
+    },
+
+    // Поиск элемента по глубокому селектору: сегменты ищутся в shadow root / документе iframe предыдущего
+    querySelector(selector) {
+      let root = document;
+      let element = null;
+
+      for (const segment of selector.split(this.separator)) {
+        if (!root) return null;
+        try {
+          element = root.querySelector(segment);
+        } catch (error) {
+          return null;
+        }
+        if (!element) return null;
+        root = element.shadowRoot || this.getFrameDocument(element);
+      }
+
+      return element;
+    },
+
+    // Узел, с которого начинается обход текста в корне
+    getTextRoot(root) {
+      return root.nodeType === Node.DOCUMENT_NODE ? (root.body || root.documentElement) : root;
+    },
+
+    // Элемент-граница области: shadow host или iframe
+    getBoundary(element) {
+      const root = element.getRootNode();
+      if (root.host) return root.host;
+      const view = root.defaultView;
+      return view && view !== window && view.frameElement ? view.frameElement : null;
+    },
+
+    // Родитель с переходом через shadow host и iframe
+    getParent(element) {
+      if (element.parentElement) return element.parentElement;
+      return this.getBoundary(element);
+    },
+
+    // Прямоугольник элемента в координатах окна анализатора
+    getViewportRect(element) {
+      const rect = element.getBoundingClientRect();
+      let top = rect.top;
+      let left = rect.left;
+      let view = element.ownerDocument.defaultView;
+
+      // Смещение на позицию каждого iframe вверх по цепочке (с рамкой и padding)
+      while (view && view !== window && view.frameElement) {
+        const frame = view.frameElement;
+        const frameRect = frame.getBoundingClientRect();
+        const frameStyle = getComputedStyle(frame);
+        top += frameRect.top + frame.clientTop + parseFloat(frameStyle.paddingTop);
+        left += frameRect.left + frame.clientLeft + parseFloat(frameStyle.paddingLeft);
+        view = frame.ownerDocument.defaultView;
+      }
+
+      return { top, left, width: rect.width, height: rect.height, right: left + rect.width, bottom: top + rect.height };
+    },
+
+    // Селектор через границы: цепочка селекторов host/iframe, соединенных >>>
+    buildSelector(element, localSelector) {
+      const segments = [localSelector(element)];
+      let boundary = this.getBoundary(element);
+      while (boundary) {
+        segments.unshift(localSelector(boundary));
+        boundary = this.getBoundary(boundary);
+      }
+      return segments.join(this.separator);
+    },
+
+    // Последний сегмент глубокого селектора - валидный CSS внутри своей области
+    splitSelector(selector) {
+      const segments = selector.split(this.separator);
+      return { scope: segments.slice(0, -1).join(this.separator), local: segments[segments.length - 1] };
+    }
+  };
+
   // Запуск анализатора
   TYPOGRAPHY_ANALYZER.run();
 })();
@@ -3,6 +3,9 @@
   const seenFonts = new Map();
 
   document.querySelectorAll("*").forEach(el => {
+    // Интерфейс анализаторов (панели, подсветка) - не часть страницы
+    if (el.closest("[data-analyzer-owned]")) return;
+
     const style = getComputedStyle(el);
     const fontFamily = style.fontFamily;
     const fontSize = style.fontSize;
@@ -8,7 +8,104 @@
       maxLineHeightRatio: 1.8,
       suspiciousWeights: ['100', '200', '800', '900'],
       commonFontSizes: ['12px', '14px', '16px', '18px', '20px', '24px', '32px'],
-      redundancyThreshold: 1 // элементы с уникальными стилями
+      redundancyThreshold: 1, // элементы с уникальными стилями
+      ignoredTextParents: ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'OPTION'], // текст, который не рендерится как прогон
+      analyzePseudoElements: true, // ::before, ::after, ::marker, ::placeholder, ::first-line
+      quickScan: false, // начинать с быстрого сканирования по выборке вместо полного анализа
+      // Единицы выборки быстрого сканирования: прогон текста сводится к ближайшему блоку,
+      // чтобы проверки блоков (длина строки, переносы, ритм) видели выбранный текст
+      quickScanUnitSelector: 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, td, th, caption, figcaption, blockquote, pre, summary, legend, label, button, [role="button"]',
+      // Определение модульной шкалы по фактическим размерам страницы
+      typeScale: {
+        ratios: [1.067, 1.125, 1.2, 1.25, 1.333, 1.414, 1.5, 1.618],
+        stepRange: [-3, 8], // степени ratio относительно базового размера
+        tolerance: 0.02, // допустимое отклонение от ступени шкалы (доля)
+        clusterTolerance: 0.08, // расстояние для объединения размеров в кластер
+        minClusterElements: 2, // кластер из меньшего числа элементов - выброс, а не ступень шкалы...
+        minClusterShare: 0.05, // ...если только им не набрана заметная доля текста
+        minFit: 0.7 // минимальная доля текста на шкале, чтобы считать шкалу найденной
+      },
+      // Длина строки по реальным строчным блокам
+      lineLength: {
+        min: 45, // символов в строке
+        max: 75,
+        ideal: 66,
+        blockSelector: 'p, li, blockquote, dd, figcaption, article, section',
+        minLines: 3, // блоки короче не ограничены шириной и не проверяются
+        maxBlocks: 400
+      },
+      // Переносы строк в заголовках, коротких абзацах и кнопках
+      wrapping: {
+        headingSelector: 'h1, h2, h3, h4, h5, h6',
+        paragraphSelector: 'p, li, figcaption, blockquote, dd',
+        buttonSelector: 'button, [role="button"], a[class*="btn"], a[class*="button"]',
+        maxParagraphLines: 6, // в длинных абзацах висячее слово почти незаметно
+        minBalanceRatio: 0.5, // последняя строка заголовка короче этой доли самой длинной
+        maxBlocks: 600
+      },
+      // Визуальная иерархия заголовков
+      headings: {
+        selector: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+        sizeTolerance: 1, // px, меньшая разница размеров не заметна
+        weightStep: 100 // разница насыщенности, которая видна при равном размере
+      },
+      // Переносы и длинные слова в узких колонках
+      hyphenation: {
+        blockSelector: 'p, li, td, th, dd, figcaption, blockquote, h1, h2, h3, h4, h5, h6',
+        minWordLength: 8, // короткие слова не измеряются
+        tolerance: 1, // px
+        maxWordGapEm: 0.5, // межсловный пробел в выключке, от которого видны "реки"
+        maxBlocks: 600
+      },
+      // Типографика самого текста: кавычки, тире, многоточие и неразрывные пробелы
+      contentTypography: {
+        enabled: true,
+        skipSelector: 'code, pre, kbd, samp, var, [contenteditable="true"], [translate="no"]',
+        maxOccurrences: 200 // вхождений одного правила
+      },
+      // Трекинг (letter-spacing) и text-transform
+      tracking: {
+        uppercaseMinEm: 0.05, // минимальная разрядка для текста в верхнем регистре
+        uppercaseSuggestedEm: 0.06,
+        largeHeadingSize: 32, // px, от этого размера текст считается дисплейным
+        largeHeadingMaxEm: 0, // крупные заголовки не разряжают
+        largeHeadingSuggestedEm: -0.01,
+        bodyMaxSize: 20, // px, до этого размера текст считается основным
+        bodyMinEm: -0.01, // основной текст не сжимают
+        maxUppercaseChars: 60 // длиннее - уже абзац, а не метка
+      },
+      // Режим вертикального ритма (базовая сетка)
+      rhythm: {
+        enabled: false,
+        baseline: 8, // px, шаг базовой сетки (4 или 8)
+        tolerance: 0.5, // px, допустимое отклонение от кратного значения
+        showOverlay: false, // рисовать сетку сразу после анализа
+        blockSelector: 'p, h1, h2, h3, h4, h5, h6, ul, ol, li, blockquote, figure, pre, table, dl',
+        maxBlocks: 600
+      },
+      // Прогон анализа на нескольких ширинах во внеэкранном iframe
+      sweep: {
+        widths: [320, 375, 768, 1024, 1440, 1920],
+        height: 900,
+        mobileMax: 767, // px, до этой ширины - мобильные
+        wideMin: 1440, // px, от этой ширины - широкие экраны
+        timeout: 20000, // мс на загрузку страницы в iframe
+        settleDelay: 300, // мс после загрузки шрифтов
+        maxRows: 40 // строк матрицы в панели
+      },
+      // Плавная типографика (clamp) по результатам прогона ширин
+      fluid: {
+        minReadableSize: 16, // px, нижняя граница clamp для основного текста
+        maxJumpRatio: 1.25, // скачок размера между соседними ширинами
+        minFixedSize: 24, // px, от этого размера неизменный кегль стоит сделать плавным
+        fixedMinScale: 0.75 // доля размера на узком экране для неизменных заголовков
+      },
+      // Объединение почти одинаковых стилей
+      consolidation: {
+        sizeTolerance: 1, // px, разница font-size внутри кластера
+        lineHeightTolerance: 2, // px
+        weightTolerance: 100
+      }
     },
 
     // Состояние анализатора
@@ -16,49 +113,162 @@
       fontMap: new Map(),
       issues: [],
       highlightedElements: new Set(),
-      fixableIssues: [] // Новый массив для готовых к исправлению проблем
-    },
-
-    // Сбор данных о типографике
-    collectTypographyData() {
-      const allElements = document.querySelectorAll('*:not(script):not(style):not(meta):not(link)');
-      
-      allElements.forEach(element => {
-        // Пропускаем невидимые элементы
-        if (element.offsetParent === null && element.tagName !== 'HTML') return;
-        
-        const computedStyle = getComputedStyle(element);
-        const fontMetrics = {
-          fontFamily: computedStyle.fontFamily,
-          fontSize: computedStyle.fontSize,
-          fontWeight: computedStyle.fontWeight,
-          lineHeight: computedStyle.lineHeight,
-          letterSpacing: computedStyle.letterSpacing,
-          textTransform: computedStyle.textTransform,
-          element: element,
-          tagName: element.tagName.toLowerCase(),
-          className: element.className,
-          textContent: element.textContent?.trim().substring(0, 50) || ''
-        };
+      fixableIssues: [], // Новый массив для готовых к исправлению проблем
+      typeScale: null, // Обнаруженная шкала размеров
+      fontLoading: null, // Результаты аудита загрузки шрифтов
+      lineLengths: [], // Длина строк по текстовым блокам
+      clippedText: [], // Контейнеры с обрезанным текстом
+      contentLint: [], // Вхождения ошибок типографики текста
+      rhythmBreaks: [], // Элементы, выпадающие из базовой сетки
+      styleClusters: [], // Группы почти одинаковых стилей с каноническим вариантом
+      sweep: null, // Матрица проблема × ширина; сохраняется между перезапусками до нового прогона
+      sweepRunning: false,
+      preview: null, // Превью исправлений: примененные правки, снимок проблем до них, режим до/после
+      tokens: null, // Дизайн-токены типографики
+      tokenConformance: null, // Доля комбинаций, полностью совпадающих с токенами
+      baselineOverlay: null,
+      analysis: null, // AbortController текущего анализа (кнопка отмены в индикаторе прогресса)
+      scan: null, // Режим анализа { mode: 'full' | 'quick' | 'regions' }; выборка и регионы сохраняются между перезапусками
+      quickScan: null, // Оценка числа проблем по выборке последнего быстрого сканирования
+      truncatedChecks: [], // Проверки, упершиеся в лимит элементов: { check, skipped, limit }
+      textCharCounts: new Map() // Количество символов прямого текста по элементам
+    },
 
-        const key = `${fontMetrics.fontFamily}|${fontMetrics.fontSize}|${fontMetrics.fontWeight}|${fontMetrics.lineHeight}`;
+    // Сбор текстовых прогонов: текстовый узел -> элемент, чей стиль его рендерит
+    collectTextRuns() {
+      const runs = new Map();
+      
+      // Документ, открытые shadow root и same-origin iframe обходятся отдельно
+      DEEP_DOM.getRoots().forEach(root => {
+        const walker = DEEP_DOM.createTextWalker(DEEP_DOM.getTextRoot(root));
         
-        if (!this.state.fontMap.has(key)) {
-          this.state.fontMap.set(key, {
-            metrics: fontMetrics,
-            elements: [],
-            count: 0
-          });
+        let node;
+        while ((node = walker.nextNode())) {
+          const element = node.parentElement;
+          if (!element || this.config.ignoredTextParents.includes(element.tagName)) continue;
+          
+          const chars = node.nodeValue.replace(/\s+/g, ' ').trim().length;
+          if (chars === 0) continue;
+          
+          if (!runs.has(element)) {
+            runs.set(element, { charCount: 0, text: '' });
+          }
+          const run = runs.get(element);
+          run.charCount += chars;
+          if (run.text.length < 50) {
+            run.text = (run.text + ' ' + node.nodeValue.replace(/\s+/g, ' ').trim()).trim();
+          }
         }
-        
-        const entry = this.state.fontMap.get(key);
-        entry.elements.push(element);
-        entry.count++;
       });
+      
+      return runs;
+    },
+
+    // Проверка, что текст элемента действительно отрисован
+    isTextRendered(element, computedStyle) {
+      if (element.getClientRects().length === 0) return false;
+      return computedStyle.visibility !== 'hidden' && computedStyle.visibility !== 'collapse';
+    },
+
+    // Сбор данных о типографике порциями: стили тысяч элементов читаются без блокировки вкладки
+    async collectTypographyData({ signal = null, onProgress = () => {} } = {}) {
+      const textRuns = this.collectTextRuns();
+      
+      await TIME_SLICER.forEach(textRuns, ([element, { charCount, text }]) => {
+        const computedStyle = STYLE_CACHE.get(element);
+        
+        // Пропускаем невидимый текст
+        if (!this.isTextRendered(element, computedStyle)) return;
+        
+        this.addTypographyEntry(element, computedStyle, text, charCount);
+      }, { signal, onProgress: fraction => onProgress(fraction / 2) });
+      
+      // Текст псевдоэлементов проверяется по тем же правилам, что и обычный
+      if (this.config.analyzePseudoElements) {
+        const pseudoTexts = await PSEUDO_TEXT.collect(DEEP_DOM.querySelectorAll('*'), {
+          signal,
+          onProgress: fraction => onProgress(0.5 + fraction / 2)
+        });
+        pseudoTexts.forEach(({ target, style }) => {
+          const text = target.textContent;
+          this.addTypographyEntry(target, style, text, text.replace(/\s+/g, ' ').length);
+        });
+        this.recordTruncation('псевдоэлементы', PSEUDO_TEXT.state.truncated, PSEUDO_TEXT.config.maxElements);
+      }
+      onProgress(1);
+    },
+
+    // Проверка, остановленная лимитом: непроверенные элементы показываются в панели и отчете
+    recordTruncation(check, skipped, limit) {
+      if (skipped > 0) {
+        this.state.truncatedChecks.push({ check, skipped, limit });
+      }
+    },
+
+    // Первые limit элементов проверки; отброшенные учитываются как непроверенные
+    limitChecked(check, elements, limit) {
+      this.recordTruncation(check, elements.length - limit, limit);
+      return elements.slice(0, limit);
+    },
+
+    // Описание непроверенных элементов для панели и отчета
+    describeTruncation() {
+      return this.state.truncatedChecks
+        .map(({ check, skipped, limit }) => `${check}: не проверено ${skipped} элементов (лимит ${limit})`)
+        .join('; ');
+    },
+
+    // Добавление текста в карту комбинаций шрифтовых стилей
+    addTypographyEntry(element, computedStyle, text, charCount) {
+      const fontMetrics = {
+        fontFamily: computedStyle.fontFamily,
+        fontSize: computedStyle.fontSize,
+        fontWeight: computedStyle.fontWeight,
+        fontStyle: computedStyle.fontStyle,
+        fontSynthesis: computedStyle.fontSynthesis || 'weight style',
+        lineHeight: computedStyle.lineHeight,
+        letterSpacing: computedStyle.letterSpacing,
+        textTransform: computedStyle.textTransform,
+        element: element,
+        tagName: element.tagName.toLowerCase(),
+        className: element.className,
+        textContent: text.substring(0, 50)
+      };
+
+      const key = `${fontMetrics.fontFamily}|${fontMetrics.fontSize}|${fontMetrics.fontWeight}|${fontMetrics.fontStyle}|${fontMetrics.lineHeight}|${fontMetrics.letterSpacing}|${fontMetrics.textTransform}`;
+      
+      if (!this.state.fontMap.has(key)) {
+        this.state.fontMap.set(key, {
+          metrics: fontMetrics,
+          elements: [],
+          count: 0,
+          charCount: 0
+        });
+      }
+      
+      const entry = this.state.fontMap.get(key);
+      entry.elements.push(element);
+      entry.count++;
+      entry.charCount += charCount;
+      this.state.textCharCounts.set(element, charCount);
+    },
+
+    // Объем текста, затронутого набором элементов
+    getAffectedChars(elements) {
+      return elements.reduce((sum, element) => sum + (this.state.textCharCounts.get(element) || 0), 0);
     },
 
-    // Генерация селектора для элемента
+    // Генерация селектора для элемента (через границы shadow root и iframe)
     generateSelector(element) {
+      return DEEP_DOM.buildSelector(element, current => this.generateLocalSelector(current));
+    },
+
+    // Селектор внутри собственной области элемента (документ или shadow root)
+    generateLocalSelector(element) {
+      if (element.pseudo) {
+        return this.generateLocalSelector(element.host) + element.pseudo;
+      }
+      
       let selector = element.tagName.toLowerCase();
       
       // Добавляем ID если есть
@@ -75,7 +285,7 @@
       }
       
       // Если селектор слишком общий, добавляем nth-child
-      const similarElements = document.querySelectorAll(selector);
+      const similarElements = element.getRootNode().querySelectorAll(selector);
       if (similarElements.length > 1) {
         const parent = element.parentElement;
         if (parent) {
@@ -95,48 +305,107 @@
 
     // Создание объекта с исправлениями
     createFixableIssue(type, severity, elements, currentValues, suggestedFix, reasoning) {
-      const fixes = elements.map(element => ({
-        selector: this.generateSelector(element),
-        tagName: element.tagName.toLowerCase(),
-        className: element.className || null,
-        textPreview: element.textContent?.trim().substring(0, 30) || '(empty)',
-        currentCSS: currentValues,
-        suggestedCSS: suggestedFix,
-        elementPath: this.getElementPath(element)
-      }));
+      const properties = [...new Set([
+        ...Object.keys(currentValues),
+        ...(typeof suggestedFix === 'object' ? Object.keys(suggestedFix) : [])
+      ])];
+      
+      const fixes = elements.map(element => {
+        const sources = properties
+          .map(property => CSS_RULE_RESOLVER.resolve(element, property))
+          .filter(Boolean);
+        const selector = this.generateSelector(element);
+        
+        return {
+          selector,
+          targetSelector: this.getTargetSelector(sources, suggestedFix) || selector,
+          // Документ или shadow root элемента: там же объявлено правило, и там применяется превью
+          root: element.getRootNode(),
+          // Размер шрифта элемента: em, % и безразмерный line-height токенов считаются от него
+          fontSize: parseFloat(STYLE_CACHE.get(element.pseudo ? element.host : element, element.pseudo || null).fontSize),
+          tagName: element.tagName.toLowerCase(),
+          className: element.className || null,
+          textPreview: element.textContent?.trim().substring(0, 30) || '(empty)',
+          currentCSS: currentValues,
+          suggestedCSS: suggestedFix,
+          sources,
+          elementPath: this.getElementPath(element)
+        };
+      });
 
       this.state.fixableIssues.push({
         issueType: type,
         severity: severity,
         description: reasoning,
         affectedElements: fixes.length,
+        affectedChars: this.getAffectedChars(elements),
         fixes: fixes
       });
     },
 
+    // Селектор правила, где объявлено исправляемое значение (если оно задано самому элементу).
+    // Берется совпавший член списка: исправление не должно переписывать остальные селекторы правила,
+    // а вложенное правило относительно родителя - для него остается селектор элемента
+    getTargetSelector(sources, suggestedFix) {
+      if (typeof suggestedFix !== 'object') return null;
+      const declared = sources.find(source =>
+        source.type === 'rule' && !source.important && source.property in suggestedFix);
+      if (!declared || declared.nested) return null;
+      return declared.matchedSelector;
+    },
+
+    // Источник значения для отображения в панели
+    resolveIssueSource(elements, details) {
+      if (!elements[0] || !details) return null;
+      const property = Object.keys(details)
+        .map(key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`))
+        .find(key => CSS_RULE_RESOLVER.config.inheritedProperties.includes(key));
+      return property ? CSS_RULE_RESOLVER.resolve(elements[0], property) : null;
+    },
+
     // Получение пути до элемента
     getElementPath(element) {
-      const path = [];
+      if (element.pseudo) {
+        return this.getElementPath(element.host) + element.pseudo;
+      }
+      
+      const scopes = [];
+      let path = [];
       let current = element;
       
-      while (current && current !== document.body) {
+      while (current) {
+        // body завершает путь в своем документе, дальше - iframe (если есть)
+        if (current === current.ownerDocument.body) {
+          current = DEEP_DOM.getBoundary(current);
+          scopes.unshift(path.join(' > '));
+          path = [];
+          continue;
+        }
+        
         let selector = current.tagName.toLowerCase();
         if (current.id) {
           selector += `#${current.id}`;
-          path.unshift(selector);
-          break;
-        }
-        if (current.className && typeof current.className === 'string') {
+        } else if (current.className && typeof current.className === 'string') {
           const classes = current.className.trim().split(/\s+/);
           if (classes.length > 0 && classes[0] !== '') {
             selector += '.' + classes[0];
           }
         }
         path.unshift(selector);
-        current = current.parentElement;
+        
+        // ID уникален в своей области - поднимаемся сразу к shadow host / iframe
+        const parent = current.id ? null : current.parentElement;
+        if (parent) {
+          current = parent;
+          continue;
+        }
+        current = DEEP_DOM.getBoundary(current);
+        scopes.unshift(path.join(' > '));
+        path = [];
       }
       
-      return path.join(' > ');
+      if (path.length > 0) scopes.unshift(path.join(' > '));
+      return scopes.filter(Boolean).join(DEEP_DOM.separator);
     },
 
     // Анализ проблем
@@ -198,8 +467,11 @@
           );
         }
         
-        // Анализ уникальности (потенциальная избыточность)
-        if (count <= this.config.redundancyThreshold) {
+        // Анализ трекинга и регистра
+        this.analyzeTracking(metrics, elements);
+        
+        // Анализ уникальности (потенциальная избыточность), если стиль не попал в кластер
+        if (count <= this.config.redundancyThreshold && !this.isClusteredStyle(key)) {
           this.addIssue('info', '🔍 Уникальная комбинация', 
             'Используется только в одном месте', elements, metrics);
             
@@ -234,571 +506,5138 @@
           );
         }
         
-        // Анализ консистентности размеров
-        if (!this.config.commonFontSizes.includes(fontSize) && fontSizeNum > 10) {
+        // Анализ консистентности размеров относительно шкалы страницы
+        if (!this.isOnTypeScale(fontSizeNum) && fontSizeNum > 10) {
           const nearestSize = this.findNearestStandardSize(fontSizeNum);
-          this.addIssue('info', '📊 Нестандартный размер', 
-            `Размер ${fontSize} не входит в типичную шкалу`, elements, { fontSize });
+          const scaleLabel = this.describeTypeScale();
+          this.addIssue('info', '📊 Размер вне шкалы', 
+            `Размер ${fontSize} не попадает в шкалу ${scaleLabel}, ближайшая ступень ${nearestSize}`, 
+            elements, { fontSize, nearestSize });
             
           this.createFixableIssue(
             'non-standard-size',
             'info',
             elements,
             { 'font-size': fontSize },
-            { 'font-size': nearestSize },
-            `Нестандартный размер шрифта. Рекомендуется использовать размеры из типографской шкалы.`
+            { 'font-size': this.formatScaleSize(parseFloat(nearestSize)) },
+            `Размер шрифта ${fontSize} выпадает из шкалы ${scaleLabel}. Рекомендуется привести к ступени ${nearestSize}.`
           );
         }
       });
     },
 
-    // Поиск ближайшего стандартного размера
-    findNearestStandardSize(currentSize) {
-      const sizes = this.config.commonFontSizes.map(s => parseFloat(s));
-      return sizes.reduce((prev, curr) => 
-        Math.abs(curr - currentSize) < Math.abs(prev - currentSize) ? curr : prev
-      ) + 'px';
-    },
-
-    // Добавление проблемы
-    addIssue(severity, type, description, elements, details) {
-      this.state.issues.push({
-        severity,
-        type,
-        description,
-        elements: [...elements],
-        details,
-        count: elements.length
+    // Кластеризация комбинаций, отличающихся на доли пикселя или одну ступень веса
+    clusterSimilarStyles() {
+      const { sizeTolerance, lineHeightTolerance, weightTolerance } = this.config.consolidation;
+      const entries = Array.from(this.state.fontMap, ([key, data]) => ({ key, ...data }))
+        .sort((a, b) => b.charCount - a.charCount);
+      const assigned = new Set();
+      const clusters = [];
+      
+      // Канонический стиль - самый используемый, остальные сравниваются только с ним
+      entries.forEach(canonical => {
+        if (assigned.has(canonical.key)) return;
+        const base = canonical.metrics;
+        
+        const variants = entries.filter(entry => {
+          if (entry === canonical || assigned.has(entry.key)) return false;
+          const m = entry.metrics;
+          if (m.fontFamily !== base.fontFamily || m.fontStyle !== base.fontStyle ||
+              m.textTransform !== base.textTransform || m.letterSpacing !== base.letterSpacing) return false;
+          
+          const lineHeightClose = m.lineHeight === base.lineHeight ||
+            Math.abs(parseFloat(m.lineHeight) - parseFloat(base.lineHeight)) <= lineHeightTolerance;
+          
+          return Math.abs(parseFloat(m.fontSize) - parseFloat(base.fontSize)) <= sizeTolerance &&
+            Math.abs(parseFloat(m.fontWeight) - parseFloat(base.fontWeight)) <= weightTolerance &&
+            lineHeightClose;
+        });
+        
+        if (variants.length === 0) return;
+        
+        assigned.add(canonical.key);
+        variants.forEach(variant => assigned.add(variant.key));
+        clusters.push({ canonical, variants });
       });
+      
+      return clusters;
     },
 
-    // Создание интерактивной таблицы
-    createInteractiveTable() {
-      // Создаем контейнер
-      const container = document.createElement('div');
-      container.id = 'typography-analyzer-results';
-      container.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        width: 560px;
-        max-height: 70vh;
-        background: #1a1a1a;
-        border: 2px solid #333;
-        border-radius: 8px;
-        color: #fff;
-        font-family: 'SF Mono', Consolas, monospace;
-        font-size: 12px;
-        z-index: 10000;
-        overflow-y: auto;
-        box-shadow: 0 8px 32px rgba(0,0,0,0.3);
-      `;
-
-      // Header
-      const header = document.createElement('div');
-      header.style.cssText = `
-        padding: 12px 16px;
-        background: #333;
-        border-bottom: 1px solid #444;
-        font-weight: bold;
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-      `;
-      header.innerHTML = `
-        <span>🔍 Typography Analyzer</span>
-        <button id="close-analyzer" style="background:none;border:none;color:#fff;font-size:16px;cursor:pointer;">✕</button>
-      `;
+    // Стиль входит в кластер как вариант, подлежащий замене
+    isClusteredStyle(key) {
+      return this.state.styleClusters.some(cluster => cluster.variants.some(variant => variant.key === key));
+    },
 
-      // Stats
-      const stats = document.createElement('div');
-      stats.style.cssText = 'padding: 12px 16px; background: #2a2a2a; border-bottom: 1px solid #444;';
-      const totalCombinations = this.state.fontMap.size;
-      const criticalIssues = this.state.issues.filter(i => i.severity === 'critical').length;
-      const warningIssues = this.state.issues.filter(i => i.severity === 'warning').length;
-      const infoIssues = this.state.issues.filter(i => i.severity === 'info').length;
+    // Свойства, которыми вариант отличается от канонического стиля
+    getStyleDifference(metrics, canonicalMetrics) {
+      const properties = {
+        'font-size': 'fontSize',
+        'font-weight': 'fontWeight',
+        'line-height': 'lineHeight'
+      };
+      const current = {};
+      const suggested = {};
       
-      stats.innerHTML = `
-        📊 Всего комбинаций: ${totalCombinations} | 
-        🚨 Критических: ${criticalIssues} |
-        ⚠️ Предупреждений: ${warningIssues} |
-        💡 Инфо: ${infoIssues}
-      `;
-
-      // Table
-      const table = document.createElement('div');
-      table.style.cssText = 'padding: 8px;';
+      Object.entries(properties).forEach(([property, key]) => {
+        if (metrics[key] !== canonicalMetrics[key]) {
+          current[property] = metrics[key];
+          suggested[property] = canonicalMetrics[key];
+        }
+      });
       
-      this.state.issues.forEach((issue, index) => {
-        const row = document.createElement('div');
-        row.style.cssText = `
-          padding: 8px 12px;
-          margin: 4px 0;
-          border-left: 4px solid ${this.getSeverityColor(issue.severity)};
-          background: #2a2a2a;
-          cursor: pointer;
-          border-radius: 4px;
-          transition: all 0.2s ease;
-        `;
-        
-        row.innerHTML = `
-          <div style="font-weight: bold; margin-bottom: 4px;">
-            ${issue.type} <span style="color: #666;">(${issue.count} элементов)</span>
-          </div>
-          <div style="color: #ccc; font-size: 11px;">
-            ${issue.description}
-          </div>
-          <div style="color: #888; font-size: 10px; margin-top: 4px;">
-            Клик для подсветки элементов
-          </div>
-        `;
+      return { current, suggested };
+    },
 
-        // Добавляем интерактивность
-        row.addEventListener('click', () => this.highlightElements(issue.elements, index));
-        row.addEventListener('mouseenter', () => {
-          row.style.background = '#3a3a3a';
-        });
-        row.addEventListener('mouseleave', () => {
-          row.style.background = '#2a2a2a';
-        });
+    // Краткая запись стиля: 16px/24px/400
+    formatStyleShort(metrics) {
+      return `${metrics.fontSize}/${metrics.lineHeight}/${metrics.fontWeight}`;
+    },
 
-        table.appendChild(row);
+    // План объединения почти одинаковых стилей
+    analyzeStyleClusters() {
+      this.state.styleClusters.forEach(({ canonical, variants }) => {
+        const canonicalLabel = this.formatStyleShort(canonical.metrics);
+        const changedElements = variants.flatMap(variant => variant.elements);
+        const variantLabels = variants.map(variant => this.formatStyleShort(variant.metrics));
+        const family = canonical.metrics.fontFamily.split(',')[0];
+        
+        this.addIssue('info', '🧬 Почти одинаковые стили', 
+          `${family}: ${variantLabels.join(', ')} → ${canonicalLabel} (${canonical.count} эл. уже используют)`, 
+          changedElements, { fontSize: canonical.metrics.fontSize, lineHeight: canonical.metrics.lineHeight, variants: variantLabels });
+        
+        variants.forEach(variant => {
+          const { current, suggested } = this.getStyleDifference(variant.metrics, canonical.metrics);
+          
+          this.createFixableIssue(
+            'style-consolidation',
+            'info',
+            variant.elements,
+            current,
+            suggested,
+            `Стиль ${this.formatStyleShort(variant.metrics)} почти совпадает с ${canonicalLabel} (${canonical.charCount} симв.). Объедините в один стиль.`
+          );
+        });
       });
+    },
 
-      // Controls - теперь с тремя кнопками копирования
-      const controls = document.createElement('div');
-      controls.style.cssText = 'padding: 12px 16px; background: #333; border-top: 1px solid #444;';
-      
-      const criticalCount = this.state.fixableIssues.filter(i => i.severity === 'critical').length;
-      const nonCriticalCount = this.state.fixableIssues.filter(i => i.severity !== 'critical').length;
-      
-      controls.innerHTML = `
-        <div style="margin-bottom: 8px;">
-          <button id="clear-highlights" style="background:#444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">Очистить подсветку</button>
-          <button id="export-report" style="background:#0066cc;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">Экспорт в консоль</button>
-        </div>
-        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
-          <button id="copy-all-fixes" style="background:#00cc66;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
-            📋 Все (${this.state.fixableIssues.length})
-          </button>
-          <button id="copy-critical-fixes" style="background:#ff4444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
-            🚨 Критические (${criticalCount})
-          </button>
-          <button id="copy-non-critical-fixes" style="background:#ffaa00;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
-            ⚠️ Остальные (${nonCriticalCount})
-          </button>
-        </div>
-      `;
+    // План объединения для отчетов
+    getConsolidationPlan() {
+      return this.state.styleClusters.map(({ canonical, variants }) => ({
+        canonical: this.formatStyleShort(canonical.metrics),
+        fontFamily: canonical.metrics.fontFamily,
+        canonicalElements: canonical.count,
+        variants: variants.map(variant => ({
+          style: this.formatStyleShort(variant.metrics),
+          elements: variant.elements.map(element => this.generateSelector(element)),
+          chars: variant.charCount
+        }))
+      }));
+    },
 
-      // Сборка
-      container.appendChild(header);
-      container.appendChild(stats);
-      container.appendChild(table);
-      container.appendChild(controls);
+    // Определение типографской шкалы по собранным размерам
+    inferTypeScale() {
+      const { ratios, minFit } = this.config.typeScale;
+      const sizeWeights = new Map();
+      const sizeCounts = new Map();
 
-      // Event listeners
-      container.querySelector('#close-analyzer').addEventListener('click', () => {
-        this.cleanup();
-      });
-      
-      container.querySelector('#clear-highlights').addEventListener('click', () => {
-        this.clearHighlights();
-      });
-      
-      container.querySelector('#export-report').addEventListener('click', () => {
-        this.exportToConsole();
+      // Вес размера - объем набранного им текста
+      this.state.fontMap.forEach(({ metrics, charCount, count }) => {
+        const size = Math.round(parseFloat(metrics.fontSize) * 100) / 100;
+        if (!size) return;
+        sizeWeights.set(size, (sizeWeights.get(size) || 0) + charCount);
+        sizeCounts.set(size, (sizeCounts.get(size) || 0) + count);
       });
 
-      // Обработчики для разных типов копирования
-      container.querySelector('#copy-all-fixes').addEventListener('click', () => {
-        this.copyFixesToClipboard('all');
-      });
+      if (sizeWeights.size === 0) return null;
 
-      container.querySelector('#copy-critical-fixes').addEventListener('click', () => {
-        this.copyFixesToClipboard('critical');
-      });
+      // [размер, символов, элементов] по убыванию объема текста
+      const sizes = Array.from(sizeWeights.entries(), ([size, weight]) => [size, weight, sizeCounts.get(size)])
+        .sort((a, b) => b[1] - a[1]);
+      const totalWeight = sizes.reduce((sum, [, weight]) => sum + weight, 0);
+      const rootSize = parseFloat(STYLE_CACHE.get(DEEP_DOM.getDocument().documentElement).fontSize) || 16;
 
-      container.querySelector('#copy-non-critical-fixes').addEventListener('click', () => {
-        this.copyFixesToClipboard('non-critical');
+      // Кандидаты на базу: корневой rem и самые частые размеры страницы
+      const bases = new Set([rootSize, ...sizes.slice(0, 3).map(([size]) => size)]);
+
+      let best = null;
+      bases.forEach(base => {
+        ratios.forEach(ratio => {
+          const steps = this.buildScaleSteps(base, ratio);
+          const fitWeight = sizes.reduce((sum, [size, weight]) =>
+            this.isOnTypeScale(size, steps) ? sum + weight : sum, 0);
+          const fit = fitWeight / totalWeight;
+          // Плотные шкалы (1.067) покрывают почти любые размеры случайно - вычитаем это
+          const score = fit - this.getScaleChanceFit(ratio);
+
+          if (!best || score > best.score + 0.001 ||
+              (Math.abs(score - best.score) <= 0.001 && base === rootSize)) {
+            best = { type: 'modular', base, ratio, steps, fit, score, rootSize };
+          }
+        });
       });
 
-      document.body.appendChild(container);
+      if (best.fit >= minFit) return best;
+
+      // Модульная шкала не подошла - используем кластеры фактических размеров
+      const steps = this.clusterFontSizes(sizes);
+      const clusterFit = sizes.reduce((sum, [size, weight]) =>
+        this.isOnTypeScale(size, steps) ? sum + weight : sum, 0) / totalWeight;
+      return {
+        type: 'clusters',
+        base: rootSize,
+        ratio: null,
+        steps,
+        fit: clusterFit,
+        rootSize,
+        closestModular: { base: best.base, ratio: best.ratio, fit: `${Math.round(best.fit * 100)}%` }
+      };
     },
 
-    // Копирование исправлений в буфер обмена с фильтрацией
-    async copyFixesToClipboard(filterType = 'all') {
-      let filteredIssues;
-      let title;
-      
-      switch (filterType) {
-        case 'critical':
-          filteredIssues = this.state.fixableIssues.filter(issue => issue.severity === 'critical');
-          title = 'КРИТИЧЕСКИЕ ПРОБЛЕМЫ';
-          break;
-        case 'non-critical':
-          filteredIssues = this.state.fixableIssues.filter(issue => issue.severity !== 'critical');
-          title = 'ПРЕДУПРЕЖДЕНИЯ И РЕКОМЕНДАЦИИ';
-          break;
-        default:
-          filteredIssues = this.state.fixableIssues;
-          title = 'ВСЕ ПРОБЛЕМЫ';
+    // Построение ступеней модульной шкалы
+    buildScaleSteps(base, ratio) {
+      const [from, to] = this.config.typeScale.stepRange;
+      const steps = [];
+      for (let step = from; step <= to; step++) {
+        steps.push(Math.round(base * Math.pow(ratio, step) * 100) / 100);
       }
+      return steps;
+    },
 
-      if (filteredIssues.length === 0) {
-        this.showNotification(`❌ Нет проблем типа "${filterType}" для копирования`, 'info');
-        return;
+    // Вероятность случайно попасть в ступень шкалы с данным ratio
+    getScaleChanceFit(ratio) {
+      const { tolerance } = this.config.typeScale;
+      return Math.min(1, (2 * Math.log(1 + tolerance)) / Math.log(ratio));
+    },
+
+    // Группировка близких размеров в кластеры (центр - самый частый размер).
+    // Ступенями становятся только кластеры с достаточным числом элементов или объемом текста,
+    // иначе разовые размеры сами себе шкала и никогда не попадают в "вне шкалы"
+    clusterFontSizes(sizes) {
+      const { clusterTolerance, minClusterElements, minClusterShare } = this.config.typeScale;
+      const ascending = [...sizes].sort((a, b) => a[0] - b[0]);
+      const clusters = [];
+
+      ascending.forEach(([size, weight, count]) => {
+        const last = clusters[clusters.length - 1];
+        if (last && (size - last.max) / last.max <= clusterTolerance) {
+          last.max = size;
+          last.chars += weight;
+          last.count += count;
+          if (weight > last.weight) {
+            last.center = size;
+            last.weight = weight;
+          }
+        } else {
+          clusters.push({ center: size, weight, max: size, chars: weight, count });
+        }
+      });
+
+      const totalChars = clusters.reduce((sum, cluster) => sum + cluster.chars, 0);
+      const steps = clusters.filter(cluster =>
+        cluster.count >= minClusterElements || cluster.chars / totalChars >= minClusterShare);
+      // Страница из одних выбросов: шкалой остается самый объемный кластер
+      if (steps.length === 0) {
+        steps.push(clusters.reduce((best, cluster) => cluster.chars > best.chars ? cluster : best));
       }
 
-      const fixesObject = {
-        title: `🔍 Typography Analyzer - ${title}`,
-        timestamp: new Date().toISOString(),
-        url: window.location.href,
-        filterType: filterType,
-        summary: {
-          totalIssues: filteredIssues.length,
-          critical: filteredIssues.filter(i => i.severity === 'critical').length,
-          warning: filteredIssues.filter(i => i.severity === 'warning').length,
-          info: filteredIssues.filter(i => i.severity === 'info').length,
-          affectedElements: filteredIssues.reduce((sum, issue) => sum + issue.affectedElements, 0)
-        },
-        priorityOrder: this.getPriorityOrder(filterType),
-        fixes: filteredIssues
-          .sort((a, b) => this.getSeverityPriority(a.severity) - this.getSeverityPriority(b.severity))
-          .map((issue, index) => ({
-            id: index + 1,
-            type: issue.issueType,
-            severity: issue.severity,
-            priority: this.getSeverityPriority(issue.severity),
-            description: issue.description,
-            elementsCount: issue.affectedElements,
-            estimatedTime: this.getEstimatedFixTime(issue.issueType),
-            fixes: issue.fixes.map((fix, fixIndex) => ({
-              id: `${index + 1}.${fixIndex + 1}`,
-              selector: fix.selector,
-              element: `${fix.tagName}${fix.className ? '.' + fix.className.split(' ').join('.') : ''}`,
-              textContent: fix.textPreview,
-              path: fix.elementPath,
-              currentCSS: fix.currentCSS,
-              suggestedCSS: fix.suggestedCSS,
-              cssRule: this.generateCSSRule(fix.selector, fix.suggestedCSS)
-            }))
-          }))
-      };
+      return steps.map(cluster => cluster.center);
+    },
 
-      // Добавляем готовые CSS правила для быстрого применения
-      fixesObject.readyToApplyCSS = this.generateReadyCSS(filteredIssues);
+    // Проверка попадания размера в ступень шкалы
+    isOnTypeScale(size, steps = null) {
+      const scaleSteps = steps || this.state.typeScale?.steps ||
+        this.config.commonFontSizes.map(s => parseFloat(s));
+      const { tolerance } = this.config.typeScale;
+      return scaleSteps.some(step => Math.abs(size - step) / step <= tolerance);
+    },
 
-      try {
-        await navigator.clipboard.writeText(JSON.stringify(fixesObject, null, 2));
-        
-        const typeLabels = {
-          'all': 'всех проблем',
-          'critical': 'критических проблем',
-          'non-critical': 'предупреждений и рекомендаций'
-        };
-        
-        this.showNotification(`✅ Объект ${typeLabels[filterType]} скопирован в буфер обмена!`, 'success');
-        
-        // Также выводим в консоль для удобства
-        console.group(`📋 Copied Typography Fixes - ${title}`);
-        console.log(`Скопирован объект с ${filteredIssues.length} проблемами:`);
-        console.log(fixesObject);
-        
-        console.log('\n🎯 Быстрое применение CSS:');
-        console.log(fixesObject.readyToApplyCSS);
+    // Правила letter-spacing и text-transform для одной комбинации стилей
+    analyzeTracking(metrics, elements) {
+      const { fontSize, letterSpacing, textTransform } = metrics;
+      const rules = this.config.tracking;
+      const fontSizeNum = parseFloat(fontSize);
+      const trackingEm = this.getTrackingEm(letterSpacing, fontSizeNum);
+      // Регистр определяется по тексту каждого элемента: одинаковый стиль не значит одинаковый набор
+      const uppercaseElements = elements.filter(element => this.isUppercaseText(element, textTransform));
+      const mixedCaseElements = elements.filter(element => !uppercaseElements.includes(element));
+      
+      // Текст в верхнем регистре без разрядки слипается
+      if (uppercaseElements.length > 0 && trackingEm < rules.uppercaseMinEm) {
+        const suggested = `${rules.uppercaseSuggestedEm}em`;
+        this.addIssue('warning', '🔡 Капс без разрядки', 
+          `Верхний регистр с letter-spacing ${this.formatEm(trackingEm)} < ${rules.uppercaseMinEm}em`, 
+          uppercaseElements, { letterSpacing, textTransform });
         
-        console.log('\n💡 Рекомендуемый порядок исправления:');
-        fixesObject.fixes.forEach(fix => {
-          console.log(`${fix.id}. [${fix.severity.toUpperCase()}] ${fix.type} - ${fix.elementsCount} элементов (~${fix.estimatedTime})`);
-        });
+        this.createFixableIssue(
+          'uppercase-tracking',
+          'warning',
+          uppercaseElements,
+          { 'letter-spacing': letterSpacing, 'text-transform': textTransform },
+          { 'letter-spacing': suggested },
+          `Прописные буквы требуют положительной разрядки (${rules.uppercaseMinEm}–0.1em), иначе слова читаются как сплошная полоса.`
+        );
+      }
+      
+      // Крупные заголовки с разрядкой разваливаются визуально
+      if (fontSizeNum >= rules.largeHeadingSize && mixedCaseElements.length > 0 && trackingEm > rules.largeHeadingMaxEm) {
+        this.addIssue('info', '🔠 Разреженный крупный заголовок', 
+          `${fontSize} с letter-spacing ${this.formatEm(trackingEm)}`, 
+          mixedCaseElements, { fontSize, letterSpacing });
         
-        console.groupEnd();
+        this.createFixableIssue(
+          'large-heading-loose-tracking',
+          'info',
+          mixedCaseElements,
+          { 'letter-spacing': letterSpacing },
+          { 'letter-spacing': `${rules.largeHeadingSuggestedEm}em` },
+          `Крупный текст (${fontSize}) обычно набирают с нулевым или отрицательным трекингом - разрядка разбивает слова на буквы.`
+        );
+      }
+      
+      // Основной текст со сжатием теряет читаемость
+      if (fontSizeNum <= rules.bodyMaxSize && trackingEm < rules.bodyMinEm) {
+        this.addIssue('warning', '🗜️ Сжатый основной текст', 
+          `${fontSize} с letter-spacing ${this.formatEm(trackingEm)} < ${rules.bodyMinEm}em`, 
+          elements, { fontSize, letterSpacing });
         
-      } catch (err) {
-        // Fallback для старых браузеров
-        const textArea = document.createElement('textarea');
-        textArea.value = JSON.stringify(fixesObject, null, 2);
-        document.body.appendChild(textArea);
-        textArea.select();
-        document.execCommand('copy');
-        document.body.removeChild(textArea);
+        this.createFixableIssue(
+          'body-negative-tracking',
+          'warning',
+          elements,
+          { 'letter-spacing': letterSpacing },
+          { 'letter-spacing': '0em' },
+          `Отрицательный трекинг в основном тексте (${fontSize}) сливает буквы и ухудшает читаемость.`
+        );
+      }
+      
+      // Длинные фрагменты капсом читаются медленно
+      if (uppercaseElements.length > 0) {
+        const longPassages = uppercaseElements.filter(element =>
+          (this.state.textCharCounts.get(element) || 0) > rules.maxUppercaseChars);
         
-        this.showNotification(`📋 Объект ${typeLabels[filterType]} скопирован (fallback)`, 'success');
-        console.log(`Typography Fixes - ${title}:`, fixesObject);
+        if (longPassages.length > 0) {
+          this.addIssue('warning', '📢 Длинный текст капсом', 
+            `Фрагменты длиннее ${rules.maxUppercaseChars} символов набраны прописными`, 
+            longPassages, { textTransform });
+          
+          this.createFixableIssue(
+            'long-uppercase-text',
+            'warning',
+            longPassages,
+            { 'text-transform': textTransform },
+            textTransform === 'uppercase'
+              ? { 'text-transform': 'none' }
+              : '/* Текст набран прописными в исходнике - перепишите его в обычном регистре */',
+            `Прописные подходят для коротких меток. Абзацы капсом читаются медленнее - слова теряют силуэт.`
+          );
+        }
       }
     },
 
-    // Получение приоритета серьезности
-    getSeverityPriority(severity) {
-      const priorities = { critical: 1, warning: 2, info: 3 };
-      return priorities[severity] || 4;
+    // letter-spacing в em относительно размера шрифта
+    getTrackingEm(letterSpacing, fontSizeNum) {
+      const trackingPx = parseFloat(letterSpacing) || 0; // 'normal' -> 0
+      return fontSizeNum ? Math.round((trackingPx / fontSizeNum) * 1000) / 1000 : 0;
     },
 
-    // Получение порядка приоритетов
-    getPriorityOrder(filterType) {
-      const orders = {
-        'critical': ['Сначала исправить критические проблемы - они влияют на читаемость'],
-        'non-critical': ['Предупреждения и рекомендации для улучшения типографики'],
-        'all': [
-          '1. Критические проблемы (влияют на читаемость)',
-          '2. Предупреждения (улучшают качество)',
-          '3. Рекомендации (консистентность)'
-        ]
-      };
-      return orders[filterType] || orders['all'];
+    // Форматирование трекинга для описаний
+    formatEm(value) {
+      return `${value}em`;
     },
 
-    // Оценка времени на исправление
-    getEstimatedFixTime(issueType) {
-      const times = {
-        'line-height-too-small': '2-5 мин',
-        'line-height-too-large': '2-5 мин',
-        'extreme-font-weight': '1-3 мин',
-        'mixed-font-families': '5-10 мин',
-        'redundant-style': '10-15 мин',
-        'non-standard-size': '3-7 мин'
-      };
-      return times[issueType] || '5 мин';
+    // Текст элемента в верхнем регистре: через text-transform или набранный прописными
+    isUppercaseText(element, textTransform) {
+      if (textTransform === 'uppercase') return true;
+      const letters = this.getOwnText(element).replace(/[^\p{L}]/gu, '');
+      return letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
     },
 
-    // Генерация CSS правила
-    generateCSSRule(selector, suggestedCSS) {
-      if (typeof suggestedCSS === 'string') {
-        return `${selector} { ${suggestedCSS} }`;
+    // Собственный текст элемента (без потомков со своим стилем); у псевдоэлемента - его content
+    getOwnText(element) {
+      if (element.pseudo) return element.textContent;
+      return Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.nodeValue)
+        .join('');
+    },
+
+    // Поиск ближайшей ступени шкалы (или стандартного размера, если шкала не определена)
+    findNearestStandardSize(currentSize) {
+      const sizes = this.state.typeScale?.steps || this.config.commonFontSizes.map(s => parseFloat(s));
+      return sizes.reduce((prev, curr) => 
+        Math.abs(curr - currentSize) < Math.abs(prev - currentSize) ? curr : prev
+      ) + 'px';
+    },
+
+    // Значение размера для CSS: в rem относительно корневого размера
+    formatScaleSize(px) {
+      const rootSize = this.state.typeScale?.rootSize || 16;
+      return `${Math.round((px / rootSize) * 10000) / 10000}rem`;
+    },
+
+    // Текстовое описание шкалы для отчетов
+    describeTypeScale() {
+      const scale = this.state.typeScale;
+      if (!scale) return 'стандартных размеров';
+      if (scale.type === 'modular') {
+        return `${scale.base}px × ${scale.ratio}`;
       }
-      
-      const rules = Object.entries(suggestedCSS)
-        .map(([prop, value]) => `  ${prop}: ${value};`)
-        .join('\n');
-      
-      return `${selector} {\n${rules}\n}`;
+      return `кластеров (${scale.steps.map(step => step + 'px').join(', ')})`;
     },
 
-    // Генерация готового CSS
-    generateReadyCSS(filteredIssues) {
-      let css = '/* Typography Fixes - Generated by Typography Analyzer */\n\n';
-      
-      const groupedBySelector = new Map();
-      
-      filteredIssues.forEach(issue => {
-        issue.fixes.forEach(fix => {
-          if (!groupedBySelector.has(fix.selector)) {
-            groupedBySelector.set(fix.selector, {
-              element: fix.element,
-              path: fix.path,
-              rules: new Map()
-            });
-          }
+    // Анализ загрузки веб-шрифтов
+    analyzeFontLoading() {
+      const report = this.state.fontLoading;
+      if (!report) return;
+
+      report.fallbacks.forEach(fallback => {
+        const { fontFamily, primary, reason, renderedWith, generic, elements } = fallback;
+
+        if (reason === 'failed') {
+          this.addIssue('critical', '🚫 Шрифт не загрузился', 
+            `"${primary}" не загружен, текст рендерится шрифтом ${renderedWith}`, 
+            elements, { fontFamily, renderedWith });
           
-          const selectorData = groupedBySelector.get(fix.selector);
+          this.createFixableIssue(
+            'font-load-failed',
+            'critical',
+            elements,
+            { 'font-family': fontFamily },
+            `/* Исправьте src в @font-face для "${primary}" */`,
+            `Все @font-face для "${primary}" завершились ошибкой. Проверьте src, CORS и формат файлов шрифта.`
+          );
+        } else if (reason === 'loading') {
+          this.addIssue('warning', '⏳ Шрифт еще загружается', 
+            `"${primary}" не загружен к моменту анализа, показан ${renderedWith}`, 
+            elements, { fontFamily, renderedWith });
           
-          if (typeof fix.suggestedCSS === 'object') {
-            Object.entries(fix.suggestedCSS).forEach(([prop, value]) => {
-              selectorData.rules.set(prop, value);
-            });
-          }
-        });
+          this.createFixableIssue(
+            'font-loading-fallback',
+            'warning',
+            elements,
+            { 'font-family': fontFamily },
+            `/* <link rel="preload" as="font" crossorigin> для "${primary}" */`,
+            `Текст отображается запасным шрифтом, пока "${primary}" загружается. Рассмотрите <link rel="preload"> для файла шрифта.`
+          );
+        } else if (reason === 'unloaded') {
+          // Начертание объявлено, но браузер его не запросил (unicode-range, другое начертание) или еще не начал загрузку
+          this.addIssue('warning', '💤 Шрифт объявлен, но не загружен', 
+            `"${primary}" объявлен через @font-face, но подходящее начертание не загружено, показан ${renderedWith}`, 
+            elements, { fontFamily, renderedWith });
+          
+          this.createFixableIssue(
+            'font-face-unloaded',
+            'warning',
+            elements,
+            { 'font-family': fontFamily },
+            `/* Проверьте font-weight, font-style и unicode-range в @font-face для "${primary}" */`,
+            `@font-face для "${primary}" есть, но начертание для этого текста не загружено, и отображается запасной шрифт ${renderedWith}. Проверьте, что жирность, стиль и unicode-range в @font-face покрывают этот текст.`
+          );
+        } else if (generic) {
+          this.addIssue('warning', '🔤 Откат к generic-шрифту', 
+            `"${primary}" не объявлен через @font-face и не установлен в системе, используется ${renderedWith}`, 
+            elements, { fontFamily, renderedWith });
+          
+          this.createFixableIssue(
+            'generic-font-fallback',
+            'warning',
+            elements,
+            { 'font-family': fontFamily },
+            `/* Подключите @font-face для "${primary}" или уберите его из стека */`,
+            `Семейство "${primary}" недоступно, браузер использует ${renderedWith}. Вид текста зависит от системы пользователя.`
+          );
+        } else {
+          this.addIssue('info', '🔁 Запасной шрифт', 
+            `"${primary}" недоступен, используется ${renderedWith}`, 
+            elements, { fontFamily, renderedWith });
+        }
       });
-      
-      groupedBySelector.forEach((data, selector) => {
-        if (data.rules.size > 0) {
-          css += `/* ${data.element} - ${data.path} */\n`;
-          css += `${selector} {\n`;
-          data.rules.forEach((value, prop) => {
-            css += `  ${prop}: ${value};\n`;
-          });
-          css += '}\n\n';
+
+      report.blockingFaces.forEach(face => {
+        const usage = report.usedFamilies.get(face.family);
+        this.addIssue('warning', '🙈 Блокирующий font-display', 
+          `@font-face "${face.displayName}" ${face.weight} ${face.style}: font-display: ${face.display}`, 
+          usage.elements, { family: face.displayName, display: face.display, stylesheet: face.stylesheet });
+      });
+
+      report.unusedFaces.forEach(face => {
+        this.addIssue('info', '🗑️ Неиспользуемый @font-face', 
+          `"${face.displayName}" ${face.weight} ${face.style} (${face.status}) объявлен, но не используется в тексте`, 
+          [], { family: face.displayName, stylesheet: face.stylesheet });
+      });
+    },
+
+    // Анализ синтезированных начертаний (faux bold / faux italic)
+    analyzeFontSynthesis() {
+      const report = this.state.fontLoading;
+      if (!report) return;
+
+      report.synthesized.forEach(entry => {
+        const { fontFamily, family, requestedWeight, requestedStyle, matchedWeight, matchedStyle, elements } = entry;
+        const available = entry.availableFaces.join(', ');
+
+        if (entry.fauxBold) {
+          this.addIssue('warning', '🅱️ Синтетический bold', 
+            `"${family}" ${requestedWeight} не загружен, браузер утолщает начертание ${matchedWeight}`, 
+            elements, { fontFamily, requestedWeight, matchedWeight, available });
+          
+          this.createFixableIssue(
+            'faux-bold',
+            'warning',
+            elements,
+            { 'font-weight': String(requestedWeight) },
+            { 'font-weight': String(matchedWeight) },
+            `Начертание ${requestedWeight} для "${family}" отсутствует (загружены: ${available}). Загрузите @font-face с font-weight: ${requestedWeight} или используйте ${matchedWeight}.`
+          );
+        }
+
+        if (entry.fauxItalic) {
+          this.addIssue('warning', '🔀 Синтетический italic', 
+            `"${family}" ${requestedStyle} не загружен, браузер наклоняет прямое начертание`, 
+            elements, { fontFamily, requestedStyle, available });
+          
+          this.createFixableIssue(
+            'faux-italic',
+            'warning',
+            elements,
+            { 'font-style': requestedStyle },
+            { 'font-style': 'normal' },
+            `Курсивное начертание "${family}" не загружено (загружены: ${available}). Загрузите @font-face с font-style: italic или откажитесь от курсива.`
+          );
+        }
+
+        if (entry.synthesisDisabled) {
+          this.addIssue('info', '🚫 Начертание подменено', 
+            `font-synthesis запрещает синтез: вместо ${requestedWeight} ${requestedStyle} показан ${matchedWeight} ${matchedStyle}`, 
+            elements, { fontFamily, requestedWeight, requestedStyle, matchedWeight, matchedStyle });
         }
       });
-      
-      return css;
     },
 
-    // Показ уведомлений
-    showNotification(message, type = 'info') {
-      const notification = document.createElement('div');
-      notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: ${type === 'success' ? '#00cc66' : '#0066cc'};
-        color: white;
-        padding: 12px 24px;
-        border-radius: 6px;
-        font-family: 'SF Mono', Consolas, monospace;
-        font-size: 14px;
-        z-index: 10001;
-        box-shadow: 0 4px 16px rgba(0,0,0,0.3);
-        animation: slideInDown 0.3s ease;
-      `;
+    // Сводка по загрузке шрифтов для экспорта
+    getFontLoadingSummary() {
+      const report = this.state.fontLoading;
+      if (!report) return null;
+      return {
+        fontFaces: report.faces.length,
+        loaded: report.faces.filter(face => face.status === 'loaded').length,
+        failed: report.faces.filter(face => face.status === 'error').length,
+        pending: report.faces.filter(face => face.status === 'loading' || face.status === 'unloaded').length,
+        faces: FONT_LOADING_AUDITOR.getFacesTable(report.faces),
+        fallbacks: report.fallbacks.map(fallback => ({
+          fontFamily: fallback.fontFamily,
+          reason: fallback.reason,
+          renderedWith: fallback.renderedWith,
+          chars: fallback.charCount
+        })),
+        synthesized: report.synthesized.map(entry => ({
+          family: entry.family,
+          requested: `${entry.requestedWeight} ${entry.requestedStyle}`,
+          rendered: `${entry.matchedWeight} ${entry.matchedStyle}`,
+          fauxBold: entry.fauxBold,
+          fauxItalic: entry.fauxItalic,
+          chars: entry.charCount
+        })),
+        unused: report.unusedFaces.map(face => `${face.displayName} ${face.weight} ${face.style}`),
+        blockingDisplay: report.blockingFaces.map(face => `${face.displayName} ${face.weight} ${face.style}: ${face.display}`)
+      };
+    },
+
+    // Анализ длины строк в абзацах
+    analyzeLineLength() {
+      const { min, max, blockSelector, minLines, maxBlocks } = this.config.lineLength;
+      const blocks = this.limitChecked('длина строк', DEEP_DOM.querySelectorAll(blockSelector)
+        // Измеряем самые вложенные блоки, чтобы не считать строки дважды
+        .filter(block => !block.querySelector(blockSelector))
+        .filter(block => this.isTextRendered(block, STYLE_CACHE.get(block))), maxBlocks);
       
-      notification.textContent = message;
-      document.body.appendChild(notification);
+      const outliers = new Map();
       
-      // Добавляем CSS анимацию
-      const style = document.createElement('style');
-      style.textContent = `
-        @keyframes slideInDown {
-          from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
-          to { opacity: 1; transform: translateX(-50%) translateY(0); }
+      blocks.forEach(block => {
+        const stats = this.measureLineLengths(block);
+        if (!stats || stats.lines < minLines) return;
+        
+        this.state.lineLengths.push({ element: block, ...stats });
+        
+        const direction = stats.median > max ? 'long' : stats.median < min ? 'short' : null;
+        if (!direction) return;
+        
+        const maxWidth = this.suggestMaxWidthCh(block, stats);
+        const key = `${direction}|${maxWidth}`;
+        if (!outliers.has(key)) {
+          outliers.set(key, { direction, maxWidth, blocks: [], stats: [] });
         }
-      `;
-      document.head.appendChild(style);
+        outliers.get(key).blocks.push(block);
+        outliers.get(key).stats.push(stats);
+      });
       
-      // Убираем через 3 секунды
-      setTimeout(() => {
-        notification.style.opacity = '0';
-        setTimeout(() => {
-          if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
+      outliers.forEach(({ direction, maxWidth, blocks: elements, stats }) => {
+        const medians = stats.map(stat => stat.median);
+        const range = `${Math.min(...stats.map(stat => stat.min))}–${Math.max(...stats.map(stat => stat.max))}`;
+        const isLong = direction === 'long';
+        const property = isLong ? 'max-width' : 'min-width';
+        
+        this.addIssue('warning', isLong ? '↔️ Длинные строки' : '↕️ Короткие строки', 
+          `Медиана ${medians.join(', ')} симв. в строке (диапазон ${range}), норма ${min}–${max}`, 
+          elements, { medians, range, maxWidth });
+        
+        this.createFixableIssue(
+          isLong ? 'line-length-too-long' : 'line-length-too-short',
+          'warning',
+          elements,
+          { [property]: STYLE_CACHE.get(elements[0]).getPropertyValue(property) },
+          // max-width не расширит блок: коротким строкам нужна минимальная ширина или более широкая колонка
+          { [property]: maxWidth },
+          isLong
+            ? `Строки по ${range} симв. (медиана ${medians.join(', ')}) длиннее ${max} символов и утомляют глаз при переходе на новую строку. Ограничьте ширину блока.`
+            : `Строки по ${range} симв. (медиана ${medians.join(', ')}) короче ${min} символов и разрывают ритм чтения. Задайте блоку min-width ${maxWidth} или расширьте колонку (grid/flex) контейнера.`
+        );
+      });
+    },
+
+    // Количество символов в каждой отрисованной строке блока
+    measureLineLengths(element) {
+      return this.summarizeLineLengths(this.getRenderedLines(element).map(line => line.text.length));
+    },
+
+    // Отрисованные строки блока: текст, число слов и ширина каждой строки
+    getRenderedLines(element) {
+      const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      const range = element.ownerDocument.createRange();
+      const lines = [];
+      let current = null;
+      
+      let node;
+      while ((node = walker.nextNode())) {
+        const wordPattern = /\S+/g;
+        let match;
+        while ((match = wordPattern.exec(node.nodeValue))) {
+          range.setStart(node, match.index);
+          range.setEnd(node, match.index + match[0].length);
+          const rect = range.getClientRects()[0];
+          if (!rect || rect.width === 0) continue;
+          
+          // Новый строчный блок - слово ниже текущей строки более чем на полстроки
+          if (!current || rect.top - current.top > rect.height / 2) {
+            current = { top: rect.top, left: rect.left, right: rect.right, words: [], inkWidth: 0 };
+            lines.push(current);
           }
-        }, 300);
-      }, 3000);
+          current.words.push(match[0]);
+          current.left = Math.min(current.left, rect.left);
+          current.right = Math.max(current.right, rect.right);
+          current.inkWidth += rect.width;
+        }
+      }
+      
+      return lines.map(line => ({
+        text: line.words.join(' '),
+        words: line.words.length,
+        width: line.right - line.left,
+        inkWidth: line.inkWidth // ширина слов без пробелов
+      }));
     },
 
-    // Подсветка элементов
-    highlightElements(elements, issueIndex) {
-      this.clearHighlights();
+    // Минимум, медиана и максимум длины строк (последняя строка абзаца не учитывается)
+    summarizeLineLengths(lines) {
+      if (lines.length === 0) return null;
+      const measured = (lines.length > 2 ? lines.slice(0, -1) : lines).slice().sort((a, b) => a - b);
+      const middle = Math.floor(measured.length / 2);
+      const median = measured.length % 2
+        ? measured[middle]
+        : Math.round((measured[middle - 1] + measured[middle]) / 2);
       
-      elements.forEach((element, index) => {
-        const overlay = document.createElement('div');
-        overlay.className = 'typography-highlight';
-        overlay.style.cssText = `
-          position: absolute;
-          pointer-events: none;
-          background: rgba(255, 0, 150, 0.3);
-          border: 2px solid #ff0096;
-          border-radius: 4px;
-          z-index: 9999;
-          transition: all 0.3s ease;
-        `;
+      return {
+        lines: lines.length,
+        min: measured[0],
+        median,
+        max: measured[measured.length - 1]
+      };
+    },
+
+    // Рекомендуемый max-width в ch для идеальной длины строки
+    suggestMaxWidthCh(element, stats) {
+      const { min, max, ideal } = this.config.lineLength;
+      const style = STYLE_CACHE.get(element);
+      const contentWidth = element.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+      const avgCharWidth = contentWidth / Math.max(stats.max, 1);
+      const targetChars = Math.min(max, Math.max(min, ideal));
+      return `${Math.round(targetChars * avgCharWidth / STYLE_CACHE.getChWidth(element))}ch`;
+    },
+
+    // Висячие слова, рваные заголовки и кнопки с подписью в несколько строк
+    analyzeTextWrapping() {
+      const { headingSelector, paragraphSelector, buttonSelector, maxParagraphLines, minBalanceRatio, maxBlocks } = this.config.wrapping;
+      const blockSelector = `${headingSelector}, ${paragraphSelector}, ${buttonSelector}`;
+      const found = new Map();
+      
+      this.limitChecked('перенос строк', DEEP_DOM.querySelectorAll(blockSelector)
+        // Измеряем самые вложенные блоки, чтобы не проверять строки дважды
+        .filter(block => !block.querySelector(blockSelector))
+        .filter(block => this.isTextRendered(block, STYLE_CACHE.get(block))), maxBlocks)
+        .forEach(block => {
+          const style = STYLE_CACHE.get(block);
+          const wrapStyle = style.textWrapStyle || style.textWrap || '';
+          const lines = this.getRenderedLines(block);
+          if (lines.length < 2) return;
+          
+          const lastLine = lines[lines.length - 1];
+          const balance = lastLine.width / Math.max(...lines.map(line => line.width));
+          let kind = null;
+          
+          if (block.matches(buttonSelector)) {
+            kind = 'button-label-wrap';
+          } else if (block.matches(headingSelector)) {
+            if (wrapStyle.includes('balance')) return;
+            kind = lastLine.words === 1 ? 'heading-widow' : balance < minBalanceRatio ? 'heading-unbalanced' : null;
+          } else if (lines.length <= maxParagraphLines && lastLine.words === 1 && !wrapStyle.includes('pretty')) {
+            kind = 'paragraph-widow';
+          }
+          if (!kind) return;
+          
+          if (!found.has(kind)) {
+            found.set(kind, []);
+          }
+          found.get(kind).push({ element: block, lines, balance, wrapStyle });
+        });
+      
+      const titles = {
+        'heading-widow': '🪶 Висячее слово в заголовке',
+        'heading-unbalanced': '📐 Несбалансированный заголовок',
+        'paragraph-widow': '🪶 Висячее слово в абзаце',
+        'button-label-wrap': '🔘 Перенос подписи кнопки'
+      };
+      
+      found.forEach((entries, kind) => {
+        const elements = entries.map(entry => entry.element);
+        const preview = entries.slice(0, 3)
+          .map(entry => `«${entry.lines.map(line => line.text).join(' ⏎ ')}»`)
+          .join('\n');
+        const descriptions = {
+          'heading-widow': `${entries.length} заголовков заканчиваются строкой из одного слова`,
+          'heading-unbalanced': `${entries.length} заголовков с последней строкой короче ${Math.round(minBalanceRatio * 100)}% самой длинной`,
+          'paragraph-widow': `${entries.length} коротких абзацев заканчиваются строкой из одного слова`,
+          'button-label-wrap': `${entries.length} кнопок с подписью в несколько строк`
+        };
         
-        const rect = element.getBoundingClientRect();
-        overlay.style.top = (rect.top + window.scrollY) + 'px';
-        overlay.style.left = (rect.left + window.scrollX) + 'px';
-        overlay.style.width = rect.width + 'px';
-        overlay.style.height = rect.height + 'px';
+        this.addIssue(kind === 'button-label-wrap' ? 'warning' : 'info', titles[kind], 
+          descriptions[kind], 
+          elements, { preview, lines: entries.map(entry => entry.lines.length) });
         
-        // Добавляем номер элемента
-        const label = document.createElement('div');
-        label.style.cssText = `
-          position: absolute;
-          top: -8px;
-          left: -2px;
-          background: #ff0096;
-          color: white;
-          padding: 2px 6px;
-          font-size: 10px;
-          border-radius: 3px;
-          font-weight: bold;
-        `;
-        label.textContent = `${index + 1}`;
-        overlay.appendChild(label);
+        if (kind === 'button-label-wrap') {
+          // Подпись кнопки склеивается неразрывными пробелами, одинаковые подписи - одним исправлением
+          const labels = new Map();
+          entries.forEach(({ element, lines }) => {
+            const label = lines.map(line => line.text).join(' ');
+            if (!labels.has(label)) labels.set(label, []);
+            labels.get(label).push(element);
+          });
+          labels.forEach((labelElements, label) => {
+            this.createFixableIssue(
+              kind,
+              'warning',
+              labelElements,
+              { 'white-space': STYLE_CACHE.get(labelElements[0]).whiteSpace },
+              // Правка в разметке, а не в CSS - в отчет попадает комментарием
+              `/* Соедините слова подписи неразрывными пробелами: ${label.split(' ').join('&nbsp;').replace(/\*\//g, '*\\/')} */`,
+              `Подпись «${label}» переносится посреди фразы. Соедините слова неразрывными пробелами, чтобы кнопка читалась одной командой.`
+            );
+          });
+          return;
+        }
         
-        document.body.appendChild(overlay);
-        this.state.highlightedElements.add(overlay);
+        // Текущее значение text-wrap у элементов группы может различаться
+        const isHeading = kind !== 'paragraph-widow';
+        const byWrapStyle = new Map();
+        entries.forEach(({ element, wrapStyle }) => {
+          if (!byWrapStyle.has(wrapStyle)) byWrapStyle.set(wrapStyle, []);
+          byWrapStyle.get(wrapStyle).push(element);
+        });
+        byWrapStyle.forEach((wrapElements, wrapStyle) => {
+          this.createFixableIssue(
+            kind,
+            'info',
+            wrapElements,
+            { 'text-wrap': wrapStyle || 'wrap' },
+            { 'text-wrap': isHeading ? 'balance' : 'pretty' },
+            isHeading
+              ? 'text-wrap: balance выравнивает длину строк заголовка. Без поддержки браузером соедините два последних слова неразрывным пробелом (&nbsp;).'
+              : 'text-wrap: pretty не оставляет одно слово на последней строке. Без поддержки браузером соедините два последних слова неразрывным пробелом (&nbsp;).'
+          );
+        });
+      });
+    },
+
+    // Слова шире колонки и выключка по ширине без переносов
+    analyzeHyphenation() {
+      const { blockSelector, maxWordGapEm, maxBlocks } = this.config.hyphenation;
+      const overflowing = new Map();
+      const justified = new Map();
+      const missingLang = new Map();
+      
+      const requireLang = (element, text) => {
+        if (this.getLanguage(element)) return;
+        const lang = this.guessLanguage(text);
+        if (!missingLang.has(lang)) missingLang.set(lang, []);
+        missingLang.get(lang).push(element);
+      };
+      
+      this.limitChecked('переносы слов', DEEP_DOM.querySelectorAll(blockSelector)
+        .filter(block => !block.querySelector(blockSelector))
+        .filter(block => this.isTextRendered(block, STYLE_CACHE.get(block))), maxBlocks)
+        .forEach(block => {
+          const style = STYLE_CACHE.get(block);
+          const hyphens = style.hyphens || style.webkitHyphens || 'manual';
+          const text = block.textContent.trim();
+          
+          // Слова, которые не помещаются в строку и не переносятся
+          const words = this.findOverflowingWords(block, style);
+          if (words.length > 0) {
+            const key = `${style.overflowWrap}|${hyphens}`;
+            if (!overflowing.has(key)) {
+              overflowing.set(key, { overflowWrap: style.overflowWrap, hyphens, elements: [], words: [] });
+            }
+            overflowing.get(key).elements.push(block);
+            overflowing.get(key).words.push(...words);
+            requireLang(block, text);
+          }
+          
+          // Выключка по ширине без переносов растягивает пробелы
+          if (style.textAlign === 'justify' && hyphens !== 'auto') {
+            const fontSize = parseFloat(style.fontSize);
+            const gaps = this.getRenderedLines(block)
+              .slice(0, -1) // последняя строка не растягивается
+              .filter(line => line.words > 1)
+              .map(line => (line.width - line.inkWidth) / (line.words - 1) / fontSize);
+            if (gaps.length === 0) return;
+            
+            const maxGap = Math.max(...gaps);
+            const severity = maxGap > maxWordGapEm ? 'warning' : 'info';
+            if (!justified.has(severity)) {
+              justified.set(severity, { hyphens, elements: [], maxGap: 0 });
+            }
+            const group = justified.get(severity);
+            group.elements.push(block);
+            group.maxGap = Math.max(group.maxGap, maxGap);
+            requireLang(block, text);
+          }
+        });
+      
+      overflowing.forEach(({ overflowWrap, hyphens, elements, words }) => {
+        const uniqueWords = [...new Set(words)];
         
-        // Плавное появление
-        setTimeout(() => {
-          overlay.style.background = 'rgba(255, 0, 150, 0.15)';
-        }, index * 100);
+        this.addIssue('warning', '📦 Слово шире колонки', 
+          `${uniqueWords.length} слов не помещаются в строку и выходят за контейнер (overflow-wrap: ${overflowWrap}, hyphens: ${hyphens})`, 
+          elements, { preview: uniqueWords.slice(0, 10).join(', '), words: uniqueWords });
+        
+        this.createFixableIssue(
+          'long-word-overflow',
+          'warning',
+          elements,
+          { 'overflow-wrap': overflowWrap, hyphens },
+          { 'overflow-wrap': 'break-word', hyphens: 'auto' },
+          `Длинные слова (${uniqueWords.slice(0, 3).join(', ')}) шире колонки. hyphens: auto переносит их по слогам, overflow-wrap: break-word ломает то, что переносами не разбить.`
+        );
       });
       
-      // Скролл к первому элементу
-      if (elements.length > 0) {
-        elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      justified.forEach(({ hyphens, elements, maxGap }, severity) => {
+        const gapEm = Math.round(maxGap * 100) / 100;
+        
+        this.addIssue(severity, '↔️ Выключка без переносов', 
+          `text-align: justify без hyphens: auto, межсловный пробел до ${gapEm}em`, 
+          elements, { hyphens, maxWordGap: `${gapEm}em` });
+        
+        this.createFixableIssue(
+          'justify-without-hyphens',
+          severity,
+          elements,
+          { 'text-align': 'justify', hyphens },
+          { hyphens: 'auto' },
+          `Без переносов выключка по ширине растягивает пробелы (до ${gapEm}em) и образует "реки". Включите hyphens: auto или выравнивайте по левому краю.`
+        );
+      });
+      
+      // hyphens: auto работает только для текста с известным языком
+      missingLang.forEach((elements, lang) => {
+        this.addIssue('warning', '🌐 Нет lang для переносов', 
+          `${elements.length} блоков без атрибута lang: hyphens: auto в них не сработает`, 
+          elements, { suggestedLang: lang });
+        
+        this.createFixableIssue(
+          'missing-lang',
+          'warning',
+          elements,
+          { lang: 'missing' },
+          `/* Добавьте lang="${lang}" на <html> или на контейнер текста */`,
+          `Браузер выбирает словарь переносов по атрибуту lang. Без него hyphens: auto не переносит слова.`
+        );
+      });
+    },
+
+    // Слова, чья ширина больше строки блока и которые отрисованы одним фрагментом
+    findOverflowingWords(element, style) {
+      const { minWordLength, tolerance } = this.config.hyphenation;
+      const contentWidth = element.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+      if (contentWidth <= 0) return [];
+      
+      const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      const range = element.ownerDocument.createRange();
+      const words = [];
+      
+      let node;
+      while ((node = walker.nextNode())) {
+        const wordPattern = new RegExp(`\\S{${minWordLength},}`, 'g');
+        let match;
+        while ((match = wordPattern.exec(node.nodeValue))) {
+          range.setStart(node, match.index);
+          range.setEnd(node, match.index + match[0].length);
+          const rects = range.getClientRects();
+          // Перенесенное слово дает несколько фрагментов
+          if (rects.length === 1 && rects[0].width > contentWidth + tolerance) {
+            words.push(match[0]);
+          }
+        }
       }
+      
+      return words;
     },
 
-    // Очистка подсветки
-    clearHighlights() {
-      this.state.highlightedElements.forEach(overlay => {
-        overlay.remove();
+    // Язык текста элемента по ближайшему атрибуту lang
+    getLanguage(element) {
+      const lang = element.closest('[lang]')?.getAttribute('lang');
+      return lang && lang.trim() ? lang.trim() : null;
+    },
+
+    // Предположительный язык текста для атрибута lang
+    guessLanguage(text) {
+      if (/[а-яё]/i.test(text)) return 'ru';
+      if (/[äöüß]/i.test(text)) return 'de';
+      return 'en';
+    },
+
+    // Кавычки, тире, многоточие и пробелы в тексте по правилам языка из lang
+    analyzeContentTypography() {
+      const { skipSelector, maxOccurrences } = this.config.contentTypography;
+      const groups = new Map();
+      
+      DEEP_DOM.getRoots().forEach(root => {
+        const walker = DEEP_DOM.createTextWalker(DEEP_DOM.getTextRoot(root));
+        
+        let node;
+        while ((node = walker.nextNode())) {
+          const element = node.parentElement;
+          if (!element || this.config.ignoredTextParents.includes(element.tagName)) continue;
+          if (!node.nodeValue.trim() || element.closest(skipSelector)) continue;
+          
+          const lang = this.getLanguage(element) || this.guessLanguage(node.nodeValue);
+          const occurrences = TEXT_LINTER.lint(node.nodeValue, lang);
+          if (occurrences.length === 0) continue;
+          
+          const style = STYLE_CACHE.get(element);
+          if (!this.isTextRendered(element, style)) continue;
+          const collapsesSpaces = !['pre', 'pre-wrap', 'break-spaces'].includes(style.whiteSpace);
+          
+          occurrences
+            .filter(occurrence => !(occurrence.collapsible && collapsesSpaces))
+            .forEach(occurrence => {
+              if (!groups.has(occurrence.rule)) groups.set(occurrence.rule, []);
+              const group = groups.get(occurrence.rule);
+              if (group.length < maxOccurrences) {
+                group.push({ ...occurrence, node, element });
+              }
+            });
+        }
+      });
+      
+      groups.forEach((occurrences, rule) => {
+        const elements = [...new Set(occurrences.map(occurrence => occurrence.element))];
+        const preview = occurrences.slice(0, 5)
+          .map(occurrence => `${TEXT_LINTER.visualize(occurrence.original)} → ${TEXT_LINTER.visualize(occurrence.corrected)}`)
+          .join('\n');
+        this.state.contentLint.push(...occurrences);
+        
+        this.addIssue(rule.severity, `✍️ ${rule.title}`, 
+          `${occurrences.length}${occurrences.length >= maxOccurrences ? '+' : ''} вхождений в ${elements.length} элементах`, 
+          elements, { lintRule: rule.id, lang: occurrences[0].lang, preview });
+        
+        this.createFixableIssue(
+          'content-typography',
+          rule.severity,
+          elements,
+          { text: TEXT_LINTER.visualize(occurrences[0].original) },
+          // Исправление текста - не CSS: в отчет оно попадает только комментарием
+          `/* Исправьте текст в разметке или CMS: ${TEXT_LINTER.visualize(occurrences[0].corrected).replace(/\*\//g, '*\\/')} (все вхождения - в contentTypography) */`,
+          `${rule.title}. Ошибка в самом тексте, CSS ее не исправит: замените символы в разметке или в CMS.`
+        );
       });
-      this.state.highlightedElements.clear();
     },
 
-   // Цвет по важности
-    getSeverityColor(severity) {
-      const colors = {
-        critical: '#ff4444',
-        warning: '#ffaa00',
-        info: '#44aaff'
+    // Цели подсветки: отдельные вхождения для ошибок в тексте, иначе элементы
+    getHighlightTargets(issue) {
+      if (!issue.details?.lintRule) return issue.elements;
+      return this.state.contentLint
+        .filter(occurrence => occurrence.rule.id === issue.details.lintRule)
+        .map(({ node, index, length }) => TEXT_LINTER.createFragment(node, index, index + length));
+    },
+
+    // Заголовок более низкого уровня не должен выглядеть заметнее более высокого
+    analyzeHeadingProminence() {
+      const { selector } = this.config.headings;
+      const headings = DEEP_DOM.querySelectorAll(selector)
+        .filter(element => element.textContent.trim() && this.isTextRendered(element, STYLE_CACHE.get(element)))
+        .map(element => ({ element, level: this.getHeadingLevel(element), ...this.getHeadingStyle(element) }));
+      if (headings.length === 0) return;
+      
+      // Типичный стиль уровня - самое частое сочетание размера и насыщенности
+      const typical = new Map();
+      headings.forEach(({ level, size, weight }) => {
+        if (!typical.has(level)) typical.set(level, new Map());
+        const variants = typical.get(level);
+        const key = `${size}|${weight}`;
+        if (!variants.has(key)) variants.set(key, { level, size, weight, count: 0 });
+        variants.get(key).count++;
+      });
+      typical.forEach((variants, level) => {
+        typical.set(level, Array.from(variants.values()).sort((a, b) => b.count - a.count)[0]);
+      });
+      const levels = Array.from(typical.keys()).sort((a, b) => a - b);
+      
+      const inversions = new Map();
+      headings.forEach((heading, index) => {
+        // Сначала сравниваем с типичными заголовками страницы, затем с ближайшим старшим заголовком выше
+        const pageLevel = levels.find(level => level < heading.level &&
+          this.compareProminence(heading, typical.get(level)) > 0);
+        const parent = headings.slice(0, index).reverse().find(other => other.level < heading.level);
+        
+        let against = null;
+        if (pageLevel !== undefined) {
+          against = { ...typical.get(pageLevel), scope: 'page' };
+        } else if (parent && this.compareProminence(heading, parent) > 0) {
+          against = { level: parent.level, size: parent.size, weight: parent.weight, scope: 'parent' };
+        }
+        if (!against) return;
+        
+        const key = `${heading.level}|${heading.size}|${heading.weight}|${against.level}|${against.size}|${against.weight}|${against.scope}`;
+        if (!inversions.has(key)) {
+          inversions.set(key, { heading, against, elements: [] });
+        }
+        inversions.get(key).elements.push(heading.element);
+      });
+      
+      inversions.forEach(({ heading, against, elements }) => {
+        const own = typical.get(heading.level);
+        // Типичный стиль своего уровня подходит, если он сам не нарушает иерархию
+        const suggested = this.compareProminence(own, against) < 0
+          ? own
+          : { size: Math.round(against.size / 1.125), weight: Math.min(heading.weight, against.weight) };
+        
+        this.addIssue('warning', '🔀 Инверсия заголовков', 
+          `${this.formatHeading(heading)} заметнее ${this.formatHeading(against)}${against.scope === 'page' ? ' (типичный на странице)' : ' над ним'}`, 
+          elements, { fontSize: `${heading.size}px`, fontWeight: heading.weight, comparedTo: `h${against.level}` });
+        
+        this.createFixableIssue(
+          'heading-prominence-inversion',
+          'warning',
+          elements,
+          { 'font-size': `${heading.size}px`, 'font-weight': String(heading.weight) },
+          { 'font-size': `${suggested.size}px`, 'font-weight': String(suggested.weight) },
+          `Уровень ${heading.level} выглядит важнее уровня ${against.level}: читатель видит иерархию по размеру и насыщенности, а не по тегу.`
+        );
+      });
+      
+      this.analyzeBodyOutweighsHeadings(headings);
+    },
+
+    // Основной текст не должен выглядеть заметнее заголовков
+    analyzeBodyOutweighsHeadings(headings) {
+      const { selector, weightStep } = this.config.headings;
+      const bodyEntry = Array.from(this.state.fontMap.values())
+        .filter(({ metrics }) => !metrics.element.pseudo && !metrics.element.closest(selector))
+        .sort((a, b) => b.charCount - a.charCount)[0];
+      if (!bodyEntry) return;
+      
+      const body = {
+        size: Math.round(parseFloat(bodyEntry.metrics.fontSize) * 10) / 10,
+        weight: parseInt(bodyEntry.metrics.fontWeight, 10) || 400
       };
-      return colors[severity] || '#666';
+      const outweighed = new Map();
+      
+      headings
+        .filter(heading => this.compareProminence(body, heading) > 0)
+        .forEach(heading => {
+          const key = `${heading.size}|${heading.weight}`;
+          if (!outweighed.has(key)) outweighed.set(key, { heading, elements: [] });
+          outweighed.get(key).elements.push(heading.element);
+        });
+      
+      outweighed.forEach(({ heading, elements }) => {
+        const weight = Math.min(900, Math.max(600, body.weight + 2 * weightStep));
+        
+        this.addIssue('warning', '🏋️ Текст заметнее заголовка', 
+          `Основной текст (${body.size}px/${body.weight}) заметнее заголовков ${this.formatHeading(heading)}`, 
+          elements, { fontWeight: heading.weight, bodyWeight: body.weight, bodySize: `${body.size}px` });
+        
+        this.createFixableIssue(
+          'body-outweighs-heading',
+          'warning',
+          elements,
+          { 'font-size': `${heading.size}px`, 'font-weight': String(heading.weight) },
+          { 'font-size': `${Math.max(heading.size, body.size)}px`, 'font-weight': String(weight) },
+          `Заголовок не выделяется на фоне основного текста ${body.size}px/${body.weight}. Сделайте его насыщеннее или крупнее текста.`
+        );
+      });
     },
 
-    // Экспорт в консоль
-    exportToConsole() {
-      console.group('🔍 Typography Analysis Report');
+    // Уровень заголовка: aria-level, затем тег (role="heading" без aria-level - уровень 2)
+    getHeadingLevel(element) {
+      const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+      if (ariaLevel > 0) return ariaLevel;
+      const match = element.tagName.match(/^H([1-6])$/);
+      return match ? Number(match[1]) : 2;
+    },
+
+    // Размер и насыщенность, которыми набран основной текст заголовка
+    getHeadingStyle(heading) {
+      const textElement = [heading, ...heading.querySelectorAll('*')]
+        .filter(element => this.state.textCharCounts.has(element))
+        .sort((a, b) => this.state.textCharCounts.get(b) - this.state.textCharCounts.get(a))[0] || heading;
+      const style = STYLE_CACHE.get(textElement);
+      return {
+        size: Math.round(parseFloat(style.fontSize) * 10) / 10,
+        weight: parseInt(style.fontWeight, 10) || 400
+      };
+    },
+
+    // Больше нуля, если a заметнее b: сначала размер, при равном размере - насыщенность
+    compareProminence(a, b) {
+      const { sizeTolerance, weightStep } = this.config.headings;
+      const sizeDiff = a.size - b.size;
+      if (Math.abs(sizeDiff) > sizeTolerance) return Math.sign(sizeDiff);
+      const weightDiff = a.weight - b.weight;
+      return Math.abs(weightDiff) >= weightStep ? Math.sign(weightDiff) : 0;
+    },
+
+    // h3 (24px/700)
+    formatHeading({ level, size, weight }) {
+      return `h${level} (${size}px/${weight})`;
+    },
+
+    // Обрезанный текст без title или другого способа прочитать его целиком
+    analyzeClippedText() {
+      this.state.clippedText = CLIPPED_TEXT.detect(DEEP_DOM.querySelectorAll('*'), element => STYLE_CACHE.get(element));
+      this.recordTruncation('обрезанный текст', CLIPPED_TEXT.state.truncated, CLIPPED_TEXT.config.maxElements);
+      const groups = new Map();
       
-      // Группировка по важности
-      ['critical', 'warning', 'info'].forEach(severity => {
-        const issues = this.state.issues.filter(i => i.severity === severity);
-        if (issues.length > 0) {
-          console.group(`${severity.toUpperCase()} Issues (${issues.length})`);
-          
-          issues.forEach(issue => {
-            console.log(`${issue.type}: ${issue.description}`);
-            console.table(issue.elements.map(el => ({
-              Tag: el.tagName.toLowerCase(),
-              Classes: el.className || '(none)',
-              Text: el.textContent?.trim().substring(0, 30) || '(empty)',
-              Details: JSON.stringify(issue.details)
-            })));
+      this.state.clippedText
+        .filter(entry => !entry.fullTextSource)
+        .forEach(entry => {
+          const severity = entry.critical ? 'critical' : 'warning';
+          const suggestedFix = CLIPPED_TEXT.suggestFix(entry);
+          const key = `${entry.kind}|${severity}|${JSON.stringify(suggestedFix)}`;
+          if (!groups.has(key)) {
+            groups.set(key, { kind: entry.kind, severity, suggestedFix, currentValues: CLIPPED_TEXT.getCurrentValues(entry), entries: [] });
+          }
+          groups.get(key).entries.push(entry);
+        });
+      
+      groups.forEach(({ kind, severity, suggestedFix, currentValues, entries }) => {
+        const elements = entries.map(entry => entry.element);
+        const hiddenChars = entries.reduce((sum, entry) => sum + entry.hiddenChars, 0);
+        const maxPercent = Math.max(...entries.map(entry => entry.hiddenPercent));
+        const summary = entries.length === 1
+          ? CLIPPED_TEXT.describe(entries[0])
+          : `${kind}: ${entries.length} элементов, скрыто ~${hiddenChars} симв. (до ${maxPercent}%)`;
+        
+        this.addIssue(severity, severity === 'critical' ? '✂️ Обрезанная метка' : '✂️ Обрезанный текст', 
+          `${summary}; полный текст недоступен`, 
+          elements, { kind, hiddenChars, maxPercent });
+        
+        this.createFixableIssue('clipped-text', severity, elements, currentValues, suggestedFix, CLIPPED_TEXT.explain(kind));
+      });
+    },
+
+    // Анализ вертикального ритма относительно базовой сетки
+    analyzeVerticalRhythm() {
+      const { baseline } = this.config.rhythm;
+      
+      // line-height каждой комбинации должен быть кратен шагу сетки
+      this.state.fontMap.forEach(({ metrics, elements }) => {
+        // line-height: normal зависит от метрик шрифта: высота строки измеряется пробой (шрифт у группы общий,
+        // первым в группе может быть и псевдоэлемент - проба берет его стиль у хозяина)
+        const isNormal = metrics.lineHeight === 'normal';
+        const lineHeightNum = isNormal ? STYLE_CACHE.getNormalLineHeight(elements[0]) : parseFloat(metrics.lineHeight);
+        if (!lineHeightNum) return;
+        
+        const offset = this.getRhythmOffset(lineHeightNum);
+        if (offset === 0) return;
+        
+        const snapped = this.snapToBaseline(lineHeightNum);
+        const lineHeight = isNormal ? `normal (≈${lineHeightNum}px)` : metrics.lineHeight;
+        this.recordRhythmBreak('line-height', elements, lineHeight, snapped, offset);
+        this.addIssue('warning', '📏 line-height вне сетки', 
+          `line-height ${lineHeight} не кратен ${baseline}px (отклонение ${this.formatOffset(offset)})`, 
+          elements, { lineHeight, baseline, offset });
+        
+        this.createFixableIssue(
+          'rhythm-line-height',
+          'warning',
+          elements,
+          { 'line-height': metrics.lineHeight },
+          { 'line-height': `${snapped}px` },
+          `Line-height ${lineHeight} сбивает базовую сетку ${baseline}px на ${this.formatOffset(offset)}.`
+        );
+      });
+      
+      // Расстояния между соседними текстовыми блоками и отступы заголовков
+      const blocks = this.limitChecked('вертикальный ритм', DEEP_DOM.querySelectorAll(this.config.rhythm.blockSelector)
+        .filter(block => this.isInNormalFlow(block)), this.config.rhythm.maxBlocks);
+      const gapBreaks = new Map();
+      const headingBreaks = new Map();
+      
+      blocks.forEach(block => {
+        const previous = this.getPreviousFlowSibling(block);
+        if (previous) {
+          const gap = Math.round((STYLE_CACHE.getRect(block).top - STYLE_CACHE.getRect(previous).bottom) * 100) / 100;
+          const offset = gap >= 0 ? this.getRhythmOffset(gap) : 0;
+          if (offset !== 0) {
+            const snapped = this.snapToBaseline(gap);
+            const key = `${gap}|${snapped}`;
+            if (!gapBreaks.has(key)) gapBreaks.set(key, { gap, snapped, offset, elements: [] });
+            gapBreaks.get(key).elements.push(block);
+          }
+        }
+        
+        if (/^H[1-6]$/.test(block.tagName)) {
+          const style = STYLE_CACHE.get(block);
+          ['margin-top', 'margin-bottom'].forEach(property => {
+            const value = parseFloat(style.getPropertyValue(property));
+            const offset = this.getRhythmOffset(value);
+            if (offset === 0) return;
+            const snapped = this.snapToBaseline(value);
+            const key = `${property}|${value}`;
+            if (!headingBreaks.has(key)) headingBreaks.set(key, { property, value, snapped, offset, elements: [] });
+            headingBreaks.get(key).elements.push(block);
           });
-          
-          console.groupEnd();
         }
       });
       
-      // Общая статистика
-      console.log('\n📊 Statistics:');
-      console.table({
-        'Total Font Combinations': this.state.fontMap.size,
-        'Critical Issues': this.state.issues.filter(i => i.severity === 'critical').length,
-        'Warnings': this.state.issues.filter(i => i.severity === 'warning').length,
-        'Info': this.state.issues.filter(i => i.severity === 'info').length
+      gapBreaks.forEach(({ gap, snapped, offset, elements }) => {
+        const style = STYLE_CACHE.get(elements[0]);
+        this.recordRhythmBreak('block-gap', elements, `${gap}px`, snapped, offset);
+        this.addIssue('warning', '↕️ Отступ между блоками вне сетки', 
+          `Расстояние до предыдущего блока ${gap}px не кратно ${baseline}px (отклонение ${this.formatOffset(offset)})`, 
+          elements, { gap, baseline, offset });
+        
+        this.createFixableIssue(
+          'rhythm-block-gap',
+          'warning',
+          elements,
+          { 'margin-top': style.marginTop, 'margin-bottom': style.marginBottom },
+          { 'margin-top': `${snapped}px` },
+          `Расстояние до предыдущего блока ${gap}px сбивает ритм на ${this.formatOffset(offset)}. Учтите схлопывание с margin-bottom предыдущего блока.`
+        );
       });
       
-      console.groupEnd();
+      headingBreaks.forEach(({ property, value, snapped, offset, elements }) => {
+        this.recordRhythmBreak(`heading-${property}`, elements, `${value}px`, snapped, offset);
+        this.addIssue('warning', '🔠 Отступ заголовка вне сетки', 
+          `${property}: ${value}px не кратен ${baseline}px (отклонение ${this.formatOffset(offset)})`, 
+          elements, { [property]: `${value}px`, baseline, offset });
+        
+        this.createFixableIssue(
+          'rhythm-heading-spacing',
+          'warning',
+          elements,
+          { [property]: `${value}px` },
+          { [property]: `${snapped}px` },
+          `Отступ заголовка ${property}: ${value}px не попадает в сетку ${baseline}px.`
+        );
+      });
+      
+      if (this.config.rhythm.showOverlay) {
+        this.drawBaselineOverlay();
+      }
     },
 
-    // Очистка и завершение работы
-    cleanup() {
-      this.clearHighlights();
-      const container = document.getElementById('typography-analyzer-results');
-      if (container) {
-        container.remove();
+    // Отклонение от ближайшего кратного шагу сетки (со знаком), 0 - в пределах допуска
+    getRhythmOffset(value) {
+      const { tolerance } = this.config.rhythm;
+      const offset = Math.round((value - this.snapToBaseline(value)) * 100) / 100;
+      return Math.abs(offset) <= tolerance ? 0 : offset;
+    },
+
+    // Ближайшее кратное шагу сетки
+    snapToBaseline(value) {
+      const { baseline } = this.config.rhythm;
+      return Math.max(baseline, Math.round(value / baseline) * baseline);
+    },
+
+    // Форматирование отклонения: +3px / -2.5px
+    formatOffset(offset) {
+      return `${offset > 0 ? '+' : ''}${offset}px`;
+    },
+
+    // Сохранение нарушения ритма для отчета
+    recordRhythmBreak(kind, elements, current, snapped, offset) {
+      elements.forEach(element => {
+        this.state.rhythmBreaks.push({ kind, element, current, expected: `${snapped}px`, offset });
+      });
+    },
+
+    // Блок участвует в обычном потоке (не float, не absolute/fixed) и отрисован
+    isInNormalFlow(element) {
+      const style = STYLE_CACHE.get(element);
+      return this.isTextRendered(element, style) &&
+        style.float === 'none' &&
+        style.position !== 'absolute' && style.position !== 'fixed';
+    },
+
+    // Предыдущий отрисованный соседний блок над элементом
+    getPreviousFlowSibling(element) {
+      let sibling = element.previousElementSibling;
+      while (sibling && !this.isInNormalFlow(sibling)) {
+        sibling = sibling.previousElementSibling;
       }
+      if (!sibling) return null;
+      // Соседи в одной строке (grid, flex-row) не образуют вертикального ритма
+      return STYLE_CACHE.getRect(sibling).bottom <= STYLE_CACHE.getRect(element).top + 1 ? sibling : null;
     },
 
-    // Главный метод запуска
-    run() {
-      console.log('🚀 Starting Typography Analysis...');
+    // Наложение базовой сетки поверх страницы
+    drawBaselineOverlay() {
+      this.removeBaselineOverlay();
       
-      // Очищаем предыдущие результаты
-      this.state.fontMap.clear();
-      this.state.issues = [];
-      this.state.fixableIssues = [];
-      this.cleanup();
+      const { baseline } = this.config.rhythm;
+      const overlay = document.createElement('div');
+      overlay.className = 'typography-highlight typography-baseline-grid';
+      overlay.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: ${document.documentElement.scrollWidth}px;
+        height: ${document.documentElement.scrollHeight}px;
+        pointer-events: none;
+        z-index: 9998;
+        background-image: repeating-linear-gradient(
+          to bottom,
+          transparent 0,
+          transparent ${baseline - 1}px,
+          rgba(0, 170, 255, 0.35) ${baseline - 1}px,
+          rgba(0, 170, 255, 0.35) ${baseline}px
+        );
+      `;
       
-      // Запускаем анализ
-      this.collectTypographyData();
-      this.analyzeIssues();
+      // Метки элементов, выпадающих из сетки
+      this.state.rhythmBreaks.forEach(({ element, offset }) => {
+        const rect = DEEP_DOM.getViewportRect(element);
+        const label = document.createElement('div');
+        label.style.cssText = `
+          position: absolute;
+          top: ${rect.top + window.scrollY}px;
+          left: ${rect.left + window.scrollX}px;
+          background: #ff0096;
+          color: white;
+          padding: 1px 4px;
+          font-size: 10px;
+          border-radius: 3px;
+          font-family: 'SF Mono', Consolas, monospace;
+        `;
+        label.textContent = this.formatOffset(offset);
+        overlay.appendChild(label);
+      });
       
-      if (this.state.issues.length === 0) {
-        console.log('✅ Typography Analysis Complete: No critical issues found!');
-        this.showNotification('✅ Отличная работа! Критических проблем с типографикой не обнаружено.', 'success');
+      // Сетка - не подсветка: клик по строке проблемы, очищающий подсветку, ее не убирает
+      document.body.appendChild(DEEP_DOM.markOwned(overlay));
+      this.state.baselineOverlay = overlay;
+    },
+
+    // Удаление сетки
+    removeBaselineOverlay() {
+      if (!this.state.baselineOverlay) return;
+      this.state.baselineOverlay.remove();
+      this.state.baselineOverlay = null;
+    },
+
+    // Кнопка сетки: включает режим ритма или переключает наложение
+    toggleRhythmMode() {
+      if (!this.config.rhythm.enabled) {
+        this.config.rhythm.enabled = true;
+        this.config.rhythm.showOverlay = true;
+        this.run().catch(error => this.reportRunError(error));
         return;
       }
+      if (this.state.baselineOverlay) {
+        this.removeBaselineOverlay();
+      } else {
+        this.drawBaselineOverlay();
+      }
+    },
+
+    // Проверка соответствия стилей дизайн-токенам
+    analyzeTokenConformance() {
+      const tokens = this.state.tokens;
+      const rootSize = parseFloat(STYLE_CACHE.get(DEEP_DOM.getDocument().documentElement).fontSize) || 16;
+      const mismatches = new Map();
+      let conforming = 0;
       
-      this.createInteractiveTable();
-      console.log(`📋 Analysis complete. Found ${this.state.issues.length} issues to review.`);
-    }
-  };
+      this.state.fontMap.forEach(({ metrics, elements }) => {
+        const fontSizePx = parseFloat(metrics.fontSize);
+        let entryConforms = true;
+        
+        Object.entries(DESIGN_TOKENS.config.kinds).forEach(([kind, property]) => {
+          const value = metrics[kind];
+          // line-height: normal и letter-spacing: normal - значения по умолчанию, не требуют токена
+          if (value === undefined || (value === 'normal' && kind !== 'fontWeight')) return;
+          
+          const result = DESIGN_TOKENS.match(tokens, kind, value, fontSizePx, rootSize);
+          if (!result || result.exact) return;
+          
+          entryConforms = false;
+          const key = `${property}|${value}|${result.token.name}`;
+          if (!mismatches.has(key)) {
+            mismatches.set(key, { property, value, result, elements: [] });
+          }
+          mismatches.get(key).elements.push(...elements);
+        });
+        
+        if (entryConforms) conforming++;
+      });
+      
+      this.state.tokenConformance = this.state.fontMap.size > 0 ? conforming / this.state.fontMap.size : 1;
+      
+      mismatches.forEach(({ property, value, result, elements }) => {
+        const { token, distance } = result;
+        const shortValue = property === 'font-family' ? value.split(',')[0] : value;
+        const diff = distance !== null ? ` (разница ${Math.round(distance * 100) / 100}${property === 'font-weight' ? '' : 'px'})` : '';
+        
+        this.addIssue('warning', '🎨 Значение вне токенов', 
+          `${property}: ${shortValue} не соответствует токенам, ближайший ${token.name} = ${token.value}${diff}`, 
+          elements, { [property]: value, nearestToken: token.name, tokenValue: token.value });
+        
+        this.createFixableIssue(
+          'token-mismatch',
+          'warning',
+          elements,
+          { [property]: value },
+          { [property]: `var(${token.cssVar})` },
+          `${property}: ${shortValue} не входит в дизайн-систему. Ближайший токен: ${token.name} (${token.value}).`
+        );
+      });
+    },
+
+    // Замена сырого значения на var(--token), если значение совпадает с токеном.
+    // fontSizePx - размер шрифта исправляемого элемента, как при проверке соответствия
+    tokenizeValue(property, value, fontSizePx) {
+      if (!this.state.tokens || typeof value !== 'string' || value.startsWith('var(')) return value;
+      
+      const kind = Object.keys(DESIGN_TOKENS.config.kinds).find(k => DESIGN_TOKENS.config.kinds[k] === property);
+      if (!kind) return value;
+      
+      const rootSize = parseFloat(STYLE_CACHE.get(DEEP_DOM.getDocument().documentElement).fontSize) || 16;
+      const result = DESIGN_TOKENS.match(this.state.tokens, kind, value, fontSizePx || rootSize, rootSize);
+      return result && result.exact ? `var(${result.token.cssVar})` : value;
+    },
+
+    // Диалог загрузки токенов (вставка JSON или файл)
+    showTokenDialog(container) {
+      const existing = container.querySelector('#typography-token-dialog');
+      if (existing) {
+        existing.remove();
+        return;
+      }
+      
+      const dialog = document.createElement('div');
+      dialog.id = 'typography-token-dialog';
+      dialog.style.cssText = 'padding: 12px 16px; background: #2a2a2a; border-top: 1px solid #444;';
+      SHADOW_PANEL.html(dialog, `
+        <div style="margin-bottom: 6px; color: #ccc;">🎨 Дизайн-токены (W3C DTCG или Style Dictionary JSON)</div>
+        <textarea id="typography-token-input" rows="8" placeholder='{"font": {"size": {"md": {"$value": "16px", "$type": "dimension"}}}}' style="width:100%;box-sizing:border-box;background:#1a1a1a;color:#fff;border:1px solid #444;border-radius:4px;font-family:inherit;font-size:11px;"></textarea>
+        <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+          <input id="typography-token-file" type="file" accept=".json,application/json" style="color:#ccc;font-size:11px;">
+          <button id="typography-token-apply" style="background:#00cc66;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;">Применить</button>
+          <button id="typography-token-clear" style="background:#444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;">Сбросить</button>
+        </div>
+      `);
+      
+      const input = dialog.querySelector('#typography-token-input');
+      
+      dialog.querySelector('#typography-token-file').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (file) input.value = await file.text();
+      });
+      
+      dialog.querySelector('#typography-token-apply').addEventListener('click', () => {
+        let json;
+        try {
+          json = JSON.parse(input.value);
+        } catch (error) {
+          this.showNotification(`❌ Некорректный JSON: ${error.message}`, 'info');
+          return;
+        }
+        
+        const tokens = DESIGN_TOKENS.parse(json);
+        if (DESIGN_TOKENS.count(tokens) === 0) {
+          this.showNotification('❌ Типографские токены не найдены', 'info');
+          return;
+        }
+        
+        DESIGN_TOKENS.store(input.value);
+        this.showNotification(`✅ Загружено токенов: ${DESIGN_TOKENS.count(tokens)}`, 'success');
+        this.run().catch(error => this.reportRunError(error));
+      });
+      
+      dialog.querySelector('#typography-token-clear').addEventListener('click', () => {
+        DESIGN_TOKENS.clear();
+        this.showNotification('🗑️ Токены удалены', 'info');
+        this.run().catch(error => this.reportRunError(error));
+      });
+      
+      container.appendChild(dialog);
+    },
+
+    // Добавление проблемы
+    addIssue(severity, type, description, elements, details) {
+      this.state.issues.push({
+        severity,
+        type,
+        description,
+        elements: [...elements],
+        details,
+        source: this.resolveIssueSource(elements, details),
+        count: elements.length,
+        charCount: this.getAffectedChars(elements)
+      });
+    },
+
+    // Сортировка: сначала по важности, затем по объему затронутого текста
+    sortIssuesByWeight(issues, charsKey = 'charCount') {
+      return issues.sort((a, b) =>
+        this.getSeverityPriority(a.severity) - this.getSeverityPriority(b.severity) ||
+        (b[charsKey] || 0) - (a[charsKey] || 0)
+      );
+    },
+
+    // Создание интерактивной таблицы
+    createInteractiveTable() {
+      // Создаем контейнер
+      const container = document.createElement('div');
+      container.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 560px;
+        max-height: 70vh;
+        background: #1a1a1a;
+        border: 2px solid #333;
+        border-radius: 8px;
+        color: #fff;
+        font-family: 'SF Mono', Consolas, monospace;
+        font-size: 12px;
+        z-index: 10000;
+        overflow-y: auto;
+        box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+      `;
+
+      // Header
+      const header = document.createElement('div');
+      header.style.cssText = `
+        padding: 12px 16px;
+        background: #333;
+        border-bottom: 1px solid #444;
+        font-weight: bold;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+      `;
+      SHADOW_PANEL.html(header, `
+        <span>🔍 Typography Analyzer</span>
+        <button id="close-analyzer" style="background:none;border:none;color:#fff;font-size:16px;cursor:pointer;">✕</button>
+      `);
+
+      // Stats
+      const stats = document.createElement('div');
+      stats.style.cssText = 'padding: 12px 16px; background: #2a2a2a; border-bottom: 1px solid #444;';
+      const totalCombinations = this.state.fontMap.size;
+      const criticalIssues = this.state.issues.filter(i => i.severity === 'critical').length;
+      const warningIssues = this.state.issues.filter(i => i.severity === 'warning').length;
+      const infoIssues = this.state.issues.filter(i => i.severity === 'info').length;
+      const scaleFit = this.state.typeScale ? Math.round(this.state.typeScale.fit * 100) : 0;
+      const fontSummary = this.getFontLoadingSummary();
+      const truncation = this.describeTruncation();
+      
+      SHADOW_PANEL.html(stats, `
+        📊 Всего комбинаций: ${totalCombinations} | 
+        🚨 Критических: ${criticalIssues} |
+        ⚠️ Предупреждений: ${warningIssues} |
+        💡 Инфо: ${infoIssues}
+        <div style="color: #aaa; font-size: 11px; margin-top: 6px;">
+          📐 Шкала: ${this.describeTypeScale()} | ${this.state.typeScale?.type === 'clusters' ? 'соответствие кластерам размеров' : 'соответствие модульной шкале'}: ${scaleFit}%
+        </div>
+        ${fontSummary ? `
+        <div style="color: #aaa; font-size: 11px; margin-top: 4px;">
+          🔤 @font-face: ${fontSummary.fontFaces} | загружено: ${fontSummary.loaded} | ошибок: ${fontSummary.failed} | ожидают: ${fontSummary.pending}
+        </div>` : ''}
+        ${this.state.tokens ? `
+        <div style="color: #aaa; font-size: 11px; margin-top: 4px;">
+          🎨 Токенов: ${DESIGN_TOKENS.count(this.state.tokens)} | комбинаций на токенах: ${Math.round(this.state.tokenConformance * 100)}%
+        </div>` : ''}
+        ${this.state.scan.mode === 'regions' ? `
+        <div style="color: #aaa; font-size: 11px; margin-top: 4px;">
+          🔎 Полный анализ регионов с проблемами: ${this.state.scan.regions.size}
+        </div>` : ''}
+        ${truncation ? `
+        <div style="color: #ffaa00; font-size: 11px; margin-top: 4px;">
+          ⚠️ Проверены не все элементы - ${truncation}
+        </div>` : ''}
+      `);
+
+      // Table
+      const table = document.createElement('div');
+      table.style.cssText = 'padding: 8px;';
+      
+      const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      
+      this.sortIssuesByWeight(this.state.issues).forEach((issue, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          padding: 8px 12px;
+          margin: 4px 0;
+          border-left: 4px solid ${this.getSeverityColor(issue.severity)};
+          background: #2a2a2a;
+          cursor: pointer;
+          border-radius: 4px;
+          transition: all 0.2s ease;
+        `;
+        
+        SHADOW_PANEL.html(row, `
+          <div style="font-weight: bold; margin-bottom: 4px;">
+            ${issue.type} <span style="color: #666;">(${issue.charCount} симв. в ${issue.count} элементах)</span>
+          </div>
+          <div style="color: #ccc; font-size: 11px;">
+            ${issue.description}
+          </div>
+          ${issue.source ? `
+          <div style="color: #88aaff; font-size: 10px; margin-top: 4px;">
+            📍 ${CSS_RULE_RESOLVER.describe(issue.source)}
+          </div>` : ''}
+          ${issue.details?.preview ? `
+          <div style="color: #ddd; font-size: 11px; margin-top: 4px; font-family: Georgia, serif; white-space: pre-wrap;">${escape(issue.details.preview)}</div>` : ''}
+          <div style="color: #888; font-size: 10px; margin-top: 4px;">
+            Клик для подсветки элементов
+          </div>
+        `);
+
+        // Добавляем интерактивность
+        row.addEventListener('click', () => this.highlightElements(this.getHighlightTargets(issue), index));
+        row.addEventListener('mouseenter', () => {
+          row.style.background = '#3a3a3a';
+        });
+        row.addEventListener('mouseleave', () => {
+          row.style.background = '#2a2a2a';
+        });
+
+        table.appendChild(row);
+      });
+
+      // Controls - теперь с тремя кнопками копирования
+      const controls = document.createElement('div');
+      controls.style.cssText = 'padding: 12px 16px; background: #333; border-top: 1px solid #444;';
+      
+      const criticalCount = this.state.fixableIssues.filter(i => i.severity === 'critical').length;
+      const nonCriticalCount = this.state.fixableIssues.filter(i => i.severity !== 'critical').length;
+      
+      SHADOW_PANEL.html(controls, `
+        <div style="margin-bottom: 8px;">
+          <button id="clear-highlights" style="background:#444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">Очистить подсветку</button>
+          <button id="export-report" style="background:#0066cc;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">Экспорт в консоль</button>
+          <button id="load-tokens" style="background:#8844cc;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">🎨 Токены</button>
+          <button id="viewport-sweep" style="background:#aa6600;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">📱 Ширины</button>
+          <button id="toggle-quick-scan" style="background:#557700;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;margin-right:8px;">${this.state.scan.mode === 'full' ? '🎲 Выборка' : '📄 Полный'}</button>
+          <button id="toggle-rhythm" style="background:#0088aa;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;">📏 ${this.config.rhythm.enabled ? 'Сетка' : 'Ритм'} ${this.config.rhythm.baseline}px</button>
+        </div>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+          <button id="copy-all-fixes" style="background:#00cc66;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
+            📋 Все (${this.state.fixableIssues.length})
+          </button>
+          <button id="copy-critical-fixes" style="background:#ff4444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
+            🚨 Критические (${criticalCount})
+          </button>
+          <button id="copy-non-critical-fixes" style="background:#ffaa00;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;font-size:11px;">
+            ⚠️ Остальные (${nonCriticalCount})
+          </button>
+        </div>
+      `);
+
+      // Сборка
+      container.appendChild(header);
+      container.appendChild(stats);
+      if (this.state.quickScan) {
+        container.appendChild(this.createQuickScanSection());
+      }
+      if (this.state.sweep) {
+        container.appendChild(this.createSweepSection());
+      }
+      container.appendChild(table);
+      container.appendChild(this.createPreviewSection());
+      container.appendChild(controls);
+
+      // Event listeners
+      container.querySelector('#close-analyzer').addEventListener('click', () => {
+        this.clearFixPreview();
+        this.cleanup();
+      });
+      
+      container.querySelector('#clear-highlights').addEventListener('click', () => {
+        this.clearHighlights();
+      });
+      
+      container.querySelector('#export-report').addEventListener('click', () => {
+        this.exportToConsole();
+      });
+      
+      container.querySelector('#load-tokens').addEventListener('click', () => {
+        this.showTokenDialog(container);
+      });
+      
+      container.querySelector('#viewport-sweep').addEventListener('click', () => {
+        this.runViewportSweep().catch(error => this.reportRunError(error));
+      });
+      
+      container.querySelector('#toggle-quick-scan').addEventListener('click', () => {
+        this.toggleQuickScan();
+      });
+      
+      container.querySelector('#toggle-rhythm').addEventListener('click', () => {
+        this.toggleRhythmMode();
+      });
+
+      // Обработчики для разных типов копирования
+      container.querySelector('#copy-all-fixes').addEventListener('click', () => {
+        this.copyFixesToClipboard('all');
+      });
+
+      container.querySelector('#copy-critical-fixes').addEventListener('click', () => {
+        this.copyFixesToClipboard('critical');
+      });
+
+      container.querySelector('#copy-non-critical-fixes').addEventListener('click', () => {
+        this.copyFixesToClipboard('non-critical');
+      });
+
+      // Панель живет в закрытом shadow root, стили страницы ее не задевают
+      SHADOW_PANEL.mount(container, 'typography-analyzer-results');
+    },
+
+    // Копирование исправлений в буфер обмена с фильтрацией
+    async copyFixesToClipboard(filterType = 'all') {
+      let filteredIssues;
+      let title;
+      
+      switch (filterType) {
+        case 'critical':
+          filteredIssues = this.state.fixableIssues.filter(issue => issue.severity === 'critical');
+          title = 'КРИТИЧЕСКИЕ ПРОБЛЕМЫ';
+          break;
+        case 'non-critical':
+          filteredIssues = this.state.fixableIssues.filter(issue => issue.severity !== 'critical');
+          title = 'ПРЕДУПРЕЖДЕНИЯ И РЕКОМЕНДАЦИИ';
+          break;
+        default:
+          filteredIssues = this.state.fixableIssues;
+          title = 'ВСЕ ПРОБЛЕМЫ';
+      }
+
+      if (filteredIssues.length === 0) {
+        this.showNotification(`❌ Нет проблем типа "${filterType}" для копирования`, 'info');
+        return;
+      }
+
+      const fixesObject = {
+        title: `🔍 Typography Analyzer - ${title}`,
+        timestamp: new Date().toISOString(),
+        url: window.location.href,
+        filterType: filterType,
+        summary: {
+          totalIssues: filteredIssues.length,
+          critical: filteredIssues.filter(i => i.severity === 'critical').length,
+          warning: filteredIssues.filter(i => i.severity === 'warning').length,
+          info: filteredIssues.filter(i => i.severity === 'info').length,
+          affectedElements: filteredIssues.reduce((sum, issue) => sum + issue.affectedElements, 0),
+          affectedChars: filteredIssues.reduce((sum, issue) => sum + (issue.affectedChars || 0), 0)
+        },
+        typeScale: this.getTypeScaleSummary(),
+        fontLoading: this.getFontLoadingSummary(),
+        designTokens: this.state.tokens ? {
+          count: DESIGN_TOKENS.count(this.state.tokens),
+          conformance: `${Math.round(this.state.tokenConformance * 100)}%`
+        } : null,
+        consolidation: this.getConsolidationPlan(),
+        viewportSweep: this.state.sweep ? { ...this.state.sweep, fontSizes: undefined } : null,
+        lineLengths: this.state.lineLengths.map(entry => ({
+          selector: this.generateSelector(entry.element),
+          lines: entry.lines,
+          min: entry.min,
+          median: entry.median,
+          max: entry.max
+        })),
+        clippedText: this.state.clippedText.map(entry => ({
+          selector: this.generateSelector(entry.element),
+          kind: entry.kind,
+          hiddenChars: entry.hiddenChars,
+          totalChars: entry.totalChars,
+          hiddenPercent: entry.hiddenPercent,
+          hiddenPx: entry.hiddenPx,
+          fullTextSource: entry.fullTextSource
+        })),
+        contentTypography: this.state.contentLint.map(occurrence => ({
+          selector: this.generateSelector(occurrence.element),
+          rule: occurrence.rule.id,
+          lang: occurrence.lang,
+          original: occurrence.original,
+          corrected: occurrence.corrected
+        })),
+        priorityOrder: this.getPriorityOrder(filterType),
+        fixes: this.sortIssuesByWeight(filteredIssues, 'affectedChars')
+          .map((issue, index) => ({
+            id: index + 1,
+            type: issue.issueType,
+            severity: issue.severity,
+            priority: this.getSeverityPriority(issue.severity),
+            description: issue.description,
+            elementsCount: issue.affectedElements,
+            charsCount: issue.affectedChars,
+            estimatedTime: this.getEstimatedFixTime(issue.issueType),
+            fixes: issue.fixes.map((fix, fixIndex) => ({
+              id: `${index + 1}.${fixIndex + 1}`,
+              selector: fix.selector,
+              targetSelector: fix.targetSelector,
+              source: fix.sources.map(source => CSS_RULE_RESOLVER.serialize(source)),
+              element: `${fix.tagName}${fix.className ? '.' + fix.className.split(' ').join('.') : ''}`,
+              textContent: fix.textPreview,
+              path: fix.elementPath,
+              currentCSS: fix.currentCSS,
+              suggestedCSS: fix.suggestedCSS,
+              cssRule: this.generateCSSRule(fix.targetSelector, fix.suggestedCSS, fix.fontSize)
+            }))
+          }))
+      };
+
+      // Добавляем готовые CSS правила для быстрого применения
+      fixesObject.readyToApplyCSS = this.generateReadyCSS(filteredIssues);
+      fixesObject.fluidAlternativeCSS = this.generateFluidAlternativeCSS(filteredIssues);
+
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(fixesObject, null, 2));
+        
+        const typeLabels = {
+          'all': 'всех проблем',
+          'critical': 'критических проблем',
+          'non-critical': 'предупреждений и рекомендаций'
+        };
+        
+        this.showNotification(`✅ Объект ${typeLabels[filterType]} скопирован в буфер обмена!`, 'success');
+        
+        // Также выводим в консоль для удобства
+        console.group(`📋 Copied Typography Fixes - ${title}`);
+        console.log(`Скопирован объект с ${filteredIssues.length} проблемами:`);
+        console.log(fixesObject);
+        
+        console.log('\n🎯 Быстрое применение CSS:');
+        console.log(fixesObject.readyToApplyCSS);
+        
+        if (fixesObject.fluidAlternativeCSS) {
+          console.log('\n🌊 Альтернатива - плавная типографика (применять вместо font-size из набора выше):');
+          console.log(fixesObject.fluidAlternativeCSS);
+        }
+        
+        console.log('\n💡 Рекомендуемый порядок исправления:');
+        fixesObject.fixes.forEach(fix => {
+          console.log(`${fix.id}. [${fix.severity.toUpperCase()}] ${fix.type} - ${fix.charsCount} симв., ${fix.elementsCount} элементов (~${fix.estimatedTime})`);
+        });
+        
+        console.groupEnd();
+        
+      } catch (err) {
+        // Fallback для старых браузеров
+        const textArea = document.createElement('textarea');
+        textArea.value = JSON.stringify(fixesObject, null, 2);
+        document.body.appendChild(textArea);
+        textArea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        
+        this.showNotification(`📋 Объект ${typeLabels[filterType]} скопирован (fallback)`, 'success');
+        console.log(`Typography Fixes - ${title}:`, fixesObject);
+      }
+    },
+
+    // Сводка по шкале для экспорта
+    getTypeScaleSummary() {
+      const scale = this.state.typeScale;
+      if (!scale) return null;
+      return {
+        type: scale.type,
+        base: `${scale.base}px`,
+        ratio: scale.ratio,
+        fit: `${Math.round(scale.fit * 100)}%`,
+        steps: scale.steps.map(step => `${step}px (${this.formatScaleSize(step)})`),
+        closestModular: scale.closestModular || null
+      };
+    },
+
+    // Получение приоритета серьезности
+    getSeverityPriority(severity) {
+      const priorities = { critical: 1, warning: 2, info: 3 };
+      return priorities[severity] || 4;
+    },
+
+    // Получение порядка приоритетов
+    getPriorityOrder(filterType) {
+      const orders = {
+        'critical': ['Сначала исправить критические проблемы - они влияют на читаемость'],
+        'non-critical': ['Предупреждения и рекомендации для улучшения типографики'],
+        'all': [
+          '1. Критические проблемы (влияют на читаемость)',
+          '2. Предупреждения (улучшают качество)',
+          '3. Рекомендации (консистентность)'
+        ]
+      };
+      return orders[filterType] || orders['all'];
+    },
+
+    // Оценка времени на исправление
+    getEstimatedFixTime(issueType) {
+      const times = {
+        'line-height-too-small': '2-5 мин',
+        'line-height-too-large': '2-5 мин',
+        'extreme-font-weight': '1-3 мин',
+        'mixed-font-families': '5-10 мин',
+        'redundant-style': '10-15 мин',
+        'non-standard-size': '3-7 мин',
+        'style-consolidation': '5-10 мин',
+        'fluid-size-jump': '5-10 мин',
+        'fluid-size-fixed': '5-10 мин',
+        'font-load-failed': '10-20 мин',
+        'font-loading-fallback': '5-10 мин',
+        'font-face-unloaded': '5-10 мин',
+        'generic-font-fallback': '5-15 мин',
+        'faux-bold': '5-10 мин',
+        'faux-italic': '5-10 мин',
+        'line-length-too-long': '2-5 мин',
+        'line-length-too-short': '5-10 мин',
+        'heading-prominence-inversion': '3-7 мин',
+        'body-outweighs-heading': '2-5 мин',
+        'heading-widow': '1-3 мин',
+        'heading-unbalanced': '1-3 мин',
+        'paragraph-widow': '1-3 мин',
+        'button-label-wrap': '2-5 мин',
+        'long-word-overflow': '2-5 мин',
+        'justify-without-hyphens': '1-3 мин',
+        'missing-lang': '1-2 мин',
+        'clipped-text': '5-10 мин',
+        'content-typography': '2-10 мин',
+        'uppercase-tracking': '1-3 мин',
+        'large-heading-loose-tracking': '1-3 мин',
+        'body-negative-tracking': '1-3 мин',
+        'long-uppercase-text': '5-10 мин',
+        'token-mismatch': '3-7 мин',
+        'rhythm-line-height': '2-5 мин',
+        'rhythm-block-gap': '3-7 мин',
+        'rhythm-heading-spacing': '2-5 мин'
+      };
+      return times[issueType] || '5 мин';
+    },
+
+    // Генерация CSS правила
+    generateCSSRule(selector, suggestedCSS, fontSizePx) {
+      // Правило для shadow root / iframe пишется в стили этой области
+      const { scope, local } = DEEP_DOM.splitSelector(selector);
+      const scopeComment = scope ? `/* внутри ${scope} */\n` : '';
+      
+      if (typeof suggestedCSS === 'string') {
+        // Строковые исправления - советы-комментарии; все остальное не является CSS и в правило не попадает
+        if (!/^\/\*[\s\S]*\*\/$/.test(suggestedCSS.trim())) return null;
+        return `${scopeComment}${local} { ${suggestedCSS} }`;
+      }
+      
+      const rules = Object.entries(suggestedCSS)
+        .map(([prop, value]) => `  ${prop}: ${this.tokenizeValue(prop, value, fontSizePx)};`)
+        .join('\n');
+      
+      return `${scopeComment}${local} {\n${rules}\n}`;
+    },
+
+    // Генерация готового CSS
+    generateReadyCSS(filteredIssues) {
+      let css = '/* Typography Fixes - Generated by Typography Analyzer */\n\n';
+      
+      // Плавные размеры (clamp) конфликтуют с точечными правками font-size: при вставке обоих наборов
+      // победил бы последний, поэтому они экспортируются отдельно (generateFluidAlternativeCSS)
+      css += this.generateCSSGroups(filteredIssues.filter(issue => !this.isFluidIssue(issue)));
+      
+      return css;
+    },
+
+    // Альтернативный набор: плавная типографика (clamp) вместо фиксированных font-size
+    generateFluidAlternativeCSS(filteredIssues) {
+      const fluidIssues = filteredIssues.filter(issue => this.isFluidIssue(issue));
+      if (fluidIssues.length === 0) return null;
+      
+      return '/* Fluid Typography Alternative - replaces fixed font-size fixes */\n\n' + this.generateCSSGroups(fluidIssues);
+    },
+
+    isFluidIssue(issue) {
+      return issue.issueType.startsWith('fluid-');
+    },
+
+    // Объявления исправления со значениями токенов - одни и те же для экспорта и превью
+    getFixDeclarations(fix) {
+      const declarations = {};
+      Object.entries(fix.suggestedCSS).forEach(([prop, value]) => {
+        declarations[prop] = this.tokenizeValue(prop, value, fix.fontSize);
+      });
+      return declarations;
+    },
+
+    // CSS-правила, сгруппированные по селектору
+    generateCSSGroups(filteredIssues) {
+      let css = '';
+      const groupedBySelector = new Map();
+      
+      filteredIssues.forEach(issue => {
+        issue.fixes.forEach(fix => {
+          const selector = fix.targetSelector || fix.selector;
+          if (!groupedBySelector.has(selector)) {
+            const declared = fix.sources && fix.sources.find(source => source.type === 'rule' && source.matchedSelector === selector);
+            groupedBySelector.set(selector, {
+              element: fix.element,
+              path: declared ? `${declared.href}${declared.media.length > 0 ? ' ' + declared.media.join(' ') : ''}` : fix.path,
+              rules: new Map()
+            });
+          }
+          
+          const selectorData = groupedBySelector.get(selector);
+          
+          if (typeof fix.suggestedCSS === 'object') {
+            Object.entries(this.getFixDeclarations(fix)).forEach(([prop, value]) => {
+              selectorData.rules.set(prop, value);
+            });
+          }
+        });
+      });
+      
+      groupedBySelector.forEach((data, selector) => {
+        if (data.rules.size > 0) {
+          const { scope, local } = DEEP_DOM.splitSelector(selector);
+          css += `/* ${data.element} - ${data.path}${scope ? ` (внутри ${scope})` : ''} */\n`;
+          css += `${local} {\n`;
+          data.rules.forEach((value, prop) => {
+            css += `  ${prop}: ${value};\n`;
+          });
+          css += '}\n\n';
+        }
+      });
+      
+      return css;
+    },
+
+    // Ключ исправления, не зависящий от повторного анализа
+    getPreviewKey(issue) {
+      return `${issue.issueType}|${issue.fixes.map(fix => fix.targetSelector || fix.selector).join(',')}`;
+    },
+
+    // Применение исправлений на странице: все, критические или выбранные
+    applyFixPreview(issues) {
+      const applicable = issues.filter(issue => issue.fixes.some(fix => typeof fix.suggestedCSS === 'object'));
+      if (applicable.length === 0) {
+        this.showNotification('❌ Нет CSS-исправлений для превью', 'info');
+        return;
+      }
+      
+      if (!this.state.preview) {
+        this.state.preview = { entries: [], baseline: this.snapshotIssues(), showFixed: true, sheets: [] };
+      }
+      const { preview } = this.state;
+      
+      applicable.forEach(issue => {
+        const key = this.getPreviewKey(issue);
+        if (preview.entries.some(entry => entry.key === key)) return;
+        const entry = {
+          key,
+          issueType: issue.issueType,
+          severity: issue.severity,
+          description: issue.description,
+          fluid: this.isFluidIssue(issue),
+          rules: issue.fixes
+            .filter(fix => typeof fix.suggestedCSS === 'object')
+            .map(fix => ({ selector: fix.targetSelector || fix.selector, root: fix.root, declarations: this.getFixDeclarations(fix) }))
+        };
+        // Плавные размеры - альтернатива точечным font-size, как в экспорте: вместе в превью они не попадают
+        preview.entries = preview.entries.filter(applied => applied.fluid === entry.fluid ||
+          !this.setsFontSize(applied) || !this.setsFontSize(entry));
+        preview.entries.push(entry);
+      });
+      
+      this.refreshFixPreview().catch(error => this.reportRunError(error));
+    },
+
+    setsFontSize(entry) {
+      return entry.rules.some(rule => 'font-size' in rule.declarations);
+    },
+
+    // Отмена одного исправления превью
+    undoFixPreview(key) {
+      if (!this.state.preview) return;
+      this.state.preview.entries = this.state.preview.entries.filter(entry => entry.key !== key);
+      
+      if (this.state.preview.entries.length === 0) {
+        this.clearFixPreview();
+        this.run().catch(error => this.reportRunError(error));
+        return;
+      }
+      this.refreshFixPreview().catch(error => this.reportRunError(error));
+    },
+
+    // Запись стилей превью и повторный анализ с ними
+    async refreshFixPreview() {
+      const { preview } = this.state;
+      preview.showFixed = true;
+      this.writePreviewStyles();
+      if (!(await this.run())) return;
+      
+      const { resolved, introduced } = this.getPreviewDiff();
+      this.showNotification(
+        `🧪 Превью: ${preview.entries.length} исправлений, решено ${resolved.length}, новых ${introduced.length}`,
+        introduced.length > 0 ? 'info' : 'success'
+      );
+    },
+
+    // Управляемые таблицы стилей: по одной на документ или shadow root, где находятся элементы.
+    // Конструируемые таблицы, в отличие от <style>, работают при CSP без 'unsafe-inline'
+    writePreviewStyles() {
+      const { preview } = this.state;
+      this.removePreviewStyles();
+      
+      const cssByRoot = new Map();
+      preview.entries.forEach(entry => {
+        entry.rules.forEach(({ selector, root, declarations }) => {
+          // Селектор правила из shadow root локален для него: корень берется из исправления, а не поиском по документу
+          const { local } = DEEP_DOM.splitSelector(selector);
+          // Правка заменяет значение в исходном правиле, поэтому в превью она перекрывает его через !important
+          const body = Object.entries(declarations)
+            .map(([prop, value]) => `  ${prop}: ${value} !important;`)
+            .join('\n');
+          cssByRoot.set(root, `${cssByRoot.get(root) || ''}/* ${entry.issueType} */\n${local} {\n${body}\n}\n`);
+        });
+      });
+      
+      cssByRoot.forEach((css, root) => {
+        // Таблица должна принадлежать окну своего документа (iframe - отдельное окно)
+        const view = (root.ownerDocument || root).defaultView;
+        const sheet = new view.CSSStyleSheet();
+        sheet.replaceSync(css);
+        sheet.disabled = !preview.showFixed;
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+        DEEP_DOM.markOwnedSheet(sheet);
+        preview.sheets.push({ root, sheet });
+      });
+    },
+
+    // Снятие таблиц превью с документов и shadow root
+    removePreviewStyles() {
+      const { preview } = this.state;
+      preview.sheets.forEach(({ root, sheet }) => {
+        root.adoptedStyleSheets = root.adoptedStyleSheets.filter(adopted => adopted !== sheet);
+      });
+      preview.sheets = [];
+    },
+
+    // Режим до/после: стили превью отключаются без повторного анализа
+    toggleFixPreview() {
+      const { preview } = this.state;
+      if (!preview) return;
+      preview.showFixed = !preview.showFixed;
+      preview.sheets.forEach(({ sheet }) => {
+        sheet.disabled = !preview.showFixed;
+      });
+      
+      const panel = SHADOW_PANEL.getRoot('typography-analyzer-results');
+      const toggle = panel && panel.getElementById('preview-toggle');
+      if (toggle) toggle.textContent = preview.showFixed ? '👁️ После' : '👁️ До';
+    },
+
+    // Удаление стилей превью
+    clearFixPreview() {
+      if (!this.state.preview) return;
+      this.removePreviewStyles();
+      this.state.preview = null;
+    },
+
+    // Проблемы, исчезнувшие и появившиеся после применения исправлений
+    getPreviewDiff() {
+      const toKeys = snapshot => new Map(snapshot.flatMap(issue =>
+        issue.selectors.map(selector => [`${issue.type}|${selector}`, { ...issue, selector }])));
+      const before = toKeys(this.state.preview.baseline);
+      const after = toKeys(this.snapshotIssues());
+      
+      return {
+        resolved: Array.from(before.entries()).filter(([key]) => !after.has(key)).map(([, issue]) => issue),
+        introduced: Array.from(after.entries()).filter(([key]) => !before.has(key)).map(([, issue]) => issue)
+      };
+    },
+
+    // Секция панели: применение исправлений, до/после, отмена и результат повторного анализа
+    createPreviewSection() {
+      const { preview } = this.state;
+      const escape = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+      const appliedKeys = preview ? preview.entries.map(entry => entry.key) : [];
+      const available = this.state.fixableIssues.filter(issue =>
+        !appliedKeys.includes(this.getPreviewKey(issue)) &&
+        issue.fixes.some(fix => typeof fix.suggestedCSS === 'object'));
+      const diff = preview ? this.getPreviewDiff() : null;
+      const listDiff = (issues, color) => issues.slice(0, 10)
+        .map(issue => `<div style="color: ${color}; font-size: 10px;">${escape(issue.type)} - ${escape(issue.selector)}</div>`)
+        .join('');
+      const buttonStyle = 'border:none;color:#fff;padding:4px 8px;border-radius:4px;cursor:pointer;font-size:11px;';
+      
+      const section = document.createElement('div');
+      section.style.cssText = 'padding: 8px 16px; background: #222; border-top: 1px solid #444;';
+      SHADOW_PANEL.html(section, `
+        <div style="display: flex; gap: 6px; flex-wrap: wrap; align-items: center;">
+          <span>🧪 Превью:</span>
+          <button data-preview-apply="all" style="${buttonStyle}background:#00aa55;">Все</button>
+          <button data-preview-apply="critical" style="${buttonStyle}background:#cc3333;">Критические</button>
+          ${this.state.fixableIssues.some(issue => this.isFluidIssue(issue)) ? `
+          <button data-preview-apply="fluid" style="${buttonStyle}background:#0066cc;" title="clamp() вместо фиксированных font-size, как fluidAlternativeCSS">🌊 Плавные</button>` : ''}
+          ${preview ? `
+          <button id="preview-toggle" style="${buttonStyle}background:#555;">${preview.showFixed ? '👁️ После' : '👁️ До'}</button>
+          <button id="preview-reset" style="${buttonStyle}background:#444;">Сбросить</button>` : ''}
+        </div>
+        ${diff ? `
+        <div style="margin-top: 6px; font-size: 11px;">✅ Решено: ${diff.resolved.length} | 🆕 Новых: ${diff.introduced.length}</div>
+        ${listDiff(diff.resolved, '#66cc88')}
+        ${listDiff(diff.introduced, '#ff6666')}` : ''}
+        <div style="max-height: 160px; overflow-y: auto; margin-top: 6px;">
+          ${preview ? preview.entries.map(entry => `
+          <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 10px; padding: 2px 0;">
+            <span style="color: ${this.getSeverityColor(entry.severity)};">✔ ${escape(entry.issueType)} <span style="color: #888;">${escape(entry.rules.map(rule => rule.selector).join(', '))}</span></span>
+            <button data-preview-undo="${escape(entry.key)}" style="${buttonStyle}background:#444;padding:1px 6px;">↩️</button>
+          </div>`).join('') : ''}
+          ${available.map((issue, index) => `
+          <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 10px; padding: 2px 0;">
+            <span style="color: #aaa;">${escape(issue.issueType)} <span style="color: #666;">${escape(issue.fixes.map(fix => fix.targetSelector || fix.selector).join(', '))}</span></span>
+            <button data-preview-issue="${index}" style="${buttonStyle}background:#335;padding:1px 6px;">＋</button>
+          </div>`).join('')}
+        </div>
+      `);
+      
+      section.querySelectorAll('[data-preview-apply]').forEach(button => {
+        button.addEventListener('click', () => {
+          // "Все" и "Критические" повторяют readyToApplyCSS, плавные размеры - отдельный набор
+          const { previewApply } = button.dataset;
+          const issues = this.state.fixableIssues.filter(issue => previewApply === 'fluid'
+            ? this.isFluidIssue(issue)
+            : !this.isFluidIssue(issue) && (previewApply !== 'critical' || issue.severity === 'critical'));
+          this.applyFixPreview(issues);
+        });
+      });
+      section.querySelectorAll('[data-preview-issue]').forEach(button => {
+        button.addEventListener('click', () => this.applyFixPreview([available[Number(button.dataset.previewIssue)]]));
+      });
+      section.querySelectorAll('[data-preview-undo]').forEach(button => {
+        button.addEventListener('click', () => this.undoFixPreview(button.dataset.previewUndo));
+      });
+      if (preview) {
+        section.querySelector('#preview-toggle').addEventListener('click', () => this.toggleFixPreview());
+        section.querySelector('#preview-reset').addEventListener('click', () => {
+          this.clearFixPreview();
+          this.run().catch(error => this.reportRunError(error));
+        });
+      }
+      
+      return section;
+    },
+
+    // Показ уведомлений
+    showNotification(message, type = 'info') {
+      const notification = document.createElement('div');
+      notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: ${type === 'success' ? '#00cc66' : '#0066cc'};
+        color: white;
+        padding: 12px 24px;
+        border-radius: 6px;
+        font-family: 'SF Mono', Consolas, monospace;
+        font-size: 14px;
+        z-index: 10001;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+        animation: slideInDown 0.3s ease;
+      `;
+      
+      notification.textContent = message;
+      // Анимация slideInDown - в таблице SHADOW_PANEL
+      const host = SHADOW_PANEL.mount(notification);
+      
+      // Убираем через 3 секунды
+      setTimeout(() => {
+        notification.style.opacity = '0';
+        setTimeout(() => {
+          host.remove();
+        }, 300);
+      }, 3000);
+    },
+
+    // Подсветка элементов
+    highlightElements(elements, issueIndex) {
+      this.clearHighlights();
+      
+      elements.forEach((element, index) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'typography-highlight';
+        overlay.style.cssText = `
+          position: absolute;
+          pointer-events: none;
+          background: rgba(255, 0, 150, 0.3);
+          border: 2px solid #ff0096;
+          border-radius: 4px;
+          z-index: 9999;
+          transition: all 0.3s ease;
+        `;
+        
+        const rect = DEEP_DOM.getViewportRect(element);
+        overlay.style.top = (rect.top + window.scrollY) + 'px';
+        overlay.style.left = (rect.left + window.scrollX) + 'px';
+        overlay.style.width = rect.width + 'px';
+        overlay.style.height = rect.height + 'px';
+        
+        // Добавляем номер элемента
+        const label = document.createElement('div');
+        label.style.cssText = `
+          position: absolute;
+          top: -8px;
+          left: -2px;
+          background: #ff0096;
+          color: white;
+          padding: 2px 6px;
+          font-size: 10px;
+          border-radius: 3px;
+          font-weight: bold;
+        `;
+        label.textContent = `${index + 1}`;
+        overlay.appendChild(label);
+        
+        document.body.appendChild(DEEP_DOM.markOwned(overlay));
+        this.state.highlightedElements.add(overlay);
+        
+        // Плавное появление
+        setTimeout(() => {
+          overlay.style.background = 'rgba(255, 0, 150, 0.15)';
+        }, index * 100);
+      });
+      
+      // Скролл к первому элементу
+      if (elements.length > 0) {
+        elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    },
+
+    // Очистка подсветки
+    clearHighlights() {
+      this.state.highlightedElements.forEach(overlay => {
+        overlay.remove();
+      });
+      this.state.highlightedElements.clear();
+    },
+
+   // Цвет по важности
+    getSeverityColor(severity) {
+      const colors = {
+        critical: '#ff4444',
+        warning: '#ffaa00',
+        info: '#44aaff'
+      };
+      return colors[severity] || '#666';
+    },
+
+    // Экспорт в консоль
+    exportToConsole() {
+      console.group('🔍 Typography Analysis Report');
+      
+      // Группировка по важности
+      ['critical', 'warning', 'info'].forEach(severity => {
+        const issues = this.state.issues.filter(i => i.severity === severity);
+        if (issues.length > 0) {
+          console.group(`${severity.toUpperCase()} Issues (${issues.length})`);
+          
+          issues.forEach(issue => {
+            console.log(`${issue.type}: ${issue.description}`);
+            if (issue.source) {
+              console.log(`  📍 ${CSS_RULE_RESOLVER.describe(issue.source)}`);
+            }
+            console.table(issue.elements.map(el => ({
+              Tag: el.tagName.toLowerCase(),
+              Classes: el.className || '(none)',
+              Text: el.textContent?.trim().substring(0, 30) || '(empty)',
+              Chars: this.state.textCharCounts.get(el) || 0,
+              Details: JSON.stringify(issue.details)
+            })));
+          });
+          
+          console.groupEnd();
+        }
+      });
+      
+      // Обнаруженная шкала размеров
+      if (this.state.typeScale) {
+        console.log(`\n📐 Type Scale: ${this.describeTypeScale()}`);
+        console.table(this.getTypeScaleSummary());
+      }
+      
+      // Загрузка веб-шрифтов
+      if (this.state.fontLoading && this.state.fontLoading.faces.length > 0) {
+        console.log('\n🔤 @font-face Loading:');
+        console.table(FONT_LOADING_AUDITOR.getFacesTable(this.state.fontLoading.faces));
+      }
+      
+      // Нарушения вертикального ритма
+      if (this.state.rhythmBreaks.length > 0) {
+        console.log(`\n📏 Vertical Rhythm (baseline ${this.config.rhythm.baseline}px):`);
+        console.table(this.state.rhythmBreaks.map(entry => ({
+          Kind: entry.kind,
+          Element: this.generateSelector(entry.element),
+          Current: entry.current,
+          Expected: entry.expected,
+          Offset: this.formatOffset(entry.offset)
+        })));
+      }
+      
+      // Оценка по выборке быстрого сканирования
+      if (this.state.quickScan) {
+        console.log(`\n🎲 Quick Scan (${this.state.quickScan.sampleSize}/${this.state.quickScan.population} text blocks, 95% CI):`);
+        console.table(QUICK_SCAN.getTable(this.state.quickScan));
+        const reliability = QUICK_SCAN.describeReliability(this.state.quickScan);
+        if (reliability) {
+          console.warn(`⚠️ ${reliability}`);
+        }
+      }
+      
+      // Матрица прогона по ширинам
+      if (this.state.sweep) {
+        console.log(`\n📱 Viewport Sweep (${this.state.sweep.widths.join(', ')}px):`);
+        console.table(this.getSweepTable());
+      }
+      
+      // План объединения стилей
+      if (this.state.styleClusters.length > 0) {
+        console.log('\n🧬 Style Consolidation:');
+        console.table(this.getConsolidationPlan().flatMap(cluster => cluster.variants.map(variant => ({
+          Family: cluster.fontFamily.split(',')[0],
+          Variant: variant.style,
+          Canonical: cluster.canonical,
+          Elements: variant.elements.length,
+          Chars: variant.chars
+        }))));
+      }
+      
+      // Длина строк по блокам
+      if (this.state.lineLengths.length > 0) {
+        console.log('\n↔️ Characters per Line:');
+        console.table(this.state.lineLengths.map(entry => ({
+          Block: this.generateSelector(entry.element),
+          Lines: entry.lines,
+          Min: entry.min,
+          Median: entry.median,
+          Max: entry.max
+        })));
+      }
+      
+      // Обрезанный текст
+      if (this.state.clippedText.length > 0) {
+        console.log('\n✂️ Clipped Text:');
+        console.table(this.state.clippedText.map(entry => ({
+          Element: this.generateSelector(entry.element),
+          Kind: entry.kind,
+          Hidden: `${entry.hiddenChars}/${entry.totalChars} (${entry.hiddenPercent}%)`,
+          'Full Text': entry.fullTextSource || '—'
+        })));
+      }
+      
+      // Типографика текста
+      if (this.state.contentLint.length > 0) {
+        console.log('\n✍️ Content Typography:');
+        console.table(this.state.contentLint.map(occurrence => ({
+          Element: this.generateSelector(occurrence.element),
+          Rule: occurrence.rule.id,
+          Original: TEXT_LINTER.visualize(occurrence.original),
+          Corrected: TEXT_LINTER.visualize(occurrence.corrected)
+        })));
+      }
+      
+      // Общая статистика
+      console.log('\n📊 Statistics:');
+      console.table({
+        'Total Font Combinations': this.state.fontMap.size,
+        'Text Characters': Array.from(this.state.textCharCounts.values()).reduce((sum, chars) => sum + chars, 0),
+        'Critical Issues': this.state.issues.filter(i => i.severity === 'critical').length,
+        'Warnings': this.state.issues.filter(i => i.severity === 'warning').length,
+        'Info': this.state.issues.filter(i => i.severity === 'info').length
+      });
+      
+      const truncation = this.describeTruncation();
+      if (truncation) {
+        console.warn(`⚠️ Анализ неполный - ${truncation}`);
+      }
+      
+      console.groupEnd();
+    },
+
+    // Размеры, которые скачут между ширинами или не меняются вовсе
+    analyzeFluidTypography() {
+      const { minReadableSize, maxJumpRatio, minFixedSize, fixedMinScale } = this.config.fluid;
+      const failedWidths = this.state.sweep.failed.map(entry => entry.width);
+      const widths = this.state.sweep.widths.filter(width => !failedWidths.includes(width));
+      const groups = new Map();
+
+      Object.entries(this.state.sweep.fontSizes).forEach(([selector, sizesByWidth]) => {
+        const points = widths
+          .filter(width => sizesByWidth[width] !== undefined)
+          .map(width => ({ width, size: sizesByWidth[width] }))
+          .sort((a, b) => a.width - b.width);
+        if (points.length < 2) return;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const isFixed = points.every(point => point.size === first.size);
+        const maxJump = Math.max(...points.slice(1).map((point, index) =>
+          Math.max(point.size, points[index].size) / Math.min(point.size, points[index].size)));
+
+        // Размеры на самой узкой и самой широкой ширине - концы интерполяции
+        let kind = null;
+        let narrow;
+        let wide;
+        if (isFixed && first.size >= minFixedSize) {
+          kind = 'fixed';
+          wide = first.size;
+          narrow = Math.max(minReadableSize, first.size * fixedMinScale);
+        } else if (!isFixed && maxJump > maxJumpRatio) {
+          kind = 'jump';
+          const max = Math.max(first.size, last.size);
+          // Меньший из концов не опускается ниже читаемого размера
+          const min = Math.min(max, Math.max(minReadableSize, Math.min(first.size, last.size)));
+          [narrow, wide] = first.size <= last.size ? [min, max] : [max, min];
+        }
+        if (!kind || narrow === wide) return;
+
+        const element = DEEP_DOM.querySelector(selector);
+        if (!element) return;
+
+        const clampValue = this.buildFluidClamp(narrow, wide, first.width, last.width);
+        const key = `${kind}|${clampValue}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            kind,
+            clampValue,
+            observed: points.map(point => `${point.width}px: ${Math.round(point.size * 10) / 10}px`).join(', '),
+            maxJump,
+            elements: []
+          });
+        }
+        groups.get(key).elements.push(element);
+      });
+
+      groups.forEach(({ kind, clampValue, observed, maxJump, elements }) => {
+        const title = kind === 'jump' ? '🌊 Скачок размера' : '🌊 Неизменный размер';
+        const description = kind === 'jump'
+          ? `Размер меняется скачком (до ×${maxJump.toFixed(2)} между соседними ширинами): ${observed}`
+          : `Крупный размер одинаков на всех ширинах: ${observed}`;
+
+        this.addIssue('info', title, description, elements, { observed, fontSize: clampValue });
+
+        this.createFixableIssue(
+          kind === 'jump' ? 'fluid-size-jump' : 'fluid-size-fixed',
+          'info',
+          elements,
+          { 'font-size': observed },
+          { 'font-size': clampValue },
+          kind === 'jump'
+            ? 'Размер переключается ступенькой на брейкпоинтах. clamp() плавно интерполирует между мобильным и десктопным значением.'
+            : 'Крупный кегль не адаптируется к узким экранам. clamp() уменьшит его на мобильных, сохранив размер на десктопе.'
+        );
+      });
+    },
+
+    // clamp(min, rem + vw, max): линейная интерполяция между размерами на узкой и широкой ширине.
+    // Размер может и уменьшаться с шириной: наклон тогда отрицательный, а меньший конец - нижняя граница
+    buildFluidClamp(narrowPx, widePx, narrowWidth, wideWidth) {
+      const rootSize = parseFloat(STYLE_CACHE.get(DEEP_DOM.getDocument().documentElement).fontSize) || 16;
+      const round = value => Math.round(value * 1000) / 1000;
+      const slope = (widePx - narrowPx) / (wideWidth - narrowWidth);
+      const intercept = narrowPx - slope * narrowWidth;
+
+      const interceptRem = round(intercept / rootSize);
+      const slopeVw = round(slope * 100);
+      let preferred = `${interceptRem}rem + ${slopeVw}vw`;
+      if (interceptRem < 0) {
+        preferred = `${slopeVw}vw - ${Math.abs(interceptRem)}rem`;
+      } else if (slopeVw < 0) {
+        preferred = `${interceptRem}rem - ${Math.abs(slopeVw)}vw`;
+      }
+
+      // clamp() с min > max всегда возвращает min
+      const minPx = Math.min(narrowPx, widePx);
+      const maxPx = Math.max(narrowPx, widePx);
+      return `clamp(${round(minPx / rootSize)}rem, ${preferred}, ${round(maxPx / rootSize)}rem)`;
+    },
+
+    // Прогон анализа на нескольких ширинах экрана во внеэкранном iframe
+    async runViewportSweep() {
+      if (this.state.sweepRunning) return;
+      this.cancelAnalysis();
+      this.state.sweepRunning = true;
+
+      const { widths } = this.config.sweep;
+      const snapshots = [];
+      const controller = new AbortController();
+      this.state.analysis = controller;
+
+      // Флаг и индикатор снимаются при любом исходе, иначе run() навсегда ждет окончания прогона
+      try {
+        for (const [index, width] of widths.entries()) {
+          this.showNotification(`📱 Анализ ширины ${width}px (${index + 1}/${widths.length})...`, 'info');
+          let frame = null;
+
+          try {
+            frame = await this.createSweepFrame(width);
+            DEEP_DOM.setDocument(frame.contentDocument);
+            await this.analyze({
+              auditFonts: false,
+              signal: controller.signal,
+              onProgress: (fraction, label) => this.showAnalysisProgress((index + fraction) / widths.length, `📱 ${width}px: ${label}`)
+            });
+            snapshots.push({ width, issues: this.snapshotIssues(), fontSizes: this.snapshotFontSizes() });
+          } catch (error) {
+            if (error.name === 'AbortError') break;
+            console.warn(`Прогон ширины ${width}px не выполнен:`, error);
+            snapshots.push({ width, issues: null, error: error.message });
+          } finally {
+            DEEP_DOM.setDocument(null);
+            if (frame) frame.remove();
+          }
+        }
+      } finally {
+        this.state.sweepRunning = false;
+        if (this.state.analysis === controller) {
+          this.state.analysis = null;
+          this.hideAnalysisProgress();
+        }
+      }
+      // Отмененный прогон не заменяет прошлую матрицу
+      if (controller.signal.aborted) {
+        await this.run();
+        return;
+      }
+      this.state.sweep = this.buildSweepMatrix(snapshots);
+
+      // Панель и исправления - снова для текущей ширины
+      await this.run();
+
+      const failed = this.state.sweep.failed.length;
+      this.showNotification(
+        `📱 Прогон завершен: ${this.state.sweep.rows.length} проблем на ${widths.length - failed} ширинах${failed ? `, не удалось: ${failed}` : ''}`,
+        failed ? 'info' : 'success'
+      );
+    },
+
+    // Внеэкранный iframe с текущей страницей заданной ширины
+    createSweepFrame(width) {
+      const { height, timeout, settleDelay } = this.config.sweep;
+
+      return new Promise((resolve, reject) => {
+        const frame = document.createElement('iframe');
+        DEEP_DOM.markOwned(frame);
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('tabindex', '-1');
+        frame.style.cssText = `position: absolute; top: 0; left: -${width + 1000}px; width: ${width}px; height: ${height}px; border: 0; pointer-events: none;`;
+
+        const timer = setTimeout(() => {
+          frame.remove();
+          reject(new Error(`страница не загрузилась за ${timeout} мс`));
+        }, timeout);
+
+        frame.addEventListener('load', async () => {
+          clearTimeout(timer);
+          const frameDocument = DEEP_DOM.getFrameDocument(frame);
+
+          // X-Frame-Options и CSP frame-ancestors дают пустой или недоступный документ
+          if (!frameDocument || !frameDocument.body || frameDocument.URL === 'about:blank') {
+            frame.remove();
+            reject(new Error('страницу нельзя открыть во фрейме'));
+            return;
+          }
+
+          if (frameDocument.fonts) {
+            await frameDocument.fonts.ready;
+          }
+          setTimeout(() => resolve(frame), settleDelay);
+        }, { once: true });
+
+        frame.src = window.location.href;
+        document.body.appendChild(frame);
+      });
+    },
+
+    // Снимок найденных проблем: селекторы вместо элементов, которые исчезнут вместе с iframe
+    snapshotIssues() {
+      return this.state.issues.map(issue => ({
+        type: issue.type,
+        severity: issue.severity,
+        description: issue.description,
+        selectors: issue.elements.length > 0
+          ? [...new Set(issue.elements.map(element => this.generateSelector(element)))]
+          : ['(страница)']
+      }));
+    },
+
+    // Размеры шрифта по селекторам на текущей ширине
+    snapshotFontSizes() {
+      const sizes = {};
+      this.state.fontMap.forEach(({ metrics, elements }) => {
+        elements.forEach(element => {
+          if (element.pseudo) return;
+          sizes[this.generateSelector(element)] = parseFloat(metrics.fontSize);
+        });
+      });
+      return sizes;
+    },
+
+    // Матрица проблема × ширина с классификацией по диапазону ширин
+    buildSweepMatrix(snapshots) {
+      const { mobileMax, wideMin } = this.config.sweep;
+      const checkedWidths = snapshots.filter(snapshot => snapshot.issues).map(snapshot => snapshot.width);
+      const rows = new Map();
+      const fontSizes = {};
+
+      snapshots.forEach(({ width, issues, fontSizes: sizes }) => {
+        Object.entries(sizes || {}).forEach(([selector, size]) => {
+          if (!fontSizes[selector]) fontSizes[selector] = {};
+          fontSizes[selector][width] = size;
+        });
+
+        (issues || []).forEach(issue => {
+          issue.selectors.forEach(selector => {
+            const key = `${issue.type}|${selector}`;
+            if (!rows.has(key)) {
+              rows.set(key, { type: issue.type, severity: issue.severity, selector, widths: {} });
+            }
+            rows.get(key).widths[width] = issue.description;
+          });
+        });
+      });
+
+      const classify = failing => {
+        if (failing.length === checkedWidths.length) return 'all';
+        if (failing.every(width => width <= mobileMax)) return 'mobile-only';
+        if (failing.every(width => width >= wideMin)) return 'wide-only';
+        return 'partial';
+      };
+      const scopeOrder = { 'mobile-only': 1, 'wide-only': 2, partial: 3, all: 4 };
+
+      return {
+        timestamp: new Date().toISOString(),
+        widths: snapshots.map(snapshot => snapshot.width),
+        failed: snapshots.filter(snapshot => !snapshot.issues).map(({ width, error }) => ({ width, error })),
+        fontSizes,
+        rows: Array.from(rows.values())
+          .map(row => ({ ...row, scope: classify(Object.keys(row.widths).map(Number)) }))
+          .sort((a, b) => scopeOrder[a.scope] - scopeOrder[b.scope] ||
+            this.getSeverityPriority(a.severity) - this.getSeverityPriority(b.severity))
+      };
+    },
+
+    // Секция панели с оценкой быстрого сканирования и переходом к полному анализу регионов
+    createQuickScanSection() {
+      const { population, sampleSize, strata, regions, rows } = this.state.quickScan;
+      const reliability = QUICK_SCAN.describeReliability(this.state.quickScan);
+
+      const section = document.createElement('div');
+      section.style.cssText = 'padding: 8px 16px; background: #222; border-bottom: 1px solid #444;';
+      SHADOW_PANEL.html(section, `
+        <div style="margin-bottom: 6px;">🎲 Выборка: ${sampleSize} из ${population} текстовых блоков (${strata} слоев: тег × регион × видимость)</div>
+        ${rows.map(row => `
+        <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 11px;">
+          <span style="color: #ccc;">${row.type}</span>
+          <span style="color: #aaa; white-space: nowrap;">${row.found} в выборке → ${QUICK_SCAN.formatEstimate(row)}</span>
+        </div>`).join('')}
+        <div style="color: #888; font-size: 10px; margin: 6px 0;">Оценка числа текстовых блоков на всей странице, 95% интервал</div>
+        ${reliability ? `<div style="color: #ffaa00; font-size: 10px; margin-bottom: 6px;">⚠️ ${reliability}</div>` : ''}
+        ${regions.length > 0 ? `
+        <button id="escalate-quick-scan" style="background:#0066cc;border:none;color:#fff;padding:4px 10px;border-radius:4px;cursor:pointer;font-size:11px;">🔎 Полный анализ регионов с проблемами (${regions.length})</button>` : ''}
+      `);
+
+      const escalateButton = section.querySelector('#escalate-quick-scan');
+      if (escalateButton) {
+        escalateButton.addEventListener('click', () => this.escalateQuickScan());
+      }
+
+      return section;
+    },
+
+    // Секция панели с матрицей прогона ширин
+    createSweepSection() {
+      const { widths, rows, failed } = this.state.sweep;
+      const { maxRows } = this.config.sweep;
+      const scopeLabels = {
+        'mobile-only': '📱 только мобильные',
+        'wide-only': '🖥️ только широкие',
+        partial: '↔️ часть ширин',
+        all: '🌐 все ширины'
+      };
+      const escape = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+      const failedWidths = failed.map(entry => entry.width);
+
+      const section = document.createElement('div');
+      section.style.cssText = 'padding: 8px 16px; background: #222; border-bottom: 1px solid #444; overflow-x: auto;';
+      SHADOW_PANEL.html(section, `
+        <div style="margin-bottom: 6px;">📱 Проблема × ширина (${rows.length})</div>
+        <table style="border-collapse: collapse; font-size: 10px; width: 100%;">
+          <tr>
+            <th></th><th></th>
+            ${widths.map(width => `<th style="padding: 2px 4px; color: ${failedWidths.includes(width) ? '#ff4444' : '#aaa'}; font-weight: normal;">${width}</th>`).join('')}
+            <th></th>
+          </tr>
+          ${rows.slice(0, maxRows).map((row, index) => `
+          <tr data-sweep-row="${index}" style="cursor: pointer;">
+            <td style="padding: 2px 4px; color: ${this.getSeverityColor(row.severity)}; white-space: nowrap;">${row.type}</td>
+            <td style="padding: 2px 4px; color: #ccc; max-width: 140px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escape(row.selector)}">${escape(row.selector)}</td>
+            ${widths.map(width => `<td style="text-align: center; color: ${row.widths[width] ? '#ff0096' : '#555'};" title="${escape(row.widths[width] || '')}">${row.widths[width] ? '✖' : failedWidths.includes(width) ? '?' : '·'}</td>`).join('')}
+            <td style="padding: 2px 4px; color: #888; white-space: nowrap;">${scopeLabels[row.scope]}</td>
+          </tr>`).join('')}
+        </table>
+        ${rows.length > maxRows ? `<div style="color: #888; font-size: 10px; margin-top: 4px;">…еще ${rows.length - maxRows}, полный список - в экспорте</div>` : ''}
+      `);
+
+      // Клик по строке подсвечивает элемент на текущей странице
+      section.querySelectorAll('[data-sweep-row]').forEach(rowElement => {
+        rowElement.addEventListener('click', () => {
+          const element = DEEP_DOM.querySelector(rows[Number(rowElement.dataset.sweepRow)].selector);
+          if (element) {
+            this.highlightElements([element], 0);
+          } else {
+            this.showNotification('🔍 На текущей ширине элемент не найден', 'info');
+          }
+        });
+      });
+
+      return section;
+    },
+
+    // Матрица прогона ширин для отчетов
+    getSweepTable() {
+      return this.state.sweep.rows.map(row => ({
+        Issue: row.type,
+        Element: row.selector,
+        ...Object.fromEntries(this.state.sweep.widths.map(width => [`${width}px`, row.widths[width] ? '✖' : ''])),
+        Scope: row.scope
+      }));
+    },
+
+    // Очистка и завершение работы
+    cleanup() {
+      this.clearHighlights();
+      this.removeBaselineOverlay();
+      SHADOW_PANEL.unmount('typography-analyzer-results');
+    },
+
+    // Отмена текущего анализа или прогона ширин
+    cancelAnalysis() {
+      if (!this.state.analysis) return;
+      this.state.analysis.abort();
+      this.state.analysis = null;
+    },
+
+    // Индикатор прогресса анализа с кнопкой отмены
+    showAnalysisProgress(fraction, label) {
+      const percent = Math.round(fraction * 100);
+      const root = SHADOW_PANEL.getRoot('typography-analyzer-progress');
+      if (root) {
+        root.getElementById('analysis-progress-bar').style.width = `${percent}%`;
+        root.getElementById('analysis-progress-label').textContent = `${label} - ${percent}%`;
+        return;
+      }
+      
+      const container = document.createElement('div');
+      container.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 320px;
+        padding: 12px 16px;
+        background: #1a1a1a;
+        border: 2px solid #333;
+        border-radius: 8px;
+        color: #fff;
+        font-family: 'SF Mono', Consolas, monospace;
+        font-size: 12px;
+        z-index: 10000;
+        box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+      `;
+      SHADOW_PANEL.html(container, `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 8px;">
+          <span id="analysis-progress-label"></span>
+          <button id="analysis-cancel" style="background:#444;border:none;color:#fff;padding:4px 8px;border-radius:4px;cursor:pointer;font-size:11px;">⏹️ Отмена</button>
+        </div>
+        <div style="height: 6px; background: #333; border-radius: 3px; overflow: hidden;">
+          <div id="analysis-progress-bar" style="height: 100%; width: 0; background: #0066cc; transition: width 0.2s ease;"></div>
+        </div>
+      `);
+      container.querySelector('#analysis-cancel').addEventListener('click', () => {
+        this.cancelAnalysis();
+        this.hideAnalysisProgress();
+        this.showNotification('⏹️ Анализ отменен', 'info');
+      });
+      
+      SHADOW_PANEL.mount(container, 'typography-analyzer-progress');
+      this.showAnalysisProgress(fraction, label);
+    },
+
+    hideAnalysisProgress() {
+      SHADOW_PANEL.unmount('typography-analyzer-progress');
+    },
+
+    // Полный цикл анализа текущего документа без интерфейса; onProgress(доля, этап), отмена - через signal.
+    // scan ограничивает анализ выборкой быстрого сканирования или регионами (null - весь документ)
+    async analyze({ auditFonts = true, scan = null, signal = null, onProgress = () => {} } = {}) {
+      // Очищаем предыдущие результаты
+      this.state.fontMap.clear();
+      this.state.textCharCounts.clear();
+      this.state.issues = [];
+      this.state.fixableIssues = [];
+      this.state.typeScale = null;
+      this.state.fontLoading = null;
+      this.state.lineLengths = [];
+      this.state.clippedText = [];
+      this.state.contentLint = [];
+      this.state.rhythmBreaks = [];
+      this.state.styleClusters = [];
+      this.state.tokens = DESIGN_TOKENS.load();
+      this.state.tokenConformance = null;
+      this.state.quickScan = null;
+      this.state.truncatedChecks = [];
+      CSS_RULE_RESOLVER.reset();
+      STYLE_CACHE.reset();
+      DEEP_DOM.reset();
+      
+      // Выборка берется один раз: перезапуски (превью, ритм, токены) проверяют те же элементы
+      if (scan && scan.mode === 'quick' && !scan.sample) {
+        onProgress(0, '🎲 Выборка');
+        const unitSelector = this.config.quickScanUnitSelector;
+        const units = new Set(Array.from(this.collectTextRuns().keys(), element => element.closest(unitSelector) || element));
+        scan.sample = await QUICK_SCAN.sample(Array.from(units), { unitSelector, signal });
+      }
+      
+      DEEP_DOM.setScope(QUICK_SCAN.createScope(scan));
+      try {
+        await this.runChecks({ auditFonts, signal, onProgress });
+      } finally {
+        DEEP_DOM.setScope(null);
+        STYLE_CACHE.releaseProbes();
+      }
+      
+      if (scan && scan.mode === 'quick') {
+        this.state.quickScan = QUICK_SCAN.estimate(scan.sample, this.state.issues);
+      }
+    },
+
+    // Сбор данных и все проверки в текущей области обхода
+    async runChecks({ auditFonts, signal, onProgress }) {
+      // Сбор стилей - основная часть времени, он сам отдает управление браузеру
+      const collectShare = 0.6;
+      onProgress(0, '🔤 Сбор текста');
+      await this.collectTypographyData({
+        signal,
+        onProgress: fraction => onProgress(fraction * collectShare, '🔤 Сбор текста')
+      });
+      this.state.typeScale = this.inferTypeScale();
+      this.state.styleClusters = this.clusterSimilarStyles();
+      // document.fonts описывает только текущую страницу
+      if (auditFonts) {
+        this.state.fontLoading = FONT_LOADING_AUDITOR.audit(this.state.fontMap);
+      }
+      
+      // Проверки по одной: между ними браузер успевает отрисовать кадр
+      const checks = [
+        this.analyzeIssues,
+        this.analyzeStyleClusters,
+        this.analyzeFontLoading,
+        this.analyzeFontSynthesis,
+        this.analyzeLineLength,
+        this.analyzeHeadingProminence,
+        this.analyzeTextWrapping,
+        this.analyzeHyphenation,
+        this.analyzeClippedText,
+        this.config.contentTypography.enabled && this.analyzeContentTypography,
+        this.config.rhythm.enabled && this.analyzeVerticalRhythm,
+        this.state.tokens && this.analyzeTokenConformance,
+        // Размеры по ширинам известны только после прогона
+        this.state.sweep && !this.state.sweepRunning && this.analyzeFluidTypography
+      ].filter(Boolean);
+      
+      for (const [index, check] of checks.entries()) {
+        onProgress(collectShare + (1 - collectShare) * index / checks.length, '🔍 Проверки');
+        await TIME_SLICER.pause(signal);
+        check.call(this);
+      }
+      onProgress(1, '🔍 Проверки');
+    },
+
+    // Главный метод запуска; false - анализ отменен или не начат
+    async run() {
+      if (this.state.sweepRunning) {
+        this.showNotification('⏳ Дождитесь окончания прогона ширин', 'info');
+        return false;
+      }
+      console.log('🚀 Starting Typography Analysis...');
+      
+      this.cancelAnalysis();
+      this.cleanup();
+      const controller = new AbortController();
+      this.state.analysis = controller;
+      if (!this.state.scan) {
+        this.state.scan = { mode: this.config.quickScan ? 'quick' : 'full' };
+      }
+      
+      try {
+        await this.analyze({
+          scan: this.state.scan,
+          signal: controller.signal,
+          onProgress: (fraction, label) => this.showAnalysisProgress(fraction, label)
+        });
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        console.log('⏹️ Typography Analysis cancelled');
+        return false;
+      } finally {
+        // Новый запуск уже заменил индикатор своим
+        if (this.state.analysis === controller) {
+          this.state.analysis = null;
+          this.hideAnalysisProgress();
+        }
+      }
+      
+      // Во время превью панель нужна, даже если правки убрали все проблемы, после выборки - ради перехода к полному анализу
+      if (this.state.issues.length === 0 && !this.state.preview && !this.state.quickScan) {
+        console.log('✅ Typography Analysis Complete: No critical issues found!');
+        this.showNotification('✅ Отличная работа! Критических проблем с типографикой не обнаружено.', 'success');
+        return true;
+      }
+      
+      this.createInteractiveTable();
+      console.log(`📋 Analysis complete. Found ${this.state.issues.length} issues to review.`);
+      return true;
+    },
+
+    // Ошибка запуска из обработчика интерфейса: отмена - не ошибка, остальное - в консоль и уведомление
+    reportRunError(error) {
+      if (error.name === 'AbortError') return;
+      console.error('❌ Typography Analysis failed:', error);
+      this.showNotification(`❌ Анализ не выполнен: ${error.message}`, 'info');
+    },
+
+    // Переключение между быстрым сканированием по новой выборке и полным анализом страницы
+    toggleQuickScan() {
+      this.state.scan = { mode: this.state.scan && this.state.scan.mode === 'full' ? 'quick' : 'full' };
+      this.run().catch(error => this.reportRunError(error));
+    },
+
+    // Полный анализ регионов, в которых выборка нашла проблемы
+    escalateQuickScan() {
+      const { regions } = this.state.quickScan;
+      this.state.scan = { mode: 'regions', regions: new Set(regions) };
+      this.run().catch(error => this.reportRunError(error));
+    }
+  };
+
+
+  // Обход DOM с заходом в открытые shadow root и документы iframe того же origin
+  const DEEP_DOM = {
+    separator: ' >>> ', // граница shadow root / iframe в селекторах и путях
+    ownedAttribute: 'data-analyzer-owned', // метка интерфейса анализаторов: панели, подсветка, уведомления
+
+    state: {
+      roots: null,
+      document: null, // анализируемый документ, если это не текущая страница (iframe прогона ширин)
+      ownedSheets: new WeakSet(), // таблицы стилей анализатора (панели, превью исправлений)
+      scope: null // предикат элементов, которыми ограничен обход (выборка, регионы); null - весь документ
+    },
+
+    // Сброс найденных корней перед новым анализом
+    reset() {
+      this.state.roots = null;
+    },
+
+    // Документ, с которого начинается обход
+    getDocument() {
+      return this.state.document || document;
+    },
+
+    // Переключение обхода на другой документ (null - текущая страница)
+    setDocument(doc) {
+      this.state.document = doc;
+      this.reset();
+    },
+
+    // Корни обхода: документ, открытые shadow root и документы same-origin iframe
+    getRoots() {
+      if (this.state.roots) return this.state.roots;
+
+      const roots = [this.getDocument()];
+      for (let i = 0; i < roots.length; i++) {
+        roots[i].querySelectorAll('*').forEach(element => {
+          // Хосты панелей и служебные iframe помечены сами, вложенных корней у подсветки нет
+          if (element.hasAttribute(this.ownedAttribute)) return;
+          if (element.shadowRoot) {
+            roots.push(element.shadowRoot);
+          }
+          if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+            const frameDocument = this.getFrameDocument(element);
+            if (frameDocument && frameDocument.documentElement) roots.push(frameDocument);
+          }
+        });
+      }
+
+      this.state.roots = roots;
+      return roots;
+    },
+
+    // Документ iframe, если он доступен (тот же origin)
+    getFrameDocument(frame) {
+      try {
+        return frame.contentDocument;
+      } catch (error) {
+        // Кросс-доменный iframe недоступен
+        return null;
+      }
+    },
+
+    // querySelectorAll по всем корням без интерфейса анализаторов и элементов вне области
+    querySelectorAll(selector) {
+      return this.getRoots().flatMap(root => Array.from(root.querySelectorAll(selector))
+        .filter(element => !this.isOwned(element) && this.inScope(element)));
+    },
+
+    // Ограничение обхода: querySelectorAll и обход текста видят только элементы, принятые предикатом
+    setScope(scope) {
+      this.state.scope = scope;
+    },
+
+    inScope(element) {
+      return !this.state.scope || this.state.scope(element);
+    },
+
+    // Пометка узла, созданного анализатором: обход страницы его не видит
+    markOwned(element) {
+      element.setAttribute(this.ownedAttribute, '');
+      return element;
+    },
+
+    // Узел (элемент или текст) внутри интерфейса анализатора
+    isOwned(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return Boolean(element && element.closest(`[${this.ownedAttribute}]`));
+    },
+
+    // Таблица стилей анализатора: не источник значений страницы
+    markOwnedSheet(sheet) {
+      this.state.ownedSheets.add(sheet);
+      return sheet;
+    },
+
+    isOwnedSheet(sheet) {
+      return this.state.ownedSheets.has(sheet) || Boolean(sheet.ownerNode && this.isOwned(sheet.ownerNode));
+    },
+
+    // Обход текстовых узлов без захода в поддеревья анализатора; текст элементов вне области пропускается
+    createTextWalker(root) {
+      const attribute = this.ownedAttribute;
+      return (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: node => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            return this.inScope(node.parentElement) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+          }
+          return node.hasAttribute(attribute) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+      });
+    },
+
+    // Поиск элемента по глубокому селектору: сегменты ищутся в shadow root / документе iframe предыдущего
+    querySelector(selector) {
+      let root = this.getDocument();
+      let element = null;
+
+      for (const segment of selector.split(this.separator)) {
+        if (!root) return null;
+        try {
+          element = root.querySelector(segment);
+        } catch (error) {
+          return null;
+        }
+        if (!element) return null;
+        root = element.shadowRoot || this.getFrameDocument(element);
+      }
+
+      return element;
+    },
+
+    // Узел, с которого начинается обход текста в корне
+    getTextRoot(root) {
+      return root.nodeType === Node.DOCUMENT_NODE ? (root.body || root.documentElement) : root;
+    },
+
+    // Элемент-граница области: shadow host или iframe
+    getBoundary(element) {
+      const root = element.getRootNode();
+      if (root === this.getDocument()) return null;
+      if (root.host) return root.host;
+      const view = root.defaultView;
+      return view && view !== window && view.frameElement ? view.frameElement : null;
+    },
+
+    // Родитель с переходом через shadow host и iframe
+    getParent(element) {
+      if (element.parentElement) return element.parentElement;
+      return this.getBoundary(element);
+    },
+
+    // Прямоугольник элемента в координатах окна анализатора
+    getViewportRect(element) {
+      const rect = element.getBoundingClientRect();
+      let top = rect.top;
+      let left = rect.left;
+      let view = element.ownerDocument.defaultView;
+
+      // Смещение на позицию каждого iframe вверх по цепочке (с рамкой и padding)
+      while (view && view !== window && view.frameElement) {
+        const frame = view.frameElement;
+        const frameRect = frame.getBoundingClientRect();
+        const frameStyle = getComputedStyle(frame);
+        top += frameRect.top + frame.clientTop + parseFloat(frameStyle.paddingTop);
+        left += frameRect.left + frame.clientLeft + parseFloat(frameStyle.paddingLeft);
+        view = frame.ownerDocument.defaultView;
+      }
+
+      return { top, left, width: rect.width, height: rect.height, right: left + rect.width, bottom: top + rect.height };
+    },
+
+    // Селектор через границы: цепочка селекторов host/iframe, соединенных >>>
+    buildSelector(element, localSelector) {
+      const segments = [localSelector(element)];
+      let boundary = this.getBoundary(element);
+      while (boundary) {
+        segments.unshift(localSelector(boundary));
+        boundary = this.getBoundary(boundary);
+      }
+      return segments.join(this.separator);
+    },
+
+    // Последний сегмент глубокого селектора - валидный CSS внутри своей области
+    splitSelector(selector) {
+      const segments = selector.split(this.separator);
+      return { scope: segments.slice(0, -1).join(this.separator), local: segments[segments.length - 1] };
+    }
+  };
+
+
+  // Аудит загрузки веб-шрифтов через document.fonts
+  const FONT_LOADING_AUDITOR = {
+    config: {
+      genericFamilies: [
+        'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'math', 'emoji', 'fangsong',
+        'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', '-apple-system', 'blinkmacsystemfont'
+      ],
+      blockingDisplays: ['auto', 'block'], // font-display, при которых текст невидим во время загрузки
+      testString: 'mmmmmmmmmmlli10WЖШщ',
+      testSize: '72px'
+    },
+
+    state: {
+      faces: [],
+      availabilityCache: new Map(),
+      canvas: null
+    },
+
+    // Нормализация имени семейства: без кавычек, в нижнем регистре
+    normalizeFamily(family) {
+      return family.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+    },
+
+    // Разбор значения font-family в список семейств
+    parseFamilyList(fontFamily) {
+      return fontFamily.split(',').map(family => this.normalizeFamily(family)).filter(Boolean);
+    },
+
+    // Нормализация font-weight к числу (или диапазону "min max")
+    normalizeWeight(weight) {
+      const keywords = { normal: '400', bold: '700', '': '400' };
+      return keywords[weight] || String(weight);
+    },
+
+    // Все @font-face из доступных таблиц стилей
+    collectFontFaceRules() {
+      const rules = [];
+      Array.from(document.styleSheets).forEach(sheet => {
+        let cssRules;
+        try {
+          cssRules = sheet.cssRules;
+        } catch (error) {
+          // Кросс-доменные таблицы недоступны через CSSOM
+          return;
+        }
+        this.walkFontFaceRules(cssRules, sheet.href || '(inline <style>)', rules);
+      });
+      return rules;
+    },
+
+    // Рекурсивный обход правил (@media, @supports, @layer)
+    walkFontFaceRules(cssRules, href, rules) {
+      Array.from(cssRules || []).forEach(rule => {
+        if (rule.type === CSSRule.FONT_FACE_RULE) {
+          rules.push({
+            family: this.normalizeFamily(rule.style.getPropertyValue('font-family')),
+            weight: this.normalizeWeight(rule.style.getPropertyValue('font-weight').trim()),
+            style: rule.style.getPropertyValue('font-style').trim() || 'normal',
+            display: rule.style.getPropertyValue('font-display').trim() || 'auto',
+            src: rule.style.getPropertyValue('src').trim(),
+            stylesheet: href
+          });
+        } else if (rule.cssRules) {
+          this.walkFontFaceRules(rule.cssRules, href, rules);
+        }
+      });
+    },
+
+    // Список всех FontFace со статусом загрузки и font-display
+    collectFontFaces() {
+      if (!document.fonts) return [];
+
+      const rules = this.collectFontFaceRules();
+      const faces = [];
+
+      document.fonts.forEach(face => {
+        const family = this.normalizeFamily(face.family);
+        const weight = this.normalizeWeight(face.weight);
+        const rule = rules.find(r => r.family === family && r.weight === weight && r.style === face.style) ||
+                     rules.find(r => r.family === family);
+
+        faces.push({
+          family,
+          displayName: face.family.replace(/['"]/g, ''),
+          weight,
+          style: face.style,
+          status: face.status,
+          display: face.display || rule?.display || 'auto',
+          src: rule?.src || null,
+          stylesheet: rule?.stylesheet || '(FontFace API)',
+          face
+        });
+      });
+
+      this.state.faces = faces;
+      return faces;
+    },
+
+    // Доступность локального (не объявленного через @font-face) семейства
+    isFamilyAvailable(family) {
+      if (this.config.genericFamilies.includes(family)) return true;
+      if (this.state.availabilityCache.has(family)) {
+        return this.state.availabilityCache.get(family);
+      }
+
+      if (!this.state.canvas) {
+        this.state.canvas = document.createElement('canvas');
+      }
+      const context = this.state.canvas.getContext('2d');
+      const { testString, testSize } = this.config;
+
+      // Если ширина текста отличается от базового generic-шрифта, семейство установлено
+      const available = ['monospace', 'serif', 'sans-serif'].some(base => {
+        context.font = `${testSize} ${base}`;
+        const baseWidth = context.measureText(testString).width;
+        context.font = `${testSize} "${family}", ${base}`;
+        return context.measureText(testString).width !== baseWidth;
+      });
+
+      this.state.availabilityCache.set(family, available);
+      return available;
+    },
+
+    // Определение семейства, которым фактически рендерится текст с данными жирностью и стилем
+    resolveRenderedFamily(stack, faces, { weight = 400, style = 'normal' } = {}) {
+      const skipped = [];
+
+      for (const family of stack) {
+        if (this.config.genericFamilies.includes(family)) {
+          return { family, generic: true, skipped };
+        }
+
+        const familyFaces = faces.filter(face => face.family === family);
+        if (familyFaces.length > 0) {
+          // Браузер берет начертание, подобранное по стилю и жирности (со всеми его unicode-range), а не любое из семейства
+          const styleMatch = this.matchFaceStyle(style, familyFaces);
+          const weightMatch = this.matchFaceWeight(weight, styleMatch.faces);
+          const matchedFaces = weightMatch ? styleMatch.faces.filter(face => {
+            const [min, max] = this.parseWeightRange(face.weight);
+            return weightMatch.weight >= min && weightMatch.weight <= max;
+          }) : [];
+
+          if (matchedFaces.some(face => face.status === 'loaded')) {
+            return { family, generic: false, skipped };
+          }
+          // Ждет загрузки только loading: unloaded - объявленное, но не запрошенное начертание
+          let reason = 'unloaded';
+          if (matchedFaces.some(face => face.status === 'loading')) {
+            reason = 'loading';
+          } else if (matchedFaces.length > 0 && matchedFaces.every(face => face.status === 'error')) {
+            reason = 'failed';
+          }
+          skipped.push({ family, reason });
+          continue;
+        }
+
+        if (this.isFamilyAvailable(family)) {
+          return { family, generic: false, skipped };
+        }
+        skipped.push({ family, reason: 'not-available' });
+      }
+
+      // Стек исчерпан - браузер использует шрифт по умолчанию
+      return { family: null, generic: true, skipped };
+    },
+
+    // Полный аудит по собранной карте шрифтов
+    audit(fontMap) {
+      const faces = this.collectFontFaces();
+      const usedFamilies = new Map();
+      const fallbacks = [];
+
+      fontMap.forEach(({ metrics, elements, charCount }) => {
+        const stack = this.parseFamilyList(metrics.fontFamily);
+
+        stack.forEach(family => {
+          if (!usedFamilies.has(family)) {
+            usedFamilies.set(family, { elements: [], charCount: 0 });
+          }
+          const usage = usedFamilies.get(family);
+          usage.elements.push(...elements);
+          usage.charCount += charCount || 0;
+        });
+
+        const resolution = this.resolveRenderedFamily(stack, faces, this.getRequestedFace(metrics));
+        if (resolution.skipped.length > 0 && resolution.skipped[0].family === stack[0]) {
+          fallbacks.push({
+            fontFamily: metrics.fontFamily,
+            primary: stack[0],
+            reason: resolution.skipped[0].reason,
+            renderedWith: resolution.family || '(шрифт браузера по умолчанию)',
+            generic: resolution.generic,
+            elements,
+            charCount: charCount || 0
+          });
+        }
+      });
+
+      return {
+        faces,
+        usedFamilies,
+        fallbacks,
+        synthesized: this.detectSynthesis(fontMap, faces),
+        unusedFaces: faces.filter(face => !usedFamilies.has(face.family)),
+        blockingFaces: faces.filter(face =>
+          usedFamilies.has(face.family) && this.config.blockingDisplays.includes(face.display))
+      };
+    },
+
+    // Жирность и стиль, с которыми набран текст комбинации
+    getRequestedFace(metrics) {
+      return {
+        weight: parseInt(this.normalizeWeight(metrics.fontWeight), 10) || 400,
+        style: metrics.fontStyle || 'normal'
+      };
+    },
+
+    // Диапазон начертаний FontFace: "700" -> [700, 700], "100 900" -> [100, 900]
+    parseWeightRange(weight) {
+      const values = this.normalizeWeight(weight).split(/\s+/).map(Number);
+      return [values[0], values[values.length - 1]];
+    },
+
+    // Подбор начертания по алгоритму CSS Fonts (font-weight matching)
+    matchFaceWeight(desired, faces) {
+      const ranges = faces.map(face => ({ face, range: this.parseWeightRange(face.weight) }));
+      const exact = ranges.find(({ range }) => desired >= range[0] && desired <= range[1]);
+      if (exact) return { face: exact.face, weight: desired };
+
+      const above = ranges.filter(({ range }) => range[0] > desired).sort((a, b) => a.range[0] - b.range[0]);
+      const below = ranges.filter(({ range }) => range[1] < desired).sort((a, b) => b.range[1] - a.range[1]);
+      const pick = entry => entry && { face: entry.face, weight: entry.range[0] > desired ? entry.range[0] : entry.range[1] };
+
+      if (desired >= 400 && desired <= 500) {
+        const upTo500 = above.find(({ range }) => range[0] <= 500);
+        return pick(upTo500 || below[0] || above[0]);
+      }
+      if (desired < 400) {
+        return pick(below[0] || above[0]);
+      }
+      return pick(above[0] || below[0]);
+    },
+
+    // Подбор начертания по font-style: italic -> oblique -> normal
+    matchFaceStyle(desired, faces) {
+      const preferences = {
+        italic: ['italic', 'oblique', 'normal'],
+        oblique: ['oblique', 'italic', 'normal'],
+        normal: ['normal', 'oblique', 'italic']
+      };
+      const order = preferences[desired.split(' ')[0]] || preferences.normal;
+      for (const style of order) {
+        const matching = faces.filter(face => face.style.split(' ')[0] === style);
+        if (matching.length > 0) return { style, faces: matching };
+      }
+      return { style: 'normal', faces };
+    },
+
+    // Поиск синтезированных (faux) bold и italic
+    detectSynthesis(fontMap, faces) {
+      const results = [];
+
+      fontMap.forEach(({ metrics, elements, charCount }) => {
+        const stack = this.parseFamilyList(metrics.fontFamily);
+        const resolution = this.resolveRenderedFamily(stack, faces, this.getRequestedFace(metrics));
+        if (!resolution.family || resolution.generic) return;
+
+        // Сравниваем только с загруженными начертаниями веб-шрифта
+        const loadedFaces = faces.filter(face => face.family === resolution.family && face.status === 'loaded');
+        if (loadedFaces.length === 0) return;
+
+        const requestedWeight = parseInt(this.normalizeWeight(metrics.fontWeight), 10);
+        const requestedStyle = metrics.fontStyle || 'normal';
+        const styleMatch = this.matchFaceStyle(requestedStyle, loadedFaces);
+        const weightMatch = this.matchFaceWeight(requestedWeight, styleMatch.faces);
+        if (!weightMatch) return;
+
+        const synthesis = metrics.fontSynthesis || 'weight style';
+        const canSynthesizeWeight = synthesis.includes('weight');
+        const canSynthesizeStyle = synthesis.includes('style');
+
+        // Браузер дорисовывает жирность, если запрошено 600+ а найденное начертание легче
+        const weightMissing = requestedWeight >= 600 && weightMatch.weight < 600;
+        const styleMissing = requestedStyle !== 'normal' && styleMatch.style === 'normal';
+        if (!weightMissing && !styleMissing) return;
+
+        results.push({
+          fontFamily: metrics.fontFamily,
+          family: loadedFaces[0].displayName,
+          requestedWeight,
+          requestedStyle,
+          matchedWeight: weightMatch.weight,
+          matchedStyle: styleMatch.style,
+          fauxBold: weightMissing && canSynthesizeWeight,
+          fauxItalic: styleMissing && canSynthesizeStyle,
+          synthesisDisabled: (weightMissing && !canSynthesizeWeight) || (styleMissing && !canSynthesizeStyle),
+          availableFaces: loadedFaces.map(face => `${face.weight} ${face.style}`),
+          elements,
+          charCount: charCount || 0
+        });
+      });
+
+      return results;
+    },
+
+    // Таблица @font-face для консоли и экспорта
+    getFacesTable(faces = this.state.faces) {
+      return faces.map(face => ({
+        Family: face.displayName,
+        Weight: face.weight,
+        Style: face.style,
+        Status: face.status,
+        Display: face.display,
+        Source: face.stylesheet
+      }));
+    }
+  };
+
+  // Поиск CSS-правила, из которого элемент получает значение свойства
+  const CSS_RULE_RESOLVER = {
+    config: {
+      inheritedProperties: [
+        'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'font-stretch',
+        'font-synthesis', 'line-height', 'letter-spacing', 'word-spacing', 'text-transform',
+        'text-align', 'text-indent', 'hyphens', 'overflow-wrap', 'word-break', 'text-wrap',
+        'white-space', 'color'
+      ],
+      legacyPseudoElements: ['before', 'after', 'first-line', 'first-letter'],
+      maxInheritanceDepth: 20
+    },
+
+    state: {
+      scopes: new Map(), // Корень (документ или shadow root) -> { rules, layerOrder, byProperty }
+      cache: new Map(),
+      winners: new Map() // Элемент -> Map(свойство -> победившее объявление); предки общие для многих элементов
+    },
+
+    // Сброс кэша перед новым анализом
+    reset() {
+      this.state.scopes = new Map();
+      this.state.cache = new Map();
+      this.state.winners = new Map();
+    },
+
+    // Сбор style-правил таблиц стилей корня: документа, iframe или shadow root
+    collectRules(root) {
+      if (this.state.scopes.has(root)) return this.state.scopes.get(root);
+
+      const scope = { rules: [], layerOrder: [], byProperty: new Map() };
+      const view = root.defaultView || (root.host ? root.host.ownerDocument.defaultView : window);
+      const scopeLabel = root.host ? `<${root.host.tagName.toLowerCase()}> shadow ` : '';
+      const sheets = [...Array.from(root.styleSheets || []), ...Array.from(root.adoptedStyleSheets || [])];
+
+      sheets.forEach(sheet => {
+        if (sheet.disabled || DEEP_DOM.isOwnedSheet(sheet)) return;
+        if (sheet.media && sheet.media.mediaText && !view.matchMedia(sheet.media.mediaText).matches) return;
+
+        let cssRules;
+        try {
+          cssRules = sheet.cssRules;
+        } catch (error) {
+          // Кросс-доменные таблицы недоступны через CSSOM
+          return;
+        }
+
+        const href = sheet.href || `${scopeLabel}${sheet.ownerNode ? '(inline <style>)' : '(adoptedStyleSheets)'}`;
+        const context = { href, view, scope, media: [], layer: null, parentSelector: null };
+        if (sheet.media && sheet.media.mediaText) context.media.push(sheet.media.mediaText);
+        this.walkRules(cssRules, context, scope.rules);
+      });
+
+      this.state.scopes.set(root, scope);
+      return scope;
+    },
+
+    // Рекурсивный обход с учетом @media, @supports, @layer, @import и вложенности
+    walkRules(cssRules, context, rules) {
+      Array.from(cssRules || []).forEach(rule => {
+        if (rule.type === CSSRule.STYLE_RULE) {
+          const selector = this.resolveNestedSelector(rule.selectorText, context.parentSelector);
+          rules.push({
+            selector,
+            authoredSelector: rule.selectorText,
+            nested: Boolean(context.parentSelector),
+            style: rule.style,
+            href: context.href,
+            media: [...context.media],
+            layer: context.layer,
+            order: rules.length
+          });
+          if (rule.cssRules && rule.cssRules.length > 0) {
+            this.walkRules(rule.cssRules, { ...context, parentSelector: selector }, rules);
+          }
+        } else if (rule.type === CSSRule.MEDIA_RULE) {
+          if (!context.view.matchMedia(rule.media.mediaText).matches) return;
+          this.walkRules(rule.cssRules, { ...context, media: [...context.media, `@media ${rule.media.mediaText}`] }, rules);
+        } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+          if (!CSS.supports(rule.conditionText)) return;
+          this.walkRules(rule.cssRules, { ...context, media: [...context.media, `@supports ${rule.conditionText}`] }, rules);
+        } else if (rule.type === CSSRule.IMPORT_RULE) {
+          if (!rule.styleSheet) return;
+          if (rule.media && rule.media.mediaText && !context.view.matchMedia(rule.media.mediaText).matches) return;
+          let importedRules;
+          try {
+            importedRules = rule.styleSheet.cssRules;
+          } catch (error) {
+            return;
+          }
+          const layer = rule.layerName !== null && rule.layerName !== undefined ? this.registerLayer(rule.layerName, context.layer, context.scope) : context.layer;
+          this.walkRules(importedRules, { ...context, href: rule.styleSheet.href || context.href, layer }, rules);
+        } else if (window.CSSLayerStatementRule && rule instanceof CSSLayerStatementRule) {
+          Array.from(rule.nameList).forEach(name => this.registerLayer(name, context.layer, context.scope));
+        } else if (window.CSSLayerBlockRule && rule instanceof CSSLayerBlockRule) {
+          this.walkRules(rule.cssRules, { ...context, layer: this.registerLayer(rule.name, context.layer, context.scope) }, rules);
+        } else if (window.CSSContainerRule && rule instanceof CSSContainerRule) {
+          // Условие контейнера из CSSOM не вычислить - считаем, что правило может применяться
+          this.walkRules(rule.cssRules, { ...context, media: [...context.media, `@container ${rule.conditionText}`] }, rules);
+        }
+      });
+    },
+
+    // Регистрация слоя: порядок первого объявления определяет приоритет
+    registerLayer(name, parentLayer, scope) {
+      const fullName = [parentLayer, name || `(anonymous ${scope.layerOrder.length})`].filter(Boolean).join('.');
+      if (!scope.layerOrder.includes(fullName)) {
+        scope.layerOrder.push(fullName);
+      }
+      return fullName;
+    },
+
+    // Вложенный CSS: & заменяем на :is(родитель), иначе правило - потомок родителя
+    resolveNestedSelector(selectorText, parentSelector) {
+      if (!parentSelector) return selectorText;
+      return this.splitSelectorList(selectorText)
+        .map(part => part.includes('&') ? part.replace(/&/g, `:is(${parentSelector})`) : `:is(${parentSelector}) ${part}`)
+        .join(', ');
+    },
+
+    // Разбиение списка селекторов по запятым верхнего уровня
+    splitSelectorList(selectorText) {
+      const parts = [];
+      let depth = 0;
+      let current = '';
+
+      for (const char of selectorText) {
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+        if (char === ',' && depth === 0) {
+          parts.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      if (current.trim()) parts.push(current.trim());
+      return parts;
+    },
+
+    // Специфичность сложного селектора [id, класс, тип] по Selectors Level 4
+    calculateSpecificity(selector) {
+      const specificity = [0, 0, 0];
+      const add = other => other.forEach((value, index) => { specificity[index] += value; });
+      const maxOf = list => this.splitSelectorList(list)
+        .map(part => this.calculateSpecificity(part))
+        .reduce((max, current) => this.compareSpecificity(current, max) > 0 ? current : max, [0, 0, 0]);
+
+      let rest = selector.replace(/\\./g, 'x').replace(/"[^"]*"|'[^']*'/g, '""');
+
+      // Функциональные псевдоклассы с вложенными селекторами
+      const functional = /:(is|not|has|where|matches|-webkit-any|nth-child|nth-last-child)\(/i;
+      let match;
+      while ((match = rest.match(functional))) {
+        const start = match.index + match[0].length;
+        let depth = 1;
+        let end = start;
+        while (end < rest.length && depth > 0) {
+          if (rest[end] === '(') depth++;
+          if (rest[end] === ')') depth--;
+          end++;
+        }
+        const argument = rest.slice(start, end - 1);
+        const name = match[1].toLowerCase();
+
+        if (name === 'nth-child' || name === 'nth-last-child') {
+          specificity[1]++;
+          const ofSelector = argument.match(/\sof\s(.+)$/i);
+          if (ofSelector) add(maxOf(ofSelector[1]));
+        } else if (name !== 'where') {
+          add(maxOf(argument));
+        }
+        rest = rest.slice(0, match.index) + ' ' + rest.slice(end);
+      }
+
+      const count = (pattern, index) => {
+        rest = rest.replace(pattern, () => {
+          specificity[index]++;
+          return ' ';
+        });
+      };
+
+      count(/\[[^\]]*\]/g, 1);
+      count(/::[\w-]+(\([^)]*\))?/g, 2);
+      count(new RegExp(`:(${this.config.legacyPseudoElements.join('|')})(?![\\w-])`, 'gi'), 2);
+      count(/:[\w-]+(\([^)]*\))?/g, 1);
+      count(/#[\w-]+/g, 0);
+      count(/\.[\w-]+/g, 1);
+      count(/(^|[\s>+~|])[a-zA-Z][\w-]*/g, 2);
+
+      return specificity;
+    },
+
+    // Сравнение специфичностей: > 0, если первая сильнее
+    compareSpecificity(a, b) {
+      for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return 0;
+    },
+
+    // Наибольшая специфичность среди селекторов списка, совпавших с элементом
+    getMatchedSpecificity(element, selector) {
+      let best = null;
+      this.splitSelectorList(selector).forEach(part => {
+        let matches = false;
+        try {
+          matches = element.pseudo ? this.matchesPseudo(element, part) : element.matches(part);
+        } catch (error) {
+          // Селекторы, не поддерживаемые matches (например, с псевдоэлементами)
+          return;
+        }
+        if (!matches) return;
+        const specificity = this.calculateSpecificity(part);
+        if (!best || this.compareSpecificity(specificity, best.specificity) > 0) {
+          best = { selector: part, specificity };
+        }
+      });
+      return best;
+    },
+
+    // Селектор псевдоэлемента: хозяин совпадает с частью до ::before / :before
+    matchesPseudo(target, part) {
+      const name = target.pseudo.slice(2);
+      const match = part.match(new RegExp(`::?${name}\\s*$`, 'i'));
+      if (!match) return false;
+      const hostSelector = part.slice(0, match.index).trim() || '*';
+      return target.host.matches(hostSelector);
+    },
+
+    // Ранг слоя в каскаде: для !important порядок слоев обратный
+    getLayerRank(layer, important, layerOrder) {
+      const index = layerOrder.indexOf(layer);
+      if (important) return layer ? layerOrder.length - index : 0;
+      return layer ? index : layerOrder.length;
+    },
+
+    // Сравнение двух объявлений по каскаду: > 0, если первое побеждает
+    compareDeclarations(a, b) {
+      if (a.important !== b.important) return a.important ? 1 : -1;
+      if (a.inline !== b.inline) return a.inline ? 1 : -1;
+      const layerDiff = a.layerRank - b.layerRank;
+      if (layerDiff !== 0) return layerDiff;
+      const specificityDiff = this.compareSpecificity(a.specificity, b.specificity);
+      if (specificityDiff !== 0) return specificityDiff;
+      return a.order - b.order;
+    },
+
+    // Правила корня, объявляющие свойство: индекс строится при первом запросе свойства
+    getRulesFor(scope, property) {
+      if (!scope.byProperty.has(property)) {
+        scope.byProperty.set(property, scope.rules.filter(rule => rule.style.getPropertyValue(property)));
+      }
+      return scope.byProperty.get(property);
+    },
+
+    // Объявление свойства, победившее в каскаде для самого элемента
+    findWinningDeclaration(element, property) {
+      if (!this.state.winners.has(element)) this.state.winners.set(element, new Map());
+      const elementWinners = this.state.winners.get(element);
+      if (!elementWinners.has(property)) {
+        elementWinners.set(property, this.computeWinningDeclaration(element, property));
+      }
+      return elementWinners.get(property);
+    },
+
+    // Сравнение inline-стиля и всех правил корня, объявляющих свойство
+    computeWinningDeclaration(element, property) {
+      let winner = null;
+      const consider = candidate => {
+        if (!winner || this.compareDeclarations(candidate, winner) > 0) winner = candidate;
+      };
+
+      const inlineValue = element.style ? element.style.getPropertyValue(property) : '';
+      if (inlineValue) {
+        consider({
+          type: 'inline',
+          selector: null,
+          href: null,
+          value: inlineValue.trim(),
+          important: element.style.getPropertyPriority(property) === 'important',
+          inline: true,
+          layer: null,
+          media: [],
+          specificity: null,
+          layerRank: 0,
+          order: Infinity
+        });
+      }
+
+      const scope = this.collectRules(element.getRootNode());
+      this.getRulesFor(scope, property).forEach(rule => {
+        const value = rule.style.getPropertyValue(property);
+        const matched = this.getMatchedSpecificity(element, rule.selector);
+        if (!matched) return;
+
+        consider({
+          type: 'rule',
+          selector: rule.authoredSelector,
+          matchedSelector: matched.selector,
+          nested: rule.nested,
+          href: rule.href,
+          value: value.trim(),
+          important: rule.style.getPropertyPriority(property) === 'important',
+          inline: false,
+          layer: rule.layer,
+          media: rule.media,
+          specificity: matched.specificity,
+          layerRank: this.getLayerRank(rule.layer, rule.style.getPropertyPriority(property) === 'important', scope.layerOrder),
+          order: rule.order
+        });
+      });
+
+      return winner;
+    },
+
+    // Источник значения: правило, inline-стиль, наследование или значение по умолчанию
+    resolve(element, property) {
+      if (!element || !CSS.supports(property, 'inherit')) return null;
+
+      if (!this.state.cache.has(element)) this.state.cache.set(element, new Map());
+      const elementCache = this.state.cache.get(element);
+      if (elementCache.has(property)) return elementCache.get(property);
+
+      let source = null;
+      let current = element;
+      const inherits = this.config.inheritedProperties.includes(property);
+
+      for (let depth = 0; current && depth <= this.config.maxInheritanceDepth; depth++) {
+        const winner = this.findWinningDeclaration(current, property);
+        const defersToParent = winner && (winner.value === 'inherit' || (winner.value === 'unset' && inherits));
+
+        if (winner && !defersToParent) {
+          source = { ...winner, property, inheritedFrom: current === element ? null : current };
+          break;
+        }
+        if (!inherits && !defersToParent) break;
+        // Наследование проходит через shadow host, но не через iframe
+        current = current.parentElement || (current.parentNode && current.parentNode.host) || null;
+      }
+
+      if (!source) {
+        source = { type: 'default', property, value: null, selector: null, href: null, inheritedFrom: null };
+      } else if (source.inheritedFrom) {
+        source.type = 'inherited';
+      }
+
+      elementCache.set(property, source);
+      return source;
+    },
+
+    // Короткое имя файла таблицы стилей
+    shortHref(href) {
+      if (!href || href.startsWith('(')) return href;
+      return href.split(/[?#]/)[0].split('/').pop() || href;
+    },
+
+    // Краткое описание для панели: файл → селектор {специфичность} @media @layer
+    describe(source) {
+      if (!source) return '';
+      if (source.type === 'default') return `${source.property}: значение по умолчанию`;
+
+      const parts = [];
+      if (source.inheritedFrom) {
+        parts.push(`унаследовано от ${source.inheritedFrom.tagName.toLowerCase()}:`);
+      }
+      if (source.inline) {
+        parts.push('style="…" (inline)');
+      } else {
+        parts.push(`${this.shortHref(source.href)} → ${source.selector} {${source.specificity.join(',')}}`);
+      }
+      if (source.media.length > 0) parts.push(source.media.join(' '));
+      if (source.layer) parts.push(`@layer ${source.layer}`);
+      if (source.important) parts.push('!important');
+      return parts.join(' ');
+    },
+
+    // Сериализация источника для JSON-отчета
+    serialize(source) {
+      if (!source) return null;
+      return {
+        property: source.property,
+        type: source.type,
+        value: source.value,
+        stylesheet: source.href,
+        selector: source.selector,
+        specificity: source.specificity ? source.specificity.join(',') : null,
+        conditions: source.media || [],
+        layer: source.layer || null,
+        important: Boolean(source.important),
+        inheritedFrom: source.inheritedFrom ? TYPOGRAPHY_ANALYZER.getElementPath(source.inheritedFrom) : null
+      };
+    }
+  };
+
+  // Текст, который рисуют псевдоэлементы: ::before, ::after, ::marker, ::placeholder, ::first-line
+  const PSEUDO_TEXT = {
+    config: {
+      pseudos: ['::before', '::after', '::marker', '::placeholder', '::first-line'],
+      // Свойства, по которым ::first-line отличается от самого блока
+      firstLineProperties: ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'textTransform', 'color'],
+      firstLineDisplays: ['block', 'list-item', 'flow-root', 'table-cell', 'inline-block'],
+      bulletStyles: ['disc', 'circle', 'square', 'disclosure-open', 'disclosure-closed'],
+      maxElements: 5000
+    },
+
+    state: {
+      truncated: 0 // элементов последнего сбора сверх maxElements: их псевдоэлементы не проверены
+    },
+
+    // Псевдоэлемент как цель проверки: ведет себя как элемент-хозяин, но несет свой текст
+    createTarget(host, pseudo, text) {
+      return {
+        host,
+        pseudo,
+        tagName: host.tagName,
+        className: host.className,
+        id: host.id,
+        textContent: text,
+        ownerDocument: host.ownerDocument,
+        parentElement: host, // псевдоэлемент наследует стили хозяина
+        getRootNode: () => host.getRootNode(),
+        getBoundingClientRect: () => host.getBoundingClientRect(),
+        getClientRects: () => host.getClientRects(),
+        scrollIntoView: options => host.scrollIntoView(options),
+        hasAttribute: name => host.hasAttribute(name),
+        getAttribute: name => host.getAttribute(name)
+      };
+    },
+
+    // Текст из свойства content: строки, attr() и счетчики
+    getContentText(host, style) {
+      const content = style.content;
+      if (!content || content === 'none' || content === 'normal') return '';
+
+      const parts = [];
+      content.replace(/"((?:[^"\\]|\\.)*)"|attr\(\s*([\w-]+)\s*\)|counters?\([^)]*\)/g, (match, string, attribute) => {
+        if (string !== undefined) {
+          parts.push(string.replace(/\\(.)/g, '$1'));
+        } else if (attribute) {
+          parts.push(host.getAttribute(attribute) || '');
+        } else {
+          parts.push('1');
+        }
+        return match;
+      });
+
+      // Символы Private Use Area - иконки из шрифтов, а не текст
+      return parts.join('').replace(/[\uE000-\uF8FF]/g, '').trim();
+    },
+
+    // Текст маркера списка
+    getMarkerText(host, style, hostStyle) {
+      if (hostStyle.display !== 'list-item') return '';
+      const contentText = this.getContentText(host, style);
+      if (contentText) return contentText;
+      if (hostStyle.listStyleType === 'none' || hostStyle.listStyleImage !== 'none') return '';
+      if (this.config.bulletStyles.includes(hostStyle.listStyleType)) return '•';
+      const index = Array.from(host.parentElement ? host.parentElement.children : [host]).indexOf(host) + 1;
+      return `${index}.`;
+    },
+
+    // ::first-line учитывается, только если его стиль отличается от блока
+    getFirstLineText(host, style, hostStyle) {
+      if (!this.config.firstLineDisplays.includes(hostStyle.display)) return '';
+      const differs = this.config.firstLineProperties.some(property => style[property] !== hostStyle[property]);
+      if (!differs) return '';
+      const hasOwnText = Array.from(host.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim());
+      return hasOwnText ? host.textContent.replace(/\s+/g, ' ').trim().substring(0, 80) : '';
+    },
+
+    // Видимый текст псевдоэлемента
+    getText(host, pseudo, style, hostStyle) {
+      switch (pseudo) {
+        case '::before':
+        case '::after':
+          return style.display === 'none' ? '' : this.getContentText(host, style);
+        case '::marker':
+          return this.getMarkerText(host, style, hostStyle);
+        case '::placeholder':
+          return (host.tagName === 'INPUT' || host.tagName === 'TEXTAREA') && !host.value
+            ? (host.getAttribute('placeholder') || '').trim()
+            : '';
+        case '::first-line':
+          return this.getFirstLineText(host, style, hostStyle);
+        default:
+          return '';
+      }
+    },
+
+    // Сбор псевдоэлементов с текстом порциями: [{ target, style, hostStyle }]
+    async collect(elements, { signal = null, onProgress = null } = {}) {
+      const results = [];
+      const hosts = Array.from(elements);
+      this.state.truncated = Math.max(0, hosts.length - this.config.maxElements);
+
+      await TIME_SLICER.forEach(hosts.slice(0, this.config.maxElements), host => {
+        if (host.getClientRects().length === 0) return;
+        const hostStyle = STYLE_CACHE.get(host);
+        if (hostStyle.visibility === 'hidden' || hostStyle.display === 'none') return;
+
+        this.config.pseudos.forEach(pseudo => {
+          if (pseudo === '::placeholder' && !host.hasAttribute('placeholder')) return;
+          const style = STYLE_CACHE.get(host, pseudo);
+          const text = this.getText(host, pseudo, style, hostStyle);
+          if (!text) return;
+          results.push({ target: this.createTarget(host, pseudo, text), style, hostStyle });
+        });
+      }, { signal, onProgress });
+
+      return results;
+    }
+  };
+
+
+  // Дизайн-токены типографики (W3C DTCG и Style Dictionary)
+  const DESIGN_TOKENS = {
+    config: {
+      storageKey: 'typography-analyzer:design-tokens',
+      tolerance: 0.5, // px, допустимое расхождение размеров с токеном
+      kinds: {
+        fontFamily: 'font-family',
+        fontSize: 'font-size',
+        fontWeight: 'font-weight',
+        lineHeight: 'line-height',
+        letterSpacing: 'letter-spacing'
+      },
+      // Типы токенов DTCG / Tokens Studio
+      typeAliases: {
+        fontFamily: 'fontFamily', fontFamilies: 'fontFamily',
+        fontSize: 'fontSize', fontSizes: 'fontSize',
+        fontWeight: 'fontWeight', fontWeights: 'fontWeight',
+        lineHeight: 'lineHeight', lineHeights: 'lineHeight',
+        letterSpacing: 'letterSpacing'
+      },
+      weightKeywords: {
+        thin: 100, hairline: 100, 'extra-light': 200, 'ultra-light': 200, light: 300,
+        normal: 400, regular: 400, book: 400, medium: 500, 'semi-bold': 600, 'demi-bold': 600,
+        bold: 700, 'extra-bold': 800, 'ultra-bold': 800, black: 900, heavy: 900
+      }
+    },
+
+    // Преобразование имени в kebab-case: fontSize -> font-size
+    toKebab(name) {
+      return String(name).replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[\s_.]+/g, '-').toLowerCase();
+    },
+
+    // Разбор JSON токенов в списки по типографским свойствам
+    parse(json) {
+      const flat = new Map();
+      const walk = (node, path, inheritedType) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+        const type = node.$type || node.type || inheritedType;
+
+        if ('$value' in node || 'value' in node) {
+          flat.set(path.join('.'), { path, type, value: '$value' in node ? node.$value : node.value });
+          return;
+        }
+
+        Object.entries(node).forEach(([key, child]) => {
+          if (key.startsWith('$')) return;
+          walk(child, [...path, key], type);
+        });
+      };
+      walk(json, [], null);
+
+      const tokens = { fontFamily: [], fontSize: [], fontWeight: [], lineHeight: [], letterSpacing: [] };
+      flat.forEach(token => this.classify(token, flat, tokens));
+
+      // Ссылки на один и тот же токен не дублируем
+      Object.keys(tokens).forEach(kind => {
+        tokens[kind] = tokens[kind].filter((token, index, list) =>
+          list.findIndex(other => other.name === token.name) === index);
+      });
+      return tokens;
+    },
+
+    // Разрешение ссылок вида "{font.size.md}" до конечного значения и токена
+    resolveAlias(value, flat, path, depth = 0) {
+      const match = typeof value === 'string' && value.match(/^\{([^}]+)\}$/);
+      if (!match || depth > 10 || !flat.has(match[1])) return { value, path };
+      const target = flat.get(match[1]);
+      return this.resolveAlias(target.value, flat, target.path, depth + 1);
+    },
+
+    // Отнесение токена к типографскому свойству
+    classify({ path, type, value }, flat, tokens) {
+      const resolved = this.resolveAlias(value, flat, path);
+
+      // Составной typography-токен раскладываем на отдельные свойства
+      if (type === 'typography' && resolved.value && typeof resolved.value === 'object') {
+        Object.entries(resolved.value).forEach(([prop, subValue]) => {
+          const kind = this.config.typeAliases[prop];
+          if (!kind) return;
+          const sub = this.resolveAlias(subValue, flat, [...path, prop]);
+          tokens[kind].push(this.createToken(sub.path, sub.value));
+        });
+        return;
+      }
+
+      const kind = this.getKind(type, path);
+      if (kind) {
+        tokens[kind].push(this.createToken(path, resolved.value));
+      }
+    },
+
+    // Определение свойства по $type, а при его отсутствии - по пути токена
+    getKind(type, path) {
+      if (this.config.typeAliases[type]) return this.config.typeAliases[type];
+
+      const name = path.map(segment => this.toKebab(segment)).join('.');
+      if (/famil|typeface/.test(name)) return 'fontFamily';
+      if (/weight/.test(name)) return 'fontWeight';
+      if (/line-height|leading/.test(name)) return 'lineHeight';
+      if (/letter-spacing|tracking/.test(name)) return 'letterSpacing';
+      if (/font-size|(^|\.)(font|text|type)\.size/.test(name)) return 'fontSize';
+      return null;
+    },
+
+    // Токен с именем и CSS-переменной (именование Style Dictionary: name/kebab)
+    createToken(path, value) {
+      return {
+        name: path.join('.'),
+        cssVar: `--${path.map(segment => this.toKebab(segment)).join('-')}`,
+        value: value && typeof value === 'object' && 'unit' in value ? `${value.value}${value.unit}` : value
+      };
+    },
+
+    // Значение токена или CSS в числовом виде (px или вес)
+    toNumber(kind, value, fontSizePx, rootSizePx) {
+      if (kind === 'fontWeight') {
+        const keyword = this.config.weightKeywords[this.toKebab(value)];
+        return keyword || parseFloat(value);
+      }
+
+      const str = String(value).trim();
+      const num = parseFloat(str);
+      if (Number.isNaN(num)) return str === 'normal' && kind === 'letterSpacing' ? 0 : null;
+      if (str.endsWith('rem')) return num * rootSizePx;
+      if (str.endsWith('em')) return num * fontSizePx;
+      if (str.endsWith('%')) return (num / 100) * fontSizePx;
+      if (str.endsWith('px')) return num;
+      // Безразмерный line-height - множитель размера шрифта
+      return kind === 'lineHeight' ? num * fontSizePx : num;
+    },
+
+    // Первое семейство в стеке (строка или массив DTCG)
+    primaryFamily(value) {
+      const first = Array.isArray(value) ? value[0] : String(value).split(',')[0];
+      return String(first || '').trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+    },
+
+    // Поиск токена: точное совпадение или ближайший по значению
+    match(tokens, kind, value, fontSizePx, rootSizePx) {
+      const list = tokens[kind] || [];
+      if (list.length === 0) return null;
+
+      if (kind === 'fontFamily') {
+        const primary = this.primaryFamily(value);
+        const exact = list.find(token => this.primaryFamily(token.value) === primary);
+        return { token: exact || list[0], exact: Boolean(exact), distance: null };
+      }
+
+      const current = this.toNumber(kind, value, fontSizePx, rootSizePx);
+      if (current === null) return null;
+
+      let best = null;
+      list.forEach(token => {
+        const tokenValue = this.toNumber(kind, token.value, fontSizePx, rootSizePx);
+        if (tokenValue === null) return;
+        const distance = Math.abs(tokenValue - current);
+        if (!best || distance < best.distance) best = { token, distance };
+      });
+      if (!best) return null;
+
+      const tolerance = kind === 'fontWeight' ? 0 : this.config.tolerance;
+      return { ...best, exact: best.distance <= tolerance };
+    },
+
+    // Сохранение исходного JSON для следующих запусков
+    store(jsonText) {
+      try {
+        localStorage.setItem(this.config.storageKey, jsonText);
+        return true;
+      } catch (error) {
+        console.warn('Не удалось сохранить токены:', error);
+        return false;
+      }
+    },
+
+    // Загрузка сохраненных токенов
+    load() {
+      try {
+        const jsonText = localStorage.getItem(this.config.storageKey);
+        return jsonText ? this.parse(JSON.parse(jsonText)) : null;
+      } catch (error) {
+        console.warn('Сохраненные токены повреждены:', error);
+        return null;
+      }
+    },
+
+    // Удаление сохраненных токенов
+    clear() {
+      try {
+        localStorage.removeItem(this.config.storageKey);
+      } catch (error) {
+        // localStorage может быть недоступен - нечего удалять
+      }
+    },
+
+    // Общее число типографских токенов
+    count(tokens) {
+      return Object.values(tokens).reduce((sum, list) => sum + list.length, 0);
+    }
+  };
+
+  // Типографика текста: кавычки, тире, многоточие, пробелы и неразрывные пробелы по языку
+  const TEXT_LINTER = {
+    config: {
+      nbsp: '\u00A0',
+      contextChars: 12, // символов вокруг вхождения в превью
+      nbspMarker: '⍽' // видимая замена неразрывного пробела в превью
+    },
+
+    // Правила: id, заголовок, важность, шаблон и исправление найденного фрагмента
+    rules: {
+      common: [
+        {
+          id: 'ellipsis',
+          title: 'Три точки вместо многоточия',
+          severity: 'info',
+          pattern: /(?<!\.)\.{3}(?!\.)/g,
+          fix: () => '…'
+        },
+        {
+          id: 'double-space',
+          title: 'Двойной пробел',
+          severity: 'info',
+          pattern: /[ \u00A0]{2,}/g,
+          fix: match => match[0].includes('\u00A0') ? '\u00A0' : ' '
+        }
+      ],
+      ru: [
+        {
+          id: 'quotes-ru',
+          title: 'Прямые кавычки вместо «ёлочек»',
+          severity: 'warning',
+          pattern: /"/g,
+          fix: (match, text) => TEXT_LINTER.isOpening(text, match.index) ? '«' : '»'
+        },
+        {
+          id: 'dash-ru',
+          title: 'Дефис вместо тире',
+          severity: 'warning',
+          pattern: /[ \u00A0]+-{1,2} +/g,
+          fix: () => '\u00A0— '
+        },
+        {
+          id: 'nbsp-short-word-ru',
+          title: 'Нет неразрывного пробела после предлога',
+          severity: 'info',
+          pattern: /(?<=(?:^|[\s(«„])[а-яё]{1,2}) (?=[\p{L}\d«„(])/giu,
+          fix: () => '\u00A0'
+        },
+        {
+          id: 'nbsp-unit-ru',
+          title: 'Нет неразрывного пробела перед единицей',
+          severity: 'info',
+          pattern: /(?<=\d) (?=(?:%|‰|°|₽|кг|км|см|мм|мл|мин|руб\.|коп\.|шт\.|тыс\.|млн|млрд|[КМГТ]Б|[гмлтчс])(?![\p{L}\d]))/gu,
+          fix: () => '\u00A0'
+        },
+        {
+          id: 'nbsp-number-ru',
+          title: 'Нет неразрывного пробела в числе',
+          severity: 'info',
+          pattern: /(?<=(?:^|[^\d.,])\d{1,3}(?:[ \u00A0\u202F]\d{3})*) (?=\d{3}(?!\d))|(?<=[№§]) (?=\d)/g,
+          fix: () => '\u00A0'
+        }
+      ],
+      en: [
+        {
+          id: 'quotes-en',
+          title: 'Прямые кавычки вместо “английских”',
+          severity: 'warning',
+          pattern: /"/g,
+          fix: (match, text) => TEXT_LINTER.isOpening(text, match.index) ? '“' : '”'
+        },
+        {
+          id: 'apostrophe-en',
+          title: 'Прямой апостроф',
+          severity: 'info',
+          pattern: /(?<=\p{L})'(?=\p{L})/gu,
+          fix: () => '’'
+        },
+        {
+          id: 'single-quotes-en',
+          title: 'Прямые одинарные кавычки',
+          severity: 'info',
+          pattern: /(?<!\p{L})'|'(?!\p{L})/gu,
+          fix: (match, text) => TEXT_LINTER.isOpening(text, match.index) ? '‘' : '’'
+        },
+        {
+          id: 'dash-en',
+          title: 'Дефис вместо тире',
+          severity: 'warning',
+          pattern: /[ \u00A0]+-{1,2} +|(?<=\p{L})--(?=\p{L})/gu,
+          fix: () => '—'
+        },
+        {
+          id: 'nbsp-short-word-en',
+          title: 'Нет неразрывного пробела после короткого слова',
+          severity: 'info',
+          pattern: /(?<=(?:^|\s)(?:a|an|I|to|of|in|on|at|by)) (?=[\p{L}\d])/gu,
+          fix: () => '\u00A0'
+        },
+        {
+          id: 'nbsp-unit-en',
+          title: 'Нет неразрывного пробела перед единицей',
+          severity: 'info',
+          pattern: /(?<=\d) (?=(?:°[CF]|kg|km|cm|mm|ml|min|px|[KMGT]B|[gmlhs])(?![\p{L}\d]))/gu,
+          fix: () => '\u00A0'
+        }
+      ]
+    },
+
+    // Набор правил по атрибуту lang (ru-RU -> ru); для прочих языков правил нет
+    getRules(lang) {
+      const base = (lang || '').toLowerCase().split('-')[0];
+      return this.rules[base] ? [...this.rules.common, ...this.rules[base]] : null;
+    },
+
+    // Открывающая кавычка стоит в начале текста или после пробела, скобки или тире
+    isOpening(text, index) {
+      return index === 0 || /[\s(\[{«„“‘—–-]/.test(text[index - 1]);
+    },
+
+    // Все вхождения правил языка в тексте с исходным и исправленным фрагментом
+    lint(text, lang) {
+      const rules = this.getRules(lang);
+      if (!rules) return [];
+
+      const occurrences = [];
+      rules.forEach(rule => {
+        for (const match of text.matchAll(rule.pattern)) {
+          const replacement = rule.fix(match, text);
+          if (replacement === match[0]) continue;
+
+          occurrences.push({
+            rule,
+            lang,
+            index: match.index,
+            length: match[0].length,
+            // Обычные пробелы схлопываются при white-space: normal и не видны
+            collapsible: rule.id === 'double-space' && !match[0].includes(this.config.nbsp),
+            ...this.getContext(text, match.index, match[0].length, replacement)
+          });
+        }
+      });
+      return occurrences;
+    },
+
+    // Фрагмент с соседними символами до и после исправления
+    getContext(text, index, length, replacement) {
+      const { contextChars } = this.config;
+      const normalize = part => part.replace(/[\t\n\r ]+/g, ' ');
+      const before = normalize(text.slice(Math.max(0, index - contextChars), index)).trimStart();
+      const after = normalize(text.slice(index + length, index + length + contextChars)).trimEnd();
+      return {
+        original: before + text.slice(index, index + length) + after,
+        corrected: before + replacement + after
+      };
+    },
+
+    // Неразрывные пробелы становятся видимыми в превью
+    visualize(text) {
+      return text.split(this.config.nbsp).join(this.config.nbspMarker);
+    },
+
+    // Вхождение как цель подсветки: прямоугольник диапазона внутри текстового узла
+    createFragment(node, start, end) {
+      const range = node.ownerDocument.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, end);
+      return {
+        ownerDocument: node.ownerDocument,
+        getBoundingClientRect: () => range.getBoundingClientRect(),
+        scrollIntoView: options => node.parentElement.scrollIntoView(options)
+      };
+    }
+  };
+
+  // Обрезанный текст: overflow: hidden, text-overflow: ellipsis и -webkit-line-clamp
+  const CLIPPED_TEXT = {
+    config: {
+      tolerance: 1, // px, субпиксельное переполнение не считается обрезкой
+      minHiddenChars: 1,
+      clippingOverflow: ['hidden', 'clip'],
+      // Метки, которые пользователь должен прочитать целиком
+      criticalSelector: 'a, button, label, legend, summary, th, h1, h2, h3, h4, h5, h6, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="option"]',
+      // Способы прочитать полный текст: атрибуты самого обрезанного элемента, содержащие этот текст...
+      fullTextSources: {
+        title: ['title'],
+        label: ['aria-label'],
+        tooltip: ['data-tooltip', 'data-tippy-content', 'data-bs-title']
+      },
+      // ...или раскрытие самого элемента
+      disclosureSelector: '[aria-expanded]',
+      maxElements: 3000, // обрезающих контейнеров на измерение
+      maxTextNodes: 200 // текстовых узлов в одном контейнере
+    },
+
+    state: {
+      truncated: 0 // элементов последнего поиска, не проверенных после maxElements найденных контейнеров
+    },
+
+    // Контейнеры с обрезанным текстом и объем скрытого; getStyle - источник вычисленных стилей анализатора
+    detect(elements, getStyle = element => getComputedStyle(element)) {
+      const candidates = [];
+      let checked = 0;
+      for (const element of elements) {
+        if (candidates.length >= this.config.maxElements) break;
+        checked++;
+        if (!element.textContent.trim()) continue;
+        const clipping = this.getClipping(element, getStyle(element));
+        if (clipping) candidates.push({ element, clipping });
+      }
+      this.state.truncated = elements.length - checked;
+
+      return candidates
+        .map(({ element, clipping }) => ({
+          element,
+          ...clipping,
+          ...this.measureHiddenText(element),
+          critical: Boolean(element.closest(this.config.criticalSelector)),
+          fullTextSource: this.getFullTextSource(element)
+        }))
+        .filter(entry => entry.hiddenChars >= this.config.minHiddenChars);
+    },
+
+    // Вид обрезки по вычисленным стилям и размерам прокрутки
+    getClipping(element, style) {
+      const { tolerance, clippingOverflow } = this.config;
+      // Визуально скрытый текст для скринридеров (.sr-only) обрезан намеренно
+      if (element.clientWidth <= 1 || element.clientHeight <= 1) return null;
+
+      const hiddenX = clippingOverflow.includes(style.overflowX) ? element.scrollWidth - element.clientWidth : 0;
+      const hiddenY = clippingOverflow.includes(style.overflowY) ? element.scrollHeight - element.clientHeight : 0;
+      const clipsX = hiddenX > tolerance;
+      const clipsY = hiddenY > tolerance;
+      if (!clipsX && !clipsY) return null;
+
+      const lineClamp = style.webkitLineClamp || style.getPropertyValue('-webkit-line-clamp') || 'none';
+      let kind = 'overflow';
+      if (clipsY && lineClamp !== 'none') {
+        kind = 'line-clamp';
+      } else if (clipsX && style.textOverflow === 'ellipsis') {
+        kind = 'ellipsis';
+      }
+
+      return {
+        kind,
+        axis: clipsX && clipsY ? 'both' : clipsX ? 'x' : 'y',
+        hiddenPx: { x: clipsX ? hiddenX : 0, y: clipsY ? hiddenY : 0 },
+        styles: {
+          overflow: `${style.overflowX} ${style.overflowY}`,
+          'text-overflow': style.textOverflow,
+          'white-space': style.whiteSpace,
+          '-webkit-line-clamp': lineClamp,
+          height: style.height,
+          'max-height': style.maxHeight
+        }
+      };
+    },
+
+    // Доля символов, чьи строчные боксы выходят за видимую область контейнера
+    measureHiddenText(element) {
+      const box = this.getClientBox(element);
+      const overlap = rect =>
+        Math.max(0, Math.min(rect.right, box.right) - Math.max(rect.left, box.left)) *
+        Math.max(0, Math.min(rect.bottom, box.bottom) - Math.max(rect.top, box.top));
+
+      const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      const range = element.ownerDocument.createRange();
+      let totalChars = 0;
+      let hiddenChars = 0;
+      let textNodes = 0;
+
+      let node;
+      while ((node = walker.nextNode()) && textNodes < this.config.maxTextNodes) {
+        const chars = node.nodeValue.replace(/\s+/g, '').length;
+        if (chars === 0) continue;
+        textNodes++;
+
+        range.selectNodeContents(node);
+        const rects = Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+        const area = rects.reduce((sum, rect) => sum + rect.width * rect.height, 0);
+        // Неотрисованный текст (display: none внутри) не считается
+        if (area === 0) continue;
+
+        const visible = rects.reduce((sum, rect) => sum + overlap(rect), 0);
+        totalChars += chars;
+        hiddenChars += chars * Math.max(0, 1 - visible / area);
+      }
+
+      return {
+        totalChars,
+        hiddenChars: Math.round(hiddenChars),
+        hiddenPercent: totalChars ? Math.round(hiddenChars / totalChars * 100) : 0
+      };
+    },
+
+    // Внутренняя (padding) область контейнера в координатах его документа
+    getClientBox(element) {
+      const rect = element.getBoundingClientRect();
+      const left = rect.left + element.clientLeft;
+      const top = rect.top + element.clientTop;
+      return { left, top, right: left + element.clientWidth, bottom: top + element.clientHeight };
+    },
+
+    // Title, подпись, подсказка или раскрытие, через которые можно прочитать полный текст.
+    // Предки и потомки не в счет: aria-describedby формы или <details> вокруг не покажут обрезанное
+    getFullTextSource(element) {
+      const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+      const text = normalize(element.textContent);
+      const match = Object.entries(this.config.fullTextSources)
+        .find(([, attributes]) => attributes.some(attribute => normalize(element.getAttribute(attribute) || '').includes(text)));
+      if (match) return match[0];
+      return element.matches(this.config.disclosureSelector) ? 'disclosure' : null;
+    },
+
+    // Исправление, показывающее текст целиком
+    suggestFix({ kind, axis, styles }) {
+      if (kind === 'line-clamp') {
+        return { '-webkit-line-clamp': 'unset' };
+      }
+
+      const fix = {};
+      if (axis !== 'y') {
+        fix['white-space'] = 'normal';
+        fix['overflow-wrap'] = 'anywhere';
+      }
+      if (axis !== 'x') {
+        if (styles['max-height'] !== 'none') {
+          fix['max-height'] = 'none';
+        } else {
+          fix.height = 'auto';
+        }
+      }
+      return fix;
+    },
+
+    // Значения, относящиеся к виду обрезки
+    getCurrentValues({ kind, axis, styles }) {
+      const properties = ['overflow'];
+      if (kind === 'ellipsis') properties.push('text-overflow');
+      if (kind === 'line-clamp') properties.push('-webkit-line-clamp');
+      if (axis !== 'y') properties.push('white-space');
+      if (axis !== 'x' && kind !== 'line-clamp') properties.push(styles['max-height'] !== 'none' ? 'max-height' : 'height');
+      return Object.fromEntries(properties.map(property => [property, styles[property]]));
+    },
+
+    // Пояснение к исправлению по виду обрезки
+    explain(kind) {
+      const reasons = {
+        ellipsis: 'Многоточие скрывает часть текста, а полной версии в title нет. Разрешите перенос строк или добавьте title с полным текстом.',
+        'line-clamp': 'line-clamp обрезает текст без возможности его раскрыть. Снимите ограничение, добавьте title или кнопку «Показать полностью».',
+        overflow: 'overflow: hidden обрезает текст, который не помещается в контейнер. Дайте контейнеру подстроиться под текст или добавьте title.'
+      };
+      return reasons[kind];
+    },
+
+    // Короткое описание объема скрытого текста
+    describe({ kind, hiddenChars, totalChars, hiddenPercent, hiddenPx }) {
+      const labels = { ellipsis: 'многоточие', 'line-clamp': 'line-clamp', overflow: 'overflow' };
+      const px = [hiddenPx.x && `${hiddenPx.x}px по ширине`, hiddenPx.y && `${hiddenPx.y}px по высоте`].filter(Boolean).join(', ');
+      return `${labels[kind]}: скрыто ~${hiddenChars} из ${totalChars} симв. (${hiddenPercent}%, ${px})`;
+    }
+  };
+
+  // Панели в закрытом shadow root: стили страницы не проникают внутрь, а оформление
+  // идет через конструируемую таблицу стилей, которую не блокирует строгий CSP
+  const SHADOW_PANEL = {
+    config: {
+      attribute: 'data-typography-style', // заменяет атрибут style="" в разметке панелей
+      // Сброс наследования от страницы и анимации панелей
+      baseCSS: `
+        :host { all: initial; }
+        @keyframes slideInDown {
+          from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
+          to { opacity: 1; transform: translateX(-50%) translateY(0); }
+        }
+      `
+    },
+
+    state: {
+      sheet: null,
+      styleIds: new Map(), // текст style="" -> номер правила
+      roots: new Map() // id панели -> закрытый shadow root
+    },
+
+    // Общая конструируемая таблица: ее используют все панели и служебные элементы на странице
+    getSheet() {
+      if (!this.state.sheet) {
+        this.state.sheet = new CSSStyleSheet();
+        this.state.sheet.replaceSync(this.config.baseCSS);
+        DEEP_DOM.markOwnedSheet(this.state.sheet);
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, this.state.sheet];
+      }
+      return this.state.sheet;
+    },
+
+    // Разметка без атрибутов style: CSP без 'unsafe-inline' их блокирует, поэтому они становятся правилами таблицы
+    html(element, markup) {
+      const { attribute } = this.config;
+      element.innerHTML = markup.replace(/\sstyle="([^"]*)"/g, (match, styles) => ` ${attribute}="${this.getStyleId(styles)}"`);
+    },
+
+    // Номер правила для набора объявлений (одинаковые наборы делят правило)
+    getStyleId(styles) {
+      const declarations = styles.replace(/\s+/g, ' ').trim();
+      if (!this.state.styleIds.has(declarations)) {
+        const id = this.state.styleIds.size + 1;
+        const sheet = this.getSheet();
+        sheet.insertRule(`[${this.config.attribute}="${id}"] { ${declarations} }`, sheet.cssRules.length);
+        this.state.styleIds.set(declarations, id);
+      }
+      return this.state.styleIds.get(declarations);
+    },
+
+    // Элемент в закрытом shadow root собственного хоста; панель с id заменяет предыдущую
+    mount(element, id = null) {
+      if (id) this.unmount(id);
+
+      const host = DEEP_DOM.markOwned(document.createElement('div'));
+      if (id) host.id = id;
+      const root = host.attachShadow({ mode: 'closed' });
+      root.adoptedStyleSheets = [this.getSheet()];
+      root.appendChild(element);
+      document.body.appendChild(host);
+
+      if (id) this.state.roots.set(id, root);
+      return host;
+    },
+
+    // Shadow root панели: у закрытого root host.shadowRoot равен null
+    getRoot(id) {
+      return this.state.roots.get(id) || null;
+    },
+
+    // Удаление панели вместе с хостом
+    unmount(id) {
+      const root = this.state.roots.get(id);
+      if (!root) return;
+      root.host.remove();
+      this.state.roots.delete(id);
+    }
+  };
+
+  // Длинные проходы порциями в свободное время браузера: вкладка не зависает на больших страницах
+  const TIME_SLICER = {
+    config: {
+      enabled: true,
+      sliceBudget: 12, // мс работы подряд, дальше управление отдается браузеру
+      idleTimeout: 100 // мс, после которых порция запускается даже без простоя
+    },
+
+    state: {
+      sliceStart: 0
+    },
+
+    // Порция исчерпала бюджет времени
+    isSliceOver() {
+      return performance.now() - this.state.sliceStart >= this.config.sliceBudget;
+    },
+
+    // Ожидание простоя: requestIdleCallback, а где его нет (Safari) - следующая задача
+    waitForIdle() {
+      return new Promise(resolve => {
+        if (typeof requestIdleCallback === 'function') {
+          requestIdleCallback(() => resolve(), { timeout: this.config.idleTimeout });
+        } else {
+          setTimeout(resolve, 0);
+        }
+      });
+    },
+
+    // Отдать управление браузеру, если порция закончилась; отмена через signal прерывает анализ AbortError
+    async pause(signal = null) {
+      if (signal) signal.throwIfAborted();
+      if (!this.config.enabled || !this.isSliceOver()) return;
+
+      await this.waitForIdle();
+      if (signal) signal.throwIfAborted();
+      this.state.sliceStart = performance.now();
+    },
+
+    // forEach порциями; onProgress получает долю обработанных элементов
+    async forEach(items, callback, { signal = null, onProgress = null } = {}) {
+      const list = Array.from(items);
+
+      for (let index = 0; index < list.length; index++) {
+        callback(list[index], index);
+        if (this.isSliceOver()) {
+          if (onProgress) onProgress((index + 1) / list.length);
+          await this.pause(signal);
+        }
+      }
+      if (signal) signal.throwIfAborted();
+    }
+  };
+
+  // Стили и размеры на один проход анализа: проверки берут их из общего кэша.
+  // Хранятся значения, а не живые CSSStyleDeclaration: чтение живого объявления после правки DOM
+  // снова пересчитывает стили
+  const STYLE_CACHE = {
+    config: {
+      // Свойства, которые читают проверки (имена CSS); в снимок стиля попадают только они
+      properties: [
+        'display', 'visibility', 'position', 'float', 'content', 'color',
+        'height', 'max-height', 'min-width', 'max-width', 'padding-left', 'padding-right', 'margin-top', 'margin-bottom',
+        'overflow-x', 'overflow-y', 'text-overflow', '-webkit-line-clamp',
+        'font-family', 'font-size', 'font-weight', 'font-style', 'font-synthesis',
+        'line-height', 'letter-spacing', 'text-transform', 'text-align',
+        'white-space', 'overflow-wrap', 'hyphens', '-webkit-hyphens', 'text-wrap', 'text-wrap-style',
+        'list-style-type', 'list-style-image'
+      ],
+      // Пробы вне экрана: ширина 1ch и высота строки с line-height: normal
+      probeStyles: {
+        ch: 'position: absolute; top: 0; left: -10000px; visibility: hidden; width: 1ch; height: 0; padding: 0; border: 0;',
+        line: 'position: absolute; top: 0; left: -10000px; visibility: hidden; white-space: nowrap; line-height: normal; padding: 0; border: 0;'
+      }
+    },
+
+    state: {
+      styles: new Map(), // элемент -> Map(псевдоэлемент -> снимок значений)
+      rects: new Map(), // элемент -> DOMRect
+      chWidths: new Map(), // шрифт -> ширина 1ch, px
+      normalLineHeights: new Map(), // шрифт -> высота строки line-height: normal, px
+      probes: new Map() // документ -> Map(вид пробы -> проба)
+    },
+
+    // Сброс перед новым анализом: элементы и стили страницы могли измениться
+    reset() {
+      this.releaseProbes();
+      this.state.styles = new Map();
+      this.state.rects = new Map();
+      this.state.chWidths = new Map();
+      this.state.normalLineHeights = new Map();
+    },
+
+    // Вычисленный стиль элемента или его псевдоэлемента
+    get(element, pseudo = null) {
+      if (!this.state.styles.has(element)) {
+        this.state.styles.set(element, new Map());
+      }
+      const styles = this.state.styles.get(element);
+      const key = pseudo || '';
+      if (!styles.has(key)) {
+        styles.set(key, this.snapshot(getComputedStyle(element, pseudo)));
+      }
+      return styles.get(key);
+    },
+
+    // Снимок значений: свойства в camelCase, как у CSSStyleDeclaration, и getPropertyValue по имени CSS
+    snapshot(style) {
+      const values = {};
+      const byName = {};
+      this.config.properties.forEach(name => {
+        const value = style.getPropertyValue(name);
+        byName[name] = value;
+        values[name.replace(/^-/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+      });
+      values.getPropertyValue = name => byName[name] || '';
+      return values;
+    },
+
+    // Стиль цели проверки: цель PSEUDO_TEXT - не элемент, ее стиль читается у хозяина с псевдоэлементом
+    getTargetStyle(target) {
+      return target.pseudo ? this.get(target.host, target.pseudo) : this.get(target);
+    },
+
+    // getBoundingClientRect на время прохода: анализ раскладку только читает
+    getRect(element) {
+      if (!this.state.rects.has(element)) {
+        this.state.rects.set(element, element.getBoundingClientRect());
+      }
+      return this.state.rects.get(element);
+    },
+
+    // Ширина 1ch в шрифте элемента: замер один раз на шрифт в пробе вне экрана, а не в элементах страницы
+    getChWidth(element) {
+      const style = this.getTargetStyle(element);
+      const key = this.getFontKey(style);
+      if (!this.state.chWidths.has(key)) {
+        const probe = this.getProbe(element.ownerDocument, 'ch', style);
+        this.state.chWidths.set(key, probe.getBoundingClientRect().width || parseFloat(style.fontSize) * 0.5);
+      }
+      return this.state.chWidths.get(key);
+    },
+
+    // Высота строки при line-height: normal - из метрик шрифта, замер один раз на шрифт
+    getNormalLineHeight(element) {
+      const style = this.getTargetStyle(element);
+      const key = this.getFontKey(style);
+      if (!this.state.normalLineHeights.has(key)) {
+        const probe = this.getProbe(element.ownerDocument, 'line', style);
+        this.state.normalLineHeights.set(key, Math.round(probe.getBoundingClientRect().height * 100) / 100);
+      }
+      return this.state.normalLineHeights.get(key);
+    },
+
+    getFontKey(style) {
+      return `${style.fontStyle}|${style.fontWeight}|${style.fontSize}|${style.fontFamily}`;
+    },
+
+    // Проба анализатора в документе элемента (веб-шрифты страницы доступны только в нем) со шрифтом элемента
+    getProbe(doc, kind, style) {
+      if (!this.state.probes.has(doc)) {
+        this.state.probes.set(doc, new Map());
+      }
+      const probes = this.state.probes.get(doc);
+      if (!probes.has(kind)) {
+        const probe = DEEP_DOM.markOwned(doc.createElement('span'));
+        probe.style.cssText = this.config.probeStyles[kind];
+        probe.textContent = kind === 'line' ? 'x' : '';
+        (doc.body || doc.documentElement).appendChild(probe);
+        probes.set(kind, probe);
+      }
+
+      const probe = probes.get(kind);
+      probe.style.fontFamily = style.fontFamily;
+      probe.style.fontSize = style.fontSize;
+      probe.style.fontWeight = style.fontWeight;
+      probe.style.fontStyle = style.fontStyle;
+      return probe;
+    },
+
+    // Пробы убираются после прохода, замеры остаются в кэше
+    releaseProbes() {
+      this.state.probes.forEach(probes => probes.forEach(probe => probe.remove()));
+      this.state.probes = new Map();
+    }
+  };
+
+  // Быстрое сканирование: стратифицированная выборка элементов и оценка числа проблем на всей странице
+  const QUICK_SCAN = {
+    config: {
+      sampleSize: 300, // элементов в выборке - верхняя граница, даже если слоев больше
+      z: 1.96, // 95% доверительный интервал
+      minStratumSize: 5, // слой с меньшей выборкой (и не взятый целиком) дает ненадежную оценку
+      // Ориентиры страницы - регионы для слоев выборки и полного анализа найденного
+      regionSelector: 'header, nav, main, aside, footer, form, dialog, [role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"], [role="search"], [role="form"], [role="dialog"], [role="region"]'
+    },
+
+    // Регион элемента: ближайший ориентир, а без него - блок верхнего уровня под body
+    getRegion(element) {
+      let topLevel = null;
+      for (let node = element; node; node = DEEP_DOM.getParent(node)) {
+        if (node.matches(this.config.regionSelector)) return node;
+        if (node.parentElement && node.parentElement === node.ownerDocument.body) topLevel = node;
+      }
+      return topLevel || element;
+    },
+
+    // Вид региона в ключе слоя: роль или тег ориентира, для блоков без ориентира - 'page'
+    getRegionKind(region) {
+      if (!region.matches(this.config.regionSelector)) return 'page';
+      return region.getAttribute('role') || region.tagName.toLowerCase();
+    },
+
+    // Видимость элемента: в первом экране, за его пределами или скрыт
+    getVisibility(element) {
+      if (element.getClientRects().length === 0) return 'hidden';
+      if (STYLE_CACHE.get(element).visibility !== 'visible') return 'hidden';
+
+      const rect = DEEP_DOM.getViewportRect(element);
+      const inViewport = rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+      return inViewport ? 'viewport' : 'offscreen';
+    },
+
+    // Единица выборки, к которой относится элемент: ближайший блок по unitSelector или сам элемент
+    getUnit(sample, element) {
+      const target = element.pseudo ? element.host : element;
+      return sample.unitSelector ? target.closest(sample.unitSelector) || target : target;
+    },
+
+    // Выборка по слоям тег × регион × видимость: каждый слой представлен хотя бы одним элементом,
+    // остаток делится пропорционально размеру слоев, внутри слоя элементы выбираются случайно.
+    // unitSelector - единицы выборки - блоки: проверки видят блок вместе с вложенным текстом
+    async sample(elements, { size = this.config.sampleSize, unitSelector = null, signal = null } = {}) {
+      const strata = new Map();
+
+      await TIME_SLICER.forEach(elements, element => {
+        const region = this.getRegion(element);
+        const key = `${element.tagName.toLowerCase()}|${this.getRegionKind(region)}|${this.getVisibility(element)}`;
+        if (!strata.has(key)) {
+          strata.set(key, []);
+        }
+        strata.get(key).push({ element, region });
+      }, { signal });
+
+      const sample = {
+        population: elements.length,
+        unitSelector,
+        elements: new Map(), // единица -> { stratum, region }
+        strata: new Map() // ключ слоя -> { population, size }
+      };
+
+      this.allocate(strata, Math.min(size, elements.length)).forEach(({ key, members, count }) => {
+        // Частичное перемешивание Фишера-Йетса: первые count элементов - выборка без повторов
+        for (let i = 0; i < count; i++) {
+          const j = i + Math.floor(Math.random() * (members.length - i));
+          [members[i], members[j]] = [members[j], members[i]];
+          sample.elements.set(members[i].element, { stratum: key, region: members[i].region });
+        }
+        sample.strata.set(key, { population: members.length, size: count });
+      });
+
+      return sample;
+    },
+
+    // Размеры выборки по слоям, в сумме не больше total: по элементу крупнейшим слоям,
+    // остаток - пропорционально размеру слоя методом наибольших остатков
+    allocate(strata, total) {
+      const ordered = Array.from(strata, ([key, members]) => ({ key, members, count: 0 }))
+        .sort((a, b) => b.members.length - a.members.length);
+      const population = ordered.reduce((sum, stratum) => sum + stratum.members.length, 0);
+
+      // Если слоев больше, чем total, мелкие остаются без выборки и учитываются в верхней границе оценки
+      ordered.slice(0, total).forEach(stratum => {
+        stratum.count = 1;
+      });
+
+      const rest = total - Math.min(total, ordered.length);
+      if (rest === 0) return ordered;
+
+      const remainders = ordered.map(stratum => {
+        const quota = rest * stratum.members.length / population;
+        stratum.count += Math.min(Math.floor(quota), stratum.members.length - stratum.count);
+        return { stratum, remainder: quota - Math.floor(quota) };
+      });
+      let left = total - ordered.reduce((sum, stratum) => sum + stratum.count, 0);
+      remainders
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ stratum }) => {
+          if (left > 0 && stratum.count < stratum.members.length) {
+            stratum.count++;
+            left--;
+          }
+        });
+
+      return ordered;
+    },
+
+    // Предикат области анализа для DEEP_DOM.setScope: выборка, регионы или весь документ (null)
+    createScope(scan) {
+      if (!scan || scan.mode === 'full') return null;
+      if (scan.mode === 'quick') return element => scan.sample.elements.has(this.getUnit(scan.sample, element));
+
+      // Принадлежность региону запоминается: проверки обходят одни и те же элементы много раз
+      const known = new WeakMap();
+      const inRegion = node => {
+        if (!node) return false;
+        if (scan.regions.has(node)) return true;
+        if (!known.has(node)) {
+          known.set(node, inRegion(DEEP_DOM.getParent(node)));
+        }
+        return known.get(node);
+      };
+      return inRegion;
+    },
+
+    // Оценка числа затронутых единиц по типам проблем: стратифицированная доля с интервалом
+    // Агрести-Коула по слоям; issues - [{ type, elements }]
+    estimate(sample, issues) {
+      const found = new Map(); // тип -> Set единиц выборки
+      const regions = new Set();
+      const z2 = this.config.z * this.config.z;
+      let unsampled = 0;
+      let thinStrata = 0;
+      sample.strata.forEach(({ population, size }) => {
+        if (size === 0) unsampled += population;
+        else if (size < this.config.minStratumSize && size < population) thinStrata++;
+      });
+
+      issues.forEach(({ type, elements }) => {
+        if (!found.has(type)) {
+          found.set(type, new Set());
+        }
+        elements.forEach(element => {
+          // Псевдоэлемент и вложенный текст относятся к единице выборки, в которой находятся
+          const target = this.getUnit(sample, element);
+          const member = sample.elements.get(target);
+          if (!member) return;
+          found.get(type).add(target);
+          regions.add(member.region);
+        });
+      });
+
+      const rows = Array.from(found, ([type, targets]) => {
+        // Проблема уровня страницы (шрифты, структура заголовков) не привязана к элементам выборки
+        if (targets.size === 0) {
+          return { type, found: 0, estimate: null, low: null, high: null };
+        }
+
+        const hits = new Map();
+        targets.forEach(target => {
+          const { stratum } = sample.elements.get(target);
+          hits.set(stratum, (hits.get(stratum) || 0) + 1);
+        });
+
+        let estimate = 0;
+        let variance = 0;
+        sample.strata.forEach(({ population, size }, stratum) => {
+          if (size === 0) return;
+          const count = hits.get(stratum) || 0;
+          estimate += population * count / size;
+          // Скорректированная доля не дает тонкому слою с 0 или 100% попаданий нулевой неопределенности;
+          // поправка на конечную совокупность убирает ее только у слоя, взятого целиком
+          const adjusted = (count + z2 / 2) / (size + z2);
+          variance += population * population * (1 - size / population) * adjusted * (1 - adjusted) / (size + z2);
+        });
+
+        const margin = this.config.z * Math.sqrt(variance);
+        return {
+          type,
+          found: targets.size,
+          estimate: Math.round(estimate),
+          low: Math.max(targets.size, Math.floor(estimate - margin)),
+          // Слои без выборки могут быть поражены целиком
+          high: Math.min(sample.population, Math.ceil(estimate + margin) + unsampled)
+        };
+      });
+
+      return {
+        population: sample.population,
+        sampleSize: sample.elements.size,
+        strata: sample.strata.size,
+        thinStrata,
+        unsampled,
+        regions: Array.from(regions),
+        // Проблемы уровня страницы - в конце списка
+        rows: rows.sort((a, b) => (b.estimate === null ? -1 : b.estimate) - (a.estimate === null ? -1 : a.estimate))
+      };
+    },
+
+    // Оценка для панели и отчетов: "~120 (95-150)"
+    formatEstimate({ estimate, low, high }) {
+      if (estimate === null) return 'на уровне страницы';
+      return low === high ? `${estimate}` : `~${estimate} (${low}–${high})`;
+    },
+
+    // Предупреждение о слоях, по которым оценка ненадежна
+    describeReliability({ thinStrata, unsampled }) {
+      const notes = [];
+      if (thinStrata > 0) notes.push(`${thinStrata} слоев с выборкой меньше ${this.config.minStratumSize} элементов - оценка по ним ненадежна`);
+      if (unsampled > 0) notes.push(`${unsampled} элементов в слоях без выборки учтены только в верхней границе`);
+      return notes.join('; ');
+    },
+
+    // Таблица оценок для консоли
+    getTable(result) {
+      return result.rows.map(row => ({
+        Issue: row.type,
+        'In Sample': row.found,
+        Estimated: this.formatEstimate(row)
+      }));
+    }
+  };
+
 
   // Запуск анализатора
-  TYPOGRAPHY_ANALYZER.run();
+  TYPOGRAPHY_ANALYZER.run().catch(error => TYPOGRAPHY_ANALYZER.reportRunError(error));
 })();